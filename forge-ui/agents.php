@@ -2,26 +2,65 @@
 /**
  * Agents API
  *
- * Lists available agents from frameworks and workspace directories.
+ * Lists available agents from frameworks and workspace directories, and
+ * saves agents built in the UI to workspace/agents/{name}/.
  *
  * Endpoints:
- *   GET /agents.php           - List all agents
- *   GET /agents.php?id=xxx    - Get specific agent details
+ *   GET  /agents.php              - List all agents
+ *   GET  /agents.php?id=xxx       - Get specific agent details
+ *   GET  /agents.php?lint=1       - Standards report for every agent (&id=xxx for one)
+ *   POST /agents.php?validate=1   - Check an agent.json against the schema
+ *   POST /agents.php              - Save an agent (agent.json + CLAUDE.md)
  */
 
 require_once 'config.php';
+require_once __DIR__ . '/schema.php';
+require_once __DIR__ . '/standards.php';
+require_once __DIR__ . '/discovery.php';
 
 header('Content-Type: application/json');
 
+// Agent names double as directory names
+const AGENT_NAME_PATTERN = '/^[a-z][a-z0-9-]*$/';
+
 $method = $_SERVER['REQUEST_METHOD'];
 
+if ($method === 'POST') {
+    // JSON only, so a cross-origin form or plain-text POST cannot save agents
+    if (stripos($_SERVER['CONTENT_TYPE'] ?? '', 'application/json') !== 0) {
+        http_response_code(415);
+        echo json_encode(['error' => 'Content-Type must be application/json']);
+        exit;
+    }
+
+    $input = json_decode(file_get_contents('php://input'));
+
+    if (!is_object($input) || !is_object($input->agent ?? null)) {
+        http_response_code(400);
+        echo json_encode(['error' => 'Missing agent']);
+        exit;
+    }
+
+    if (isset($_GET['validate'])) {
+        echo json_encode([
+            'success' => true,
+            'errors' => validateAgentConfig($input->agent)
+        ]);
+    } else {
+        saveAgent($input);
+    }
+    exit;
+}
+
 if ($method !== 'GET') {
     http_response_code(405);
     echo json_encode(['error' => 'Method not allowed']);
     exit;
 }
 
-if (isset($_GET['id'])) {
+if (isset($_GET['lint'])) {
+    lintAgents($_GET['id'] ?? null);
+} elseif (isset($_GET['id'])) {
     getAgentDetails($_GET['id']);
 } else {
     listAgents();
@@ -31,36 +70,78 @@ if (isset($_GET['id'])) {
  * List all available agents
  */
 function listAgents(): void {
-    $agents = [];
+    $agents = scanAllAgents();
+    $agents = addCompliance($agents, $agents);
 
-    // Scan framework directory for agents
-    if (defined('FRAMEWORK_DIRECTORY') && is_dir(FRAMEWORK_DIRECTORY)) {
-        $frameworkAgent = scanAgent(FRAMEWORK_DIRECTORY, 'framework');
-        if ($frameworkAgent) {
-            $agents[] = $frameworkAgent;
-        }
+    echo json_encode([
+        'success' => true,
+        'agents' => $agents,
+        'routing' => loadRouting($agents)
+    ]);
+}
 
-        // Check for sub-agents in framework
-        $frameworkAgentsDir = FRAMEWORK_DIRECTORY . '/agents';
-        if (is_dir($frameworkAgentsDir)) {
-            $subAgents = scanAgentsDirectory($frameworkAgentsDir, 'framework');
-            $agents = array_merge($agents, $subAgents);
+/**
+ * Add each agent's standards compliance summary (the list badge; full
+ * report: ?lint=1&id=). Delegation targets are checked against $allAgents.
+ */
+function addCompliance(array $agents, array $allAgents): array {
+    $reports = lintAgentDirectories(array_column($agents, 'path'), array_column($allAgents, 'id'));
+
+    foreach ($reports as $i => $report) {
+        $agents[$i]['compliance'] = [
+            'status' => $report['status'],
+            'errors' => $report['errors'],
+            'warnings' => $report['warnings']
+        ];
+    }
+
+    return $agents;
+}
+
+/**
+ * Build the routing index for auto-routing: skill id => agent id from every
+ * agent's skills, overlaid with the skillIndex of any agent registry
+ * (workspace/reference/agent-registry.json or an agent's reference/ folder)
+ */
+function loadRouting(array $agents): array {
+    $agentIds = array_column($agents, 'id');
+    $skillIndex = [];
+    $defaultAgent = null;
+
+    foreach ($agents as $agent) {
+        foreach ($agent['skills'] as $skill) {
+            $skillIndex[$skill['id']] = $skillIndex[$skill['id']] ?? $agent['id'];
         }
     }
 
-    // Scan workspace/agents directory
-    if (defined('WORKSPACE_DIRECTORY')) {
-        $workspaceAgentsDir = WORKSPACE_DIRECTORY . '/agents';
-        if (is_dir($workspaceAgentsDir)) {
-            $workspaceAgents = scanAgentsDirectory($workspaceAgentsDir, 'workspace');
-            $agents = array_merge($agents, $workspaceAgents);
+    $registries = array_map(function ($agent) {
+        return $agent['path'] . '/reference/agent-registry.json';
+    }, $agents);
+    if (defined('WORKSPACE_DIRECTORY') && WORKSPACE_DIRECTORY !== '') {
+        array_unshift($registries, WORKSPACE_DIRECTORY . '/reference/agent-registry.json');
+    }
+
+    foreach ($registries as $registryPath) {
+        if (!file_exists($registryPath)) continue;
+
+        $registry = json_decode(file_get_contents($registryPath), true);
+        foreach ($registry['skillIndex'] ?? [] as $skillId => $agentId) {
+            // Only agents this UI can switch to
+            if (is_string($agentId) && in_array($agentId, $agentIds, true)) {
+                $skillIndex[$skillId] = $agentId;
+            }
+        }
+
+        $registryDefault = $registry['routing']['defaultAgent'] ?? null;
+        if ($defaultAgent === null && in_array($registryDefault, $agentIds, true)) {
+            $defaultAgent = $registryDefault;
         }
     }
 
-    echo json_encode([
-        'success' => true,
-        'agents' => $agents
-    ]);
+    return [
+        'skillIndex' => (object) $skillIndex,
+        'defaultAgent' => $defaultAgent ?? ($agentIds[0] ?? null)
+    ];
 }
 
 /**
@@ -82,6 +163,7 @@ function getAgentDetails(string $id): void {
         echo json_encode(['error' => 'Could not load agent']);
         return;
     }
+    $agent = addCompliance([$agent], scanAllAgents())[0];
 
     // Load full CLAUDE.md if available
     $claudeMdPath = $agentPath . '/CLAUDE.md';
@@ -89,6 +171,10 @@ function getAgentDetails(string $id): void {
         $agent['systemPrompt'] = file_get_contents($claudeMdPath);
     }
 
+    // Raw agent.json for the builder (decoded as objects so {} stays {})
+    $agent['config'] = json_decode(file_get_contents($agentPath . '/agent.json'));
+    $agent['editable'] = isWorkspaceAgent($agentPath);
+
     echo json_encode([
         'success' => true,
         'agent' => $agent
@@ -96,117 +182,171 @@ function getAgentDetails(string $id): void {
 }
 
 /**
- * Find the path to an agent by ID
+ * Standards reports for all agents, or for one
  */
-function findAgentPath(string $id): ?string {
-    // Check framework directory
-    if (defined('FRAMEWORK_DIRECTORY')) {
-        // Main framework agent
-        $frameworkAgentJson = FRAMEWORK_DIRECTORY . '/agent.json';
-        if (file_exists($frameworkAgentJson)) {
-            $data = json_decode(file_get_contents($frameworkAgentJson), true);
-            if ($data && ($data['name'] ?? '') === $id) {
-                return FRAMEWORK_DIRECTORY;
-            }
-        }
-
-        // Sub-agents in framework
-        $subAgentPath = FRAMEWORK_DIRECTORY . '/agents/' . $id;
-        if (is_dir($subAgentPath) && file_exists($subAgentPath . '/agent.json')) {
-            return $subAgentPath;
+function lintAgents(?string $id): void {
+    $agents = scanAllAgents();
+    $knownAgents = array_column($agents, 'id');
+
+    if ($id !== null) {
+        $index = array_search($id, $knownAgents, true);
+        if ($index === false) {
+            http_response_code(404);
+            echo json_encode(['error' => 'Agent not found']);
+            return;
         }
-    }
 
-    // Check workspace/agents
-    if (defined('WORKSPACE_DIRECTORY')) {
-        $workspacePath = WORKSPACE_DIRECTORY . '/agents/' . $id;
-        if (is_dir($workspacePath) && file_exists($workspacePath . '/agent.json')) {
-            return $workspacePath;
-        }
+        echo json_encode([
+            'success' => true,
+            'report' => lintAgentDirectories([$agents[$index]['path']], $knownAgents)[0]
+        ]);
+        return;
     }
 
-    return null;
+    echo json_encode([
+        'success' => true,
+        'reports' => lintAgentDirectories(array_column($agents, 'path'), $knownAgents)
+    ]);
 }
 
 /**
- * Scan a directory for agents (each subdirectory with agent.json)
+ * Check an agent.json against the agent schema
+ * Returns a list of error strings (empty when valid).
  */
-function scanAgentsDirectory(string $directory, string $source): array {
-    $agents = [];
-
-    $items = scandir($directory);
-    foreach ($items as $item) {
-        if ($item === '.' || $item === '..') continue;
-
-        $agentDir = $directory . '/' . $item;
-        if (is_dir($agentDir)) {
-            $agent = scanAgent($agentDir, $source);
-            if ($agent) {
-                $agents[] = $agent;
-            }
-        }
+function validateAgentConfig(object $agent): array {
+    $schema = loadSchema('agent');
+    if ($schema === null) {
+        return ['(root): agent schema not found in the framework'];
     }
 
-    return $agents;
+    $errors = validateSchema($agent, $schema);
+
+    if (is_string($agent->name ?? null) && !preg_match(AGENT_NAME_PATTERN, $agent->name)) {
+        $errors[] = 'name: must be lowercase letters, digits and hyphens, starting with a letter';
+    }
+
+    return $errors;
 }
 
 /**
- * Scan a single agent directory and return agent info
+ * Save an agent to workspace/agents/{name}/
+ * Input: { agent, claudeMd?, originalName? } - originalName renames an existing workspace agent.
  */
-function scanAgent(string $agentDir, string $source): ?array {
-    $agentJsonPath = $agentDir . '/agent.json';
+function saveAgent(object $input): void {
+    if (!defined('WORKSPACE_DIRECTORY') || WORKSPACE_DIRECTORY === '') {
+        http_response_code(500);
+        echo json_encode(['error' => 'WORKSPACE_DIRECTORY is not configured']);
+        return;
+    }
+
+    $agent = $input->agent;
+    $errors = validateAgentConfig($agent);
+    if (!empty($errors)) {
+        http_response_code(422);
+        echo json_encode(['error' => 'Agent does not match the schema', 'errors' => $errors]);
+        return;
+    }
 
-    if (!file_exists($agentJsonPath)) {
-        return null;
+    $agentsDir = WORKSPACE_DIRECTORY . '/agents';
+    $name = $agent->name;
+    $originalName = is_string($input->originalName ?? null) ? $input->originalName : null;
+    $originalDir = $originalName !== null && preg_match(AGENT_NAME_PATTERN, $originalName)
+        ? $agentsDir . '/' . $originalName
+        : null;
+
+    // Framework agents are never overwritten (the builder opens them as a copy)
+    $existingPath = findAgentPath($name);
+    if ($existingPath !== null && !isWorkspaceAgent($existingPath)) {
+        http_response_code(409);
+        echo json_encode(['error' => "'{$name}' is a framework agent; save it under a new name"]);
+        return;
     }
 
-    $content = file_get_contents($agentJsonPath);
-    $data = json_decode($content, true);
+    if ($name !== $originalName && $existingPath !== null) {
+        http_response_code(409);
+        echo json_encode(['error' => "An agent named '{$name}' already exists"]);
+        return;
+    }
 
-    if (!$data) {
-        return null;
+    $agentDir = $agentsDir . '/' . $name;
+    if ($originalDir !== null && $name !== $originalName && is_dir($originalDir)) {
+        $moved = rename($originalDir, $agentDir);
+    } else {
+        $moved = is_dir($agentDir) || mkdir($agentDir, 0755, true);
     }
 
-    // Build agent info
-    $agent = [
-        'id' => $data['name'] ?? basename($agentDir),
-        'name' => $data['displayName'] ?? $data['name'] ?? basename($agentDir),
-        'description' => $data['description'] ?? '',
-        'version' => $data['version'] ?? '1.0.0',
-        'role' => $data['role'] ?? null,
-        'personality' => $data['personality'] ?? null,
-        'source' => $source,
-        'path' => $agentDir,
-        'hasClaudeMd' => file_exists($agentDir . '/CLAUDE.md'),
-        'skillCount' => count($data['skills'] ?? [])
-    ];
+    if (!$moved) {
+        http_response_code(500);
+        echo json_encode(['error' => 'Could not create the agent directory']);
+        return;
+    }
 
-    // Generate a short intro from description and personality
-    $agent['intro'] = generateIntro($agent);
+    // Match the framework's 2-space JSON style
+    $json = json_encode($agent, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+    $json = preg_replace_callback('/^(?: {4})+/m', function ($match) {
+        return str_repeat('  ', strlen($match[0]) / 4);
+    }, $json);
+
+    $written = file_put_contents($agentDir . '/agent.json', $json) !== false;
+    if ($written && is_string($input->claudeMd ?? null)) {
+        $written = file_put_contents($agentDir . '/CLAUDE.md', $input->claudeMd) !== false;
+    }
 
-    return $agent;
+    if (!$written) {
+        http_response_code(500);
+        echo json_encode(['error' => 'Could not write the agent files']);
+        return;
+    }
+
+    echo json_encode([
+        'success' => true,
+        'agent' => addCompliance([scanAgent($agentDir, 'workspace')], scanAllAgents())[0]
+    ]);
 }
 
 /**
- * Generate a short introduction for the agent
+ * Whether an agent directory lives under workspace/agents (and so can be edited)
  */
-function generateIntro(array $agent): string {
-    $name = $agent['name'];
-    $desc = $agent['description'];
-    $role = $agent['role'] ?? null;
-    $personality = $agent['personality'] ?? null;
+function isWorkspaceAgent(string $agentDir): bool {
+    if (!defined('WORKSPACE_DIRECTORY') || WORKSPACE_DIRECTORY === '') {
+        return false;
+    }
 
-    $intro = "I'm {$name}";
+    $agentsDir = realpath(WORKSPACE_DIRECTORY . '/agents');
+    $realDir = realpath($agentDir);
 
-    if ($role) {
-        $intro .= ", your {$role}";
-    }
+    return $agentsDir !== false && $realDir !== false && dirname($realDir) === $agentsDir;
+}
+
+/**
+ * Find the path to an agent by ID
+ */
+function findAgentPath(string $id): ?string {
+    // Check framework directory
+    if (defined('FRAMEWORK_DIRECTORY')) {
+        // Main framework agent
+        $frameworkAgentJson = FRAMEWORK_DIRECTORY . '/agent.json';
+        if (file_exists($frameworkAgentJson)) {
+            $data = json_decode(file_get_contents($frameworkAgentJson), true);
+            if ($data && ($data['name'] ?? '') === $id) {
+                return FRAMEWORK_DIRECTORY;
+            }
+        }
 
-    $intro .= ". " . $desc;
+        // Sub-agents in framework
+        $subAgentPath = FRAMEWORK_DIRECTORY . '/agents/' . $id;
+        if (is_dir($subAgentPath) && file_exists($subAgentPath . '/agent.json')) {
+            return $subAgentPath;
+        }
+    }
 
-    if ($personality) {
-        $intro .= " " . $personality;
+    // Check workspace/agents
+    if (defined('WORKSPACE_DIRECTORY')) {
+        $workspacePath = WORKSPACE_DIRECTORY . '/agents/' . $id;
+        if (is_dir($workspacePath) && file_exists($workspacePath . '/agent.json')) {
+            return $workspacePath;
+        }
     }
 
-    return $intro;
+    return null;
 }
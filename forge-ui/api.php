@@ -8,61 +8,143 @@
 
 require_once __DIR__ . '/config.php';
 require_once __DIR__ . '/tools.php';
+require_once __DIR__ . '/tracing.php';
 
 // Set headers for SSE
 header('Content-Type: text/event-stream');
 header('Cache-Control: no-cache');
 header('Connection: keep-alive');
-header('Access-Control-Allow-Origin: *');
-header('Access-Control-Allow-Methods: POST, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type');
-
-// Handle preflight
-if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
-    exit(0);
-}
 
 // Disable output buffering for streaming
 if (ob_get_level()) {
     ob_end_clean();
 }
 
+// Keep running when the client disconnects (Stop button) so we can
+// shut down the API stream and skip pending tools ourselves
+ignore_user_abort(true);
+
 /**
  * Send an SSE event
+ * Inside a delegated run (delegate_task) the event is wrapped in a
+ * "delegate" event per level, carrying the delegating tool call's ID.
  */
 function sendEvent(string $event, $data): void
 {
+    foreach (array_reverse($GLOBALS['delegationScope'] ?? []) as $toolId) {
+        $data = ['id' => $toolId, 'event' => $event, 'data' => $data];
+        $event = 'delegate';
+    }
+
     echo "event: {$event}\n";
     echo "data: " . json_encode($data) . "\n\n";
     flush();
 }
 
+/**
+ * Check whether the client is still connected
+ * PHP only notices a closed connection when writing, so this sends
+ * an SSE comment (ignored by the client) first.
+ */
+function isClientConnected(): bool
+{
+    echo ": ping\n\n";
+    flush();
+    return !connection_aborted();
+}
+
 /**
  * Send an error and exit
  */
 function sendError(string $message): void
 {
+    setTraceError($message);
     sendEvent('error', ['message' => $message]);
     sendEvent('done', ['success' => false]);
     exit;
 }
 
 /**
- * Make a streaming request to Anthropic API
+ * Build the Messages API request body
+ * Settings come from resolveModelSettings().
  */
-function streamAnthropicRequest(array $messages, array $tools, string $systemPrompt): Generator
+function buildRequestPayload(array $messages, array $tools, string $systemPrompt, array $settings): array
 {
-    $url = 'https://api.anthropic.com/v1/messages';
-
     $payload = [
-        'model' => ANTHROPIC_MODEL,
-        'max_tokens' => MAX_TOKENS,
+        'model' => $settings['model'],
+        'max_tokens' => $settings['maxTokens'],
         'stream' => true,
         'system' => $systemPrompt,
         'messages' => $messages,
         'tools' => $tools
     ];
 
+    // Extended thinking: max_tokens must leave room above the budget, and
+    // temperature can't be changed while thinking is on
+    if ($settings['thinkingBudget'] > 0) {
+        $payload['thinking'] = [
+            'type' => 'enabled',
+            'budget_tokens' => $settings['thinkingBudget']
+        ];
+        $payload['max_tokens'] = max($settings['maxTokens'], $settings['thinkingBudget'] + 1024);
+    } elseif ($settings['temperature'] !== null) {
+        $payload['temperature'] = $settings['temperature'];
+    }
+
+    if ($settings['promptCache']) {
+        $payload = addCacheControl($payload);
+    }
+
+    return $payload;
+}
+
+/**
+ * Mark the stable parts of a request as cacheable
+ * Breakpoints go on the last tool definition, the system prompt and the
+ * last message, so each iteration of the tool loop reads the prefix the
+ * previous one wrote.
+ */
+function addCacheControl(array $payload): array
+{
+    $cache = ['type' => 'ephemeral'];
+
+    if (!empty($payload['tools'])) {
+        $payload['tools'][count($payload['tools']) - 1]['cache_control'] = $cache;
+    }
+
+    if ($payload['system'] !== '') {
+        $payload['system'] = [
+            ['type' => 'text', 'text' => $payload['system'], 'cache_control' => $cache]
+        ];
+    }
+
+    $lastMessage = count($payload['messages']) - 1;
+    if ($lastMessage >= 0) {
+        $content = $payload['messages'][$lastMessage]['content'];
+        if (is_string($content)) {
+            $content = [['type' => 'text', 'text' => $content]];
+        }
+
+        // Thinking blocks can't carry cache_control
+        $lastBlock = count($content) - 1;
+        if (!in_array($content[$lastBlock]['type'], ['thinking', 'redacted_thinking'], true)) {
+            $content[$lastBlock]['cache_control'] = $cache;
+            $payload['messages'][$lastMessage]['content'] = $content;
+        }
+    }
+
+    return $payload;
+}
+
+/**
+ * Make a streaming request to Anthropic API
+ */
+function streamAnthropicRequest(array $messages, array $tools, string $systemPrompt, array $settings): Generator
+{
+    $url = 'https://api.anthropic.com/v1/messages';
+
+    $payload = buildRequestPayload($messages, $tools, $systemPrompt, $settings);
+
     $ch = curl_init($url);
     curl_setopt_array($ch, [
         CURLOPT_POST => true,
@@ -107,18 +189,11 @@ function streamAnthropicRequest(array $messages, array $tools, string $systemPro
  * Process a streaming response from Anthropic
  * Returns the complete response including any tool uses
  */
-function processStreamingResponse(array $messages, array $tools, string $systemPrompt): array
+function processStreamingResponse(array $messages, array $tools, string $systemPrompt, array $settings): array
 {
     $url = 'https://api.anthropic.com/v1/messages';
 
-    $payload = [
-        'model' => ANTHROPIC_MODEL,
-        'max_tokens' => MAX_TOKENS,
-        'stream' => true,
-        'system' => $systemPrompt,
-        'messages' => $messages,
-        'tools' => $tools
-    ];
+    $payload = buildRequestPayload($messages, $tools, $systemPrompt, $settings);
 
     $ch = curl_init($url);
 
@@ -129,6 +204,7 @@ function processStreamingResponse(array $messages, array $tools, string $systemP
     $currentBlockType = null;
     $toolUseBlocks = [];
     $stopReason = null;
+    $usage = [];
 
     curl_setopt_array($ch, [
         CURLOPT_POST => true,
@@ -139,7 +215,12 @@ function processStreamingResponse(array $messages, array $tools, string $systemP
             'anthropic-version: 2023-06-01'
         ],
         CURLOPT_RETURNTRANSFER => false,
-        CURLOPT_WRITEFUNCTION => function ($ch, $data) use (&$responseBuffer, &$currentContent, &$contentBlocks, &$currentBlockIndex, &$currentBlockType, &$toolUseBlocks, &$stopReason) {
+        CURLOPT_WRITEFUNCTION => function ($ch, $data) use (&$responseBuffer, &$currentContent, &$contentBlocks, &$currentBlockIndex, &$currentBlockType, &$toolUseBlocks, &$stopReason, &$usage) {
+            // Client went away: returning a short count aborts the transfer
+            if (connection_aborted()) {
+                return 0;
+            }
+
             $responseBuffer .= $data;
 
             // Process complete SSE events
@@ -164,6 +245,10 @@ function processStreamingResponse(array $messages, array $tools, string $systemP
                 }
 
                 switch ($eventType) {
+                    case 'message_start':
+                        $usage = $eventData['message']['usage'] ?? [];
+                        break;
+
                     case 'content_block_start':
                         $currentBlockIndex = $eventData['index'] ?? 0;
                         $block = $eventData['content_block'] ?? [];
@@ -185,6 +270,17 @@ function processStreamingResponse(array $messages, array $tools, string $systemP
                                 'type' => 'text',
                                 'text' => ''
                             ];
+                        } elseif ($currentBlockType === 'thinking') {
+                            $contentBlocks[$currentBlockIndex] = [
+                                'type' => 'thinking',
+                                'thinking' => '',
+                                'signature' => ''
+                            ];
+                        } elseif ($currentBlockType === 'redacted_thinking') {
+                            $contentBlocks[$currentBlockIndex] = [
+                                'type' => 'redacted_thinking',
+                                'data' => $block['data'] ?? ''
+                            ];
                         }
                         break;
 
@@ -205,6 +301,16 @@ function processStreamingResponse(array $messages, array $tools, string $systemP
                                 $toolUseBlocks[$currentBlockIndex]['input'] .= $partialJson;
                             }
                             sendEvent('tool_input_delta', ['partial' => $partialJson]);
+                        } elseif ($deltaType === 'thinking_delta') {
+                            $thinking = $delta['thinking'] ?? '';
+                            if (isset($contentBlocks[$currentBlockIndex])) {
+                                $contentBlocks[$currentBlockIndex]['thinking'] .= $thinking;
+                            }
+                            sendEvent('thinking', ['text' => $thinking]);
+                        } elseif ($deltaType === 'signature_delta') {
+                            if (isset($contentBlocks[$currentBlockIndex])) {
+                                $contentBlocks[$currentBlockIndex]['signature'] .= $delta['signature'] ?? '';
+                            }
                         }
                         break;
 
@@ -213,11 +319,16 @@ function processStreamingResponse(array $messages, array $tools, string $systemP
                             // Parse the complete JSON input
                             $inputJson = $toolUseBlocks[$currentBlockIndex]['input'];
                             $toolUseBlocks[$currentBlockIndex]['input'] = json_decode($inputJson, true) ?? [];
+                        } elseif (in_array($currentBlockType, ['thinking', 'redacted_thinking'], true) && isset($contentBlocks[$currentBlockIndex])) {
+                            // The complete (signed) block goes into the UI's history
+                            sendEvent('thinking_block', ['block' => $contentBlocks[$currentBlockIndex]]);
                         }
                         break;
 
                     case 'message_delta':
                         $stopReason = $eventData['delta']['stop_reason'] ?? null;
+                        // Counts here are cumulative and replace message_start's
+                        $usage = array_merge($usage, $eventData['usage'] ?? []);
                         break;
                 }
             }
@@ -247,15 +358,671 @@ function processStreamingResponse(array $messages, array $tools, string $systemP
             529 => 'Anthropic is overloaded - try again later',
         ];
         $msg = $errorMessages[$httpCode] ?? "API error (HTTP {$httpCode})";
-        throw new Exception($msg);
+        throw new Exception($msg, $httpCode);
     }
 
     return [
         'content' => $currentContent,
         'content_blocks' => $contentBlocks,
         'tool_use' => array_values($toolUseBlocks),
-        'stop_reason' => $stopReason
+        'stop_reason' => $stopReason,
+        'usage' => $usage
+    ];
+}
+
+/**
+ * Get the retry policy for rate-limit (429) and overload (529) errors
+ * Defaults follow the System Errors row of error-contracts.md: 3 retries
+ * with exponential backoff (1s, 2s, 4s).
+ */
+function getRetryPolicy(): array
+{
+    return [
+        'statusCodes' => [429, 529],
+        'maxAttempts' => defined('RETRY_MAX_ATTEMPTS') ? RETRY_MAX_ATTEMPTS : 3,
+        'initialDelay' => defined('RETRY_INITIAL_DELAY') ? RETRY_INITIAL_DELAY : 1000
+    ];
+}
+
+/**
+ * Process a streaming response, retrying rate-limit and overload errors
+ * Each wait is announced with a retry event so the UI can count down.
+ */
+function processStreamingResponseWithRetry(array $messages, array $tools, string $systemPrompt, array $settings): array
+{
+    $policy = getRetryPolicy();
+    $attempt = 0;
+
+    startSpan('model_call', ['gen_ai.system' => 'anthropic', 'gen_ai.request.model' => $settings['model']]);
+
+    while (true) {
+        try {
+            $response = processStreamingResponse($messages, $tools, $systemPrompt, $settings);
+            endSpan([
+                'gen_ai.usage.input_tokens' => (int) ($response['usage']['input_tokens'] ?? 0),
+                'gen_ai.usage.output_tokens' => (int) ($response['usage']['output_tokens'] ?? 0),
+                'gen_ai.usage.cache_read_tokens' => (int) ($response['usage']['cache_read_input_tokens'] ?? 0),
+                'gen_ai.usage.cache_write_tokens' => (int) ($response['usage']['cache_creation_input_tokens'] ?? 0),
+                'gen_ai.response.finish_reason' => (string) $response['stop_reason'],
+                'retry.count' => $attempt
+            ]);
+            return $response;
+        } catch (Exception $e) {
+            if (!in_array($e->getCode(), $policy['statusCodes'], true) || $attempt >= $policy['maxAttempts']) {
+                endSpan(['retry.count' => $attempt], [
+                    'code' => $e->getCode() === 429 ? 'RATE_LIMITED' : ($e->getCode() === 529 ? 'AGENT_UNAVAILABLE' : 'INTERNAL_ERROR'),
+                    'message' => $e->getMessage(),
+                    'recoverable' => in_array($e->getCode(), $policy['statusCodes'], true)
+                ]);
+                throw $e;
+            }
+        }
+
+        addSpanEvent('retry', ['http.status_code' => $e->getCode(), 'retry.attempt' => $attempt + 1]);
+
+        $attempt++;
+        $delay = $policy['initialDelay'] * 2 ** ($attempt - 1);
+
+        sendEvent('retry', [
+            'code' => $e->getCode() === 429 ? 'RATE_LIMITED' : 'AGENT_UNAVAILABLE',
+            'status' => $e->getCode(),
+            'message' => $e->getMessage(),
+            'attempt' => $attempt,
+            'maxAttempts' => $policy['maxAttempts'],
+            'delay' => $delay
+        ]);
+
+        // Wait in short steps so Stop doesn't have to sit out the delay
+        for ($waited = 0; $waited < $delay; $waited += 250) {
+            if (!isClientConnected()) {
+                throw $e;
+            }
+            usleep(min(250, $delay - $waited) * 1000);
+        }
+    }
+}
+
+/**
+ * Get the price table in USD per million tokens, keyed by model ID prefix
+ * Set MODEL_PRICES in config.php (same shape) to add or override models.
+ */
+function getModelPrices(): array
+{
+    $prices = [
+        'claude-opus-4-5' => ['input' => 5, 'output' => 25, 'cacheWrite' => 6.25, 'cacheRead' => 0.5],
+        'claude-opus-4' => ['input' => 15, 'output' => 75, 'cacheWrite' => 18.75, 'cacheRead' => 1.5],
+        'claude-sonnet-4' => ['input' => 3, 'output' => 15, 'cacheWrite' => 3.75, 'cacheRead' => 0.3],
+        'claude-3-7-sonnet' => ['input' => 3, 'output' => 15, 'cacheWrite' => 3.75, 'cacheRead' => 0.3],
+        'claude-haiku-4-5' => ['input' => 1, 'output' => 5, 'cacheWrite' => 1.25, 'cacheRead' => 0.1],
+        'claude-3-5-haiku' => ['input' => 0.8, 'output' => 4, 'cacheWrite' => 1, 'cacheRead' => 0.08],
+        'claude-3-haiku' => ['input' => 0.25, 'output' => 1.25, 'cacheWrite' => 0.3, 'cacheRead' => 0.03],
+    ];
+
+    if (defined('MODEL_PRICES') && is_array(MODEL_PRICES)) {
+        $prices = array_merge($prices, MODEL_PRICES);
+    }
+
+    return $prices;
+}
+
+/**
+ * Summarize one API call's token usage for the UI, with its cost
+ * The longest matching model prefix sets the price; cost is null when
+ * the model isn't in the table. With prompt caching on, a call that read
+ * from the cache is a hit, anything else a miss.
+ */
+function summarizeUsage(string $model, array $usage, bool $promptCache = false): array
+{
+    $summary = [
+        'model' => $model,
+        'inputTokens' => (int) ($usage['input_tokens'] ?? 0),
+        'outputTokens' => (int) ($usage['output_tokens'] ?? 0),
+        'cacheWriteTokens' => (int) ($usage['cache_creation_input_tokens'] ?? 0),
+        'cacheReadTokens' => (int) ($usage['cache_read_input_tokens'] ?? 0),
+        'cache' => 'off',
+        'cost' => null
+    ];
+
+    if ($promptCache) {
+        $summary['cache'] = $summary['cacheReadTokens'] > 0 ? 'hit' : 'miss';
+    }
+
+    $price = null;
+    $matched = '';
+    foreach (getModelPrices() as $prefix => $candidate) {
+        if (strpos($model, $prefix) === 0 && strlen($prefix) > strlen($matched)) {
+            $price = $candidate;
+            $matched = $prefix;
+        }
+    }
+
+    if ($price !== null) {
+        $summary['cost'] = (
+            $summary['inputTokens'] * ($price['input'] ?? 0)
+            + $summary['outputTokens'] * ($price['output'] ?? 0)
+            + $summary['cacheWriteTokens'] * ($price['cacheWrite'] ?? 0)
+            + $summary['cacheReadTokens'] * ($price['cacheRead'] ?? 0)
+        ) / 1000000;
+    }
+
+    return $summary;
+}
+
+/**
+ * Normalize conversation messages before sending them to the API
+ *
+ * Saved conversations may carry UI-only fields next to the content
+ * blocks; only the fields the Messages API accepts are kept, and empty
+ * messages are dropped.
+ */
+function normalizeMessages(array $messages): array
+{
+    $normalized = [];
+
+    foreach ($messages as $message) {
+        $role = $message['role'] ?? '';
+        if ($role !== 'user' && $role !== 'assistant') {
+            continue;
+        }
+
+        $content = $message['content'] ?? '';
+
+        if (is_string($content)) {
+            if (trim($content) !== '') {
+                $normalized[] = ['role' => $role, 'content' => $content];
+            }
+            continue;
+        }
+
+        $blocks = [];
+        foreach ((array) $content as $block) {
+            $block = normalizeContentBlock($block);
+            if ($block !== null) {
+                $blocks[] = $block;
+            }
+        }
+
+        if (!empty($blocks)) {
+            $normalized[] = ['role' => $role, 'content' => $blocks];
+        }
+    }
+
+    return closeOrphanedToolUses($normalized);
+}
+
+/**
+ * Give every tool call that never got a result (e.g. a permission request
+ * the user abandoned) an error result, so the history stays valid
+ *
+ * A trailing assistant message is left alone: its calls are pending.
+ */
+function closeOrphanedToolUses(array $messages): array
+{
+    $closed = [];
+    $count = count($messages);
+
+    for ($i = 0; $i < $count; $i++) {
+        $message = $messages[$i];
+        $closed[] = $message;
+
+        if ($message['role'] !== 'assistant' || !is_array($message['content']) || $i === $count - 1) {
+            continue;
+        }
+
+        $next = $messages[$i + 1];
+        $answered = [];
+        if ($next['role'] === 'user' && is_array($next['content'])) {
+            foreach ($next['content'] as $block) {
+                if ($block['type'] === 'tool_result') {
+                    $answered[] = $block['tool_use_id'];
+                }
+            }
+        }
+
+        $missing = [];
+        foreach ($message['content'] as $block) {
+            if ($block['type'] === 'tool_use' && !in_array($block['id'], $answered, true)) {
+                $missing[] = [
+                    'type' => 'tool_result',
+                    'tool_use_id' => $block['id'],
+                    'content' => 'Tool call was cancelled before it ran.',
+                    'is_error' => true
+                ];
+            }
+        }
+
+        if (empty($missing)) {
+            continue;
+        }
+
+        // Results must lead the next user message
+        if ($next['role'] === 'user') {
+            $nextContent = is_array($next['content'])
+                ? $next['content']
+                : [['type' => 'text', 'text' => $next['content']]];
+            $messages[$i + 1]['content'] = array_merge($missing, $nextContent);
+        } else {
+            $closed[] = ['role' => 'user', 'content' => $missing];
+        }
+    }
+
+    return $closed;
+}
+
+/**
+ * Normalize a single content block (null if it should be dropped)
+ */
+function normalizeContentBlock($block): ?array
+{
+    if (!is_array($block)) {
+        return null;
+    }
+
+    switch ($block['type'] ?? '') {
+        case 'text':
+            $text = $block['text'] ?? '';
+            if (!is_string($text) || trim($text) === '') {
+                return null;
+            }
+            return ['type' => 'text', 'text' => $text];
+
+        // Thinking blocks go back unchanged: the signature covers their content
+        case 'thinking':
+            if (empty($block['signature'])) {
+                return null;
+            }
+            return [
+                'type' => 'thinking',
+                'thinking' => $block['thinking'] ?? '',
+                'signature' => $block['signature']
+            ];
+
+        case 'redacted_thinking':
+            return ['type' => 'redacted_thinking', 'data' => $block['data'] ?? ''];
+
+        case 'tool_use':
+            return [
+                'type' => 'tool_use',
+                'id' => $block['id'] ?? '',
+                'name' => $block['name'] ?? '',
+                // Tool input must encode as a JSON object, even when empty
+                'input' => (object) ($block['input'] ?? [])
+            ];
+
+        case 'tool_result':
+            $result = [
+                'type' => 'tool_result',
+                'tool_use_id' => $block['tool_use_id'] ?? '',
+                'content' => $block['content'] ?? ''
+            ];
+            if (!empty($block['is_error'])) {
+                $result['is_error'] = true;
+            }
+            return $result;
+
+        // Attachments (the UI also stores a file name on images)
+        case 'image':
+            if (($block['source']['type'] ?? '') !== 'base64' || empty($block['source']['data'])) {
+                return null;
+            }
+            return [
+                'type' => 'image',
+                'source' => [
+                    'type' => 'base64',
+                    'media_type' => $block['source']['media_type'] ?? '',
+                    'data' => $block['source']['data']
+                ]
+            ];
+
+        case 'document':
+            $source = $block['source'] ?? [];
+            if (!in_array($source['type'] ?? '', ['text', 'base64'], true) || !isset($source['data'])) {
+                return null;
+            }
+            $document = [
+                'type' => 'document',
+                'source' => [
+                    'type' => $source['type'],
+                    'media_type' => $source['media_type'] ?? 'text/plain',
+                    'data' => $source['data']
+                ]
+            ];
+            if (!empty($block['title'])) {
+                $document['title'] = (string) $block['title'];
+            }
+            return $document;
+
+        default:
+            return null;
+    }
+}
+
+// Rough token cost of one image (a ~1000x1000 picture)
+const IMAGE_TOKENS = 1600;
+
+/**
+ * Estimate the tokens a request will use (about 4 characters per token)
+ * Images count as a flat IMAGE_TOKENS each instead of their base64 size.
+ */
+function estimateTokens(array $messages, string $systemPrompt, array $tools): int
+{
+    $images = 0;
+    foreach ($messages as &$message) {
+        if (!is_array($message['content'] ?? null)) {
+            continue;
+        }
+        foreach ($message['content'] as &$block) {
+            if (($block['type'] ?? '') === 'image') {
+                $block['source']['data'] = '';
+                $images++;
+            }
+        }
+        unset($block);
+    }
+    unset($message);
+
+    return (int) ceil(strlen(json_encode([$systemPrompt, $tools, $messages])) / 4) + $images * IMAGE_TOKENS;
+}
+
+/**
+ * Get the estimated size above which older turns are compacted
+ */
+function getContextLimit(): int
+{
+    return defined('CONTEXT_TOKEN_LIMIT') ? CONTEXT_TOKEN_LIMIT : 150000;
+}
+
+/**
+ * Build the view of the conversation the model sees
+ *
+ * The client keeps the full transcript. A compaction marker
+ * ({"role": "compaction"}) stands in for everything before it: "trim"
+ * drops old tool outputs, "summarize" replaces the turns with a summary.
+ */
+function applyCompaction(array $messages): array
+{
+    $markerIndex = null;
+    foreach ($messages as $index => $message) {
+        if (($message['role'] ?? '') === 'compaction') {
+            $markerIndex = $index;
+        }
+    }
+
+    if ($markerIndex === null) {
+        return $messages;
+    }
+
+    $marker = $messages[$markerIndex];
+    $before = array_slice($messages, 0, $markerIndex);
+    $after = array_slice($messages, $markerIndex + 1);
+
+    if (($marker['strategy'] ?? '') !== 'summarize') {
+        return array_merge(trimToolResults(applyCompaction($before)), $after);
+    }
+
+    // The summary leads the first kept user message (roles must alternate)
+    $summary = [
+        'type' => 'text',
+        'text' => "[Summary of the earlier conversation]\n\n" . ($marker['summary'] ?? '')
+    ];
+    if (!empty($after) && ($after[0]['role'] ?? '') === 'user') {
+        $content = $after[0]['content'] ?? '';
+        $after[0]['content'] = array_merge(
+            [$summary],
+            is_array($content) ? $content : [['type' => 'text', 'text' => $content]]
+        );
+        return $after;
+    }
+
+    return array_merge([['role' => 'user', 'content' => [$summary]]], $after);
+}
+
+/**
+ * Replace tool outputs with a short note (the calls themselves stay)
+ */
+function trimToolResults(array $messages): array
+{
+    foreach ($messages as &$message) {
+        if (!is_array($message['content'] ?? null)) {
+            continue;
+        }
+        foreach ($message['content'] as &$block) {
+            if (($block['type'] ?? '') === 'tool_result') {
+                $block['content'] = '[Output removed to save context]';
+            }
+        }
+        unset($block);
+    }
+    unset($message);
+
+    return $messages;
+}
+
+/**
+ * Keep at most $max messages, starting at a user's own message
+ * (so no tool result loses its call)
+ */
+function limitHistory(array $messages, int $max): array
+{
+    if ($max <= 0 || count($messages) <= $max) {
+        return $messages;
+    }
+
+    $messages = array_slice($messages, -$max);
+    while (!empty($messages) && !isUserTurn($messages[0])) {
+        array_shift($messages);
+    }
+
+    return $messages;
+}
+
+/**
+ * Check whether a message is something the user typed (not tool results)
+ */
+function isUserTurn(array $message): bool
+{
+    if (($message['role'] ?? '') !== 'user') {
+        return false;
+    }
+
+    $content = $message['content'] ?? '';
+    if (is_string($content)) {
+        return trim($content) !== '';
+    }
+
+    foreach ($content as $block) {
+        if (($block['type'] ?? '') === 'tool_result') {
+            return false;
+        }
+    }
+    return !empty($content);
+}
+
+/**
+ * Compact older turns when the conversation outgrows the context limit
+ *
+ * Turns before the second-to-last user message are compacted: first by
+ * dropping their tool outputs, and if that isn't enough, by having the
+ * model summarize them. Returns the messages with a compaction marker
+ * inserted (the client stores it at the same index), or null if nothing
+ * needed to change. $force (the /compact command) summarizes regardless of
+ * size, and a failed summary throws instead of falling back to trimming.
+ */
+function compactContext(array $messages, string $systemPrompt, array $tools, array $settings, bool $force = false): ?array
+{
+    $limit = getContextLimit();
+    $before = estimateTokens(normalizeMessages(applyCompaction($messages)), $systemPrompt, $tools);
+    if (!$force && $before <= $limit) {
+        return null;
+    }
+
+    // Only turns after the last marker can be compacted
+    $turns = [];
+    foreach ($messages as $index => $message) {
+        if (($message['role'] ?? '') === 'compaction') {
+            $turns = [];
+        } elseif (isUserTurn($message)) {
+            $turns[] = $index;
+        }
+    }
+
+    $keep = count($turns) > 2 ? 2 : 1;
+    if (count($turns) <= $keep) {
+        return null;
+    }
+    $split = $turns[count($turns) - $keep];
+
+    $marker = ['role' => 'compaction', 'strategy' => 'trim'];
+    $compacted = $messages;
+    array_splice($compacted, $split, 0, [$marker]);
+    $after = estimateTokens(normalizeMessages(applyCompaction($compacted)), $systemPrompt, $tools);
+
+    if ($force || $after > $limit) {
+        try {
+            $older = normalizeMessages(applyCompaction(array_slice($messages, 0, $split)));
+            $marker = [
+                'role' => 'compaction',
+                'strategy' => 'summarize',
+                'summary' => requestSummary($older, $settings)
+            ];
+            $compacted = $messages;
+            array_splice($compacted, $split, 0, [$marker]);
+            $after = estimateTokens(normalizeMessages(applyCompaction($compacted)), $systemPrompt, $tools);
+        } catch (Exception $e) {
+            if ($force) {
+                throw $e;
+            }
+            // Keep the trim marker; the request may still fit
+        }
+    }
+
+    $marker['tokensBefore'] = $before;
+    $marker['tokensAfter'] = $after;
+    $compacted[$split] = $marker;
+
+    sendEvent('compaction', ['index' => $split, 'marker' => $marker]);
+
+    return $compacted;
+}
+
+/**
+ * Ask the model for a summary of older turns (non-streaming)
+ * The turns go in as a plain-text transcript, so tool call pairing and
+ * thinking signatures don't matter.
+ */
+function requestSummary(array $messages, array $settings): string
+{
+    $payload = [
+        'model' => $settings['model'],
+        'max_tokens' => 2048,
+        'system' => 'You compress conversations between a user and an AI agent. Write a concise summary that keeps '
+            . 'every decision, requirement, file path, open question and piece of unfinished work the agent will '
+            . 'need to continue. Use short bullet points.',
+        'messages' => [[
+            'role' => 'user',
+            'content' => "Summarize this conversation:\n\n" . transcriptText($messages)
+        ]]
     ];
+
+    startSpan('compact', ['gen_ai.system' => 'anthropic', 'gen_ai.request.model' => $settings['model']]);
+
+    $ch = curl_init('https://api.anthropic.com/v1/messages');
+    curl_setopt_array($ch, [
+        CURLOPT_POST => true,
+        CURLOPT_POSTFIELDS => json_encode($payload),
+        CURLOPT_HTTPHEADER => [
+            'Content-Type: application/json',
+            'x-api-key: ' . ANTHROPIC_API_KEY,
+            'anthropic-version: 2023-06-01'
+        ],
+        CURLOPT_RETURNTRANSFER => true
+    ]);
+
+    $body = curl_exec($ch);
+    $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+    curl_close($ch);
+
+    $response = json_decode((string) $body, true);
+    if ($httpCode !== 200 || !isset($response['content'])) {
+        endSpan([], ['code' => 'INTERNAL_ERROR', 'message' => "Summary request failed (HTTP {$httpCode})", 'recoverable' => true]);
+        throw new Exception("Summary request failed (HTTP {$httpCode})");
+    }
+
+    endSpan([
+        'gen_ai.usage.input_tokens' => (int) ($response['usage']['input_tokens'] ?? 0),
+        'gen_ai.usage.output_tokens' => (int) ($response['usage']['output_tokens'] ?? 0)
+    ]);
+
+    $summary = '';
+    foreach ($response['content'] as $block) {
+        if (($block['type'] ?? '') === 'text') {
+            $summary .= $block['text'];
+        }
+    }
+
+    return trim($summary);
+}
+
+/**
+ * Render messages as a plain-text transcript (long tool outputs are cut)
+ */
+function transcriptText(array $messages): string
+{
+    $lines = [];
+
+    foreach ($messages as $message) {
+        $speaker = $message['role'] === 'user' ? 'User' : 'Assistant';
+        $content = $message['content'];
+
+        if (is_string($content)) {
+            $lines[] = "{$speaker}: {$content}";
+            continue;
+        }
+
+        foreach ($content as $block) {
+            switch ($block['type']) {
+                case 'text':
+                    $lines[] = "{$speaker}: {$block['text']}";
+                    break;
+                case 'tool_use':
+                    $lines[] = "[Tool call {$block['name']}: " . json_encode($block['input']) . ']';
+                    break;
+                case 'tool_result':
+                    $output = is_string($block['content']) ? $block['content'] : json_encode($block['content']);
+                    if (strlen($output) > 1500) {
+                        $output = substr($output, 0, 1500) . '...';
+                    }
+                    $lines[] = "[Tool result: {$output}]";
+                    break;
+                case 'image':
+                    $lines[] = '[Attached image]';
+                    break;
+                case 'document':
+                    $lines[] = '[Attached file: ' . ($block['title'] ?? 'untitled') . ']';
+                    break;
+            }
+        }
+    }
+
+    return implode("\n\n", $lines);
+}
+
+/**
+ * Format a tool result for the API (same fallback order as the UI)
+ */
+function formatToolResult(string $toolId, array $result): array
+{
+    $toolResult = [
+        'type' => 'tool_result',
+        'tool_use_id' => $toolId,
+        'content' => $result['content'] ?? $result['message'] ?? $result['error'] ?? json_encode($result)
+    ];
+
+    if (empty($result['success'])) {
+        $toolResult['is_error'] = true;
+    }
+
+    return $toolResult;
 }
 
 /**
@@ -377,11 +1144,498 @@ function buildPromptFromAgentJson(array $data): string
     return $prompt;
 }
 
+/**
+ * Load an agent's agent.json (the framework agent when no ID is given)
+ */
+function loadAgentConfig(?string $agentId = null): array
+{
+    $agentPath = $agentId ? findAgentPath($agentId) : null;
+
+    if (!$agentPath && defined('FRAMEWORK_DIRECTORY') && FRAMEWORK_DIRECTORY !== '') {
+        $agentPath = FRAMEWORK_DIRECTORY;
+    }
+
+    if (!$agentPath || !file_exists($agentPath . '/agent.json')) {
+        return [];
+    }
+
+    $data = json_decode(file_get_contents($agentPath . '/agent.json'), true);
+    return is_array($data) ? $data : [];
+}
+
+// Extended thinking budget (tokens): the API minimum, and the default when none is set
+const THINKING_MIN_BUDGET = 1024;
+const THINKING_DEFAULT_BUDGET = 4096;
+
+/**
+ * Resolve the model, max_tokens, temperature, thinking budget, prompt
+ * caching and system addendum for a request
+ * Conversation settings win over the agent's "modelSettings" in agent.json,
+ * which win over config.php. Unset or invalid values fall through.
+ */
+function resolveModelSettings(array $agentConfig, array $settings): array
+{
+    $resolved = [
+        'model' => ANTHROPIC_MODEL,
+        'maxTokens' => MAX_TOKENS,
+        'temperature' => null,
+        'thinkingBudget' => 0,
+        'promptCache' => true,
+        'systemAddendum' => ''
+    ];
+
+    $thinking = false;
+    $budget = THINKING_DEFAULT_BUDGET;
+
+    foreach ([(array) ($agentConfig['modelSettings'] ?? []), $settings] as $source) {
+        if (is_string($source['model'] ?? null) && trim($source['model']) !== '') {
+            $resolved['model'] = trim($source['model']);
+        }
+        if (is_numeric($source['maxTokens'] ?? null) && (int) $source['maxTokens'] > 0) {
+            $resolved['maxTokens'] = (int) $source['maxTokens'];
+        }
+        if (is_numeric($source['temperature'] ?? null)) {
+            $resolved['temperature'] = max(0.0, min(1.0, (float) $source['temperature']));
+        }
+        if (isset($source['thinking'])) {
+            $thinking = (bool) $source['thinking'];
+        }
+        if (is_numeric($source['thinkingBudget'] ?? null)) {
+            $budget = (int) $source['thinkingBudget'];
+        }
+        if (is_string($source['systemAddendum'] ?? null)) {
+            $resolved['systemAddendum'] = trim($source['systemAddendum']);
+        }
+        if (isset($source['promptCache'])) {
+            $resolved['promptCache'] = (bool) $source['promptCache'];
+        }
+    }
+
+    // Thinking is opt-in; a budget alone doesn't turn it on
+    $resolved['thinkingBudget'] = $thinking ? max(THINKING_MIN_BUDGET, $budget) : 0;
+
+    return $resolved;
+}
+
+// Cookie naming the chat session
+const CHAT_SESSION_NAME = 'forge_session';
+
+/**
+ * Open the chat session and take its held tool calls
+ *
+ * The session is the server's record of the tool calls waiting for the
+ * user's approval and the tools the user allowed for the session; the
+ * client's copies are never trusted. Its cookie is sent by hand, so the
+ * session can still be written at a pause, after the stream has started.
+ *
+ * Returns ['held' => [id => ['name', 'hash']], 'allowedTools' => [...]].
+ */
+function openChatSession(): array
+{
+    ini_set('session.use_cookies', '0');
+    session_name(CHAT_SESSION_NAME);
+
+    $id = $_COOKIE[CHAT_SESSION_NAME] ?? '';
+    if (is_string($id) && preg_match('/^[A-Za-z0-9,-]{22,256}$/', $id)) {
+        session_id($id);
+    }
+    session_start();
+
+    if (session_id() !== $id) {
+        setcookie(CHAT_SESSION_NAME, session_id(), ['path' => '/', 'httponly' => true, 'samesite' => 'Strict']);
+    }
+
+    $session = [
+        'held' => $_SESSION['heldToolUses'] ?? [],
+        'allowedTools' => $_SESSION['allowedTools'] ?? []
+    ];
+
+    // Held calls resume once: this request answers or abandons them
+    $_SESSION['heldToolUses'] = [];
+    session_write_close();
+
+    return $session;
+}
+
+/**
+ * Write values to the chat session opened by openChatSession()
+ */
+function saveChatSession(array $values): void
+{
+    session_start();
+    foreach ($values as $key => $value) {
+        $_SESSION[$key] = $value;
+    }
+    session_write_close();
+}
+
+/**
+ * Hash a tool call, so a resumed call must match the one that was held
+ */
+function hashToolUse(string $name, $input): string
+{
+    // Decoded as arrays so the model's {} and the client's [] hash alike
+    return hash('sha256', json_encode([$name, json_decode(json_encode($input), true)]));
+}
+
+/**
+ * Get the tool calls awaiting results at the end of the conversation
+ * (the client resumes with these after the user answers a permission request)
+ */
+function getPendingToolUses(array $messages): array
+{
+    $last = end($messages);
+
+    if (!$last || $last['role'] !== 'assistant' || !is_array($last['content'])) {
+        return [];
+    }
+
+    return array_values(array_filter($last['content'], function ($block) {
+        return $block['type'] === 'tool_use';
+    }));
+}
+
+/**
+ * Run the tool calls from one model response
+ *
+ * Returns the tool_result blocks, or null if the client disconnected.
+ * Each call and its raw result is also appended to $log.
+ */
+function runToolUses(array $toolUses, array $permissions, array &$log = []): ?array
+{
+    $toolResults = [];
+
+    foreach ($toolUses as $toolUse) {
+        $toolName = $toolUse['name'];
+        $toolInput = (array) $toolUse['input'];
+        $toolId = $toolUse['id'];
+
+        // Don't start tools for a client that has stopped listening
+        if (!isClientConnected()) {
+            return null;
+        }
+
+        // Resuming: only the calls the server held run, unchanged
+        $held = $permissions['held'] ?? null;
+        if ($held !== null && ($held[$toolId]['hash'] ?? null) !== hashToolUse($toolName, $toolInput)) {
+            $permission = ['decision' => 'deny', 'reason' => 'not-held'];
+        } else {
+            $permission = getToolPermission($toolName, $toolId, $permissions);
+        }
+        if ($permission['reason'] !== 'read-only') {
+            logToolPermission($toolName, $toolInput, $permission, $permissions['agentId'] ?? null);
+        }
+
+        startSpan($toolName === 'delegate_task' ? 'delegate' : $toolName, [
+            'tool.name' => $toolName,
+            'tool.use_id' => $toolId,
+            'tool.permission' => $permission['decision'] === 'allow' ? 'allowed' : 'denied'
+        ]);
+
+        // Execute the tool (unless the user or agent policy denied it)
+        if ($permission['decision'] === 'allow') {
+            $result = $toolName === 'delegate_task'
+                ? runDelegatedTask($toolId, $toolInput, $permissions)
+                : executeTool($toolName, $toolInput);
+        } elseif ($permission['reason'] === 'not-held') {
+            $result = [
+                'success' => false,
+                'error' => 'Not run: this tool call was not waiting for approval.'
+            ];
+        } elseif ($permission['decision'] === 'ask' && isset($permissions['delegationChain'])) {
+            $result = [
+                'success' => false,
+                'error' => 'Permission denied: a delegated agent cannot ask for approval. The user can allow this tool for the session ("Always allow") or in the agent\'s permissions.'
+            ];
+        } else {
+            $result = [
+                'success' => false,
+                'error' => 'Permission denied: the user did not allow this tool call.'
+            ];
+        }
+
+        endSpan(['tool.success' => !empty($result['success'])], empty($result['success']) ? [
+            'code' => $result['task']['error']['code'] ?? null,
+            'message' => $result['error'] ?? ($result['task']['error']['message'] ?? 'Tool failed'),
+            'recoverable' => $result['task']['error']['recoverable'] ?? null
+        ] : null);
+
+        // Send tool result event
+        sendEvent('tool_result', [
+            'id' => $toolId,
+            'name' => $toolName,
+            'input' => $toolInput,
+            'result' => $result
+        ]);
+
+        // Format result for API
+        $toolResults[] = formatToolResult($toolId, $result);
+        $log[] = ['type' => 'tool', 'id' => $toolId, 'name' => $toolName, 'input' => $toolInput, 'result' => $result];
+    }
+
+    return $toolResults;
+}
+
+// Tool loop rounds a delegated agent gets to finish its task
+const DELEGATION_MAX_ITERATIONS = 10;
+
+/**
+ * Run a delegate_task call (see subprocess-delegation.md)
+ *
+ * The target agent works the taskRequest in a tool loop of its own: its
+ * system prompt, model settings and permission policy, plus the tools the
+ * user allowed for the session. It cannot pause for approval. The
+ * tool result carries the taskResponse (task.schema.json) for the model
+ * and the nested run ('delegation') for the UI's sub-thread.
+ */
+function runDelegatedTask(string $toolId, array $input, array $permissions): array
+{
+    $startedAt = microtime(true);
+    $source = $permissions['agentId'] ?? (defined('FRAMEWORK_DIRECTORY') ? getAgentDirectoryName(FRAMEWORK_DIRECTORY) : 'forge');
+    $chain = $permissions['delegationChain'] ?? [$source];
+
+    // The model's input as a taskRequest, with the context and routing filled in
+    $task = json_decode(json_encode($input));
+    foreach (['payload', 'context', 'routing'] as $key) {
+        if (isset($task->$key) && $task->$key === []) {
+            $task->$key = new stdClass();
+        }
+    }
+    $id = is_string($task->id ?? null) ? $task->id : $toolId;
+    $target = is_string($task->routing->target ?? null) ? $task->routing->target : '';
+
+    $schema = loadSchema('task');
+    $errors = $schema !== null ? validateSchema($task, ['$ref' => '#/definitions/taskRequest'], $schema) : [];
+    if (!empty($errors)) {
+        return buildTaskResult($id, $target, $startedAt, [], '', [
+            'code' => 'INVALID_INPUT',
+            'message' => 'The task does not match taskRequest: ' . implode('; ', $errors),
+            'recoverable' => true
+        ]);
+    }
+
+    // Checked even without the schema: the fields written to below
+    if (!is_object($task->routing ?? null) || !is_string($task->type ?? null) || (isset($task->context) && !is_object($task->context))) {
+        return buildTaskResult($id, $target, $startedAt, [], '', [
+            'code' => 'INVALID_INPUT',
+            'message' => 'The task needs a type, a routing object and (if given) a context object',
+            'recoverable' => true
+        ]);
+    }
+
+    $agentPath = $target !== '' ? findAgentPath($target) : null;
+    if ($agentPath === null) {
+        return buildTaskResult($id, $target, $startedAt, [], '', [
+            'code' => 'AGENT_NOT_FOUND',
+            'message' => $target === '' ? 'routing.target must name the agent to delegate to' : "There is no agent named '{$target}'",
+            'recoverable' => false
+        ]);
+    }
+    if (in_array($target, $chain, true)) {
+        return buildTaskResult($id, $target, $startedAt, [], '', [
+            'code' => 'TASK_GRAPH_CYCLE',
+            'message' => 'The task would return to an agent already working on it: ' . implode(' → ', array_merge($chain, [$target])),
+            'recoverable' => false
+        ]);
+    }
+
+    $agentConfig = loadAgentConfig($target);
+    if (($agentConfig['coordination']['acceptsSubtasks'] ?? true) === false) {
+        return buildTaskResult($id, $target, $startedAt, [], '', [
+            'code' => 'DELEGATION_FAILED',
+            'message' => "{$target} does not accept subtasks (coordination.acceptsSubtasks is false)",
+            'recoverable' => false
+        ]);
+    }
+
+    $skills = array_column($agentConfig['skills'] ?? [], 'id');
+    if (!empty($skills) && !in_array($task->type, $skills, true)) {
+        return buildTaskResult($id, $target, $startedAt, [], '', [
+            'code' => 'CAPABILITY_NOT_FOUND',
+            'message' => "{$target} has no skill '{$task->type}' (skills: " . implode(', ', $skills) . ')',
+            'recoverable' => false
+        ]);
+    }
+
+    $task->context = $task->context ?? new stdClass();
+    $task->context->parentTaskId = $task->context->parentTaskId ?? $toolId;
+    $task->context->timestamp = $task->context->timestamp ?? date('c');
+    $task->routing->source = $source;
+    $task->routing->delegationChain = array_merge($chain, [$target]);
+
+    // Carries the delegate span's context, as observability.md propagates it
+    $traceContext = getTraceContext();
+    if ($traceContext !== null) {
+        $task->observability = (object) $traceContext;
+    }
+
+    sendEvent('delegate_start', [
+        'id' => $toolId,
+        'agent' => $target,
+        'name' => $agentConfig['displayName'] ?? $target,
+        'input' => $input,
+        'task' => $task
+    ]);
+
+    $tools = getAgentToolDefinitions($agentConfig);
+    $systemPrompt = loadAgentPrompt($target);
+    $settings = resolveModelSettings($agentConfig, []);
+    $nestedPermissions = [
+        'agentId' => $target,
+        'policy' => $agentConfig['permissions'] ?? [],
+        // Only what the server recorded: the agent's policy and the tools the
+        // user chose "Always allow" for in this session (see openChatSession)
+        'sessionAllowed' => $permissions['sessionAllowed'] ?? [],
+        'approvals' => [],
+        'delegationChain' => $task->routing->delegationChain
+    ];
+
+    $messages = [['role' => 'user', 'content' => formatTaskPrompt($task)]];
+    $thread = [];
+    $answer = '';
+    $error = [
+        'code' => 'DELEGATION_FAILED',
+        'message' => "{$target} did not finish within " . DELEGATION_MAX_ITERATIONS . ' steps',
+        'recoverable' => true
+    ];
+
+    addSpanEvent('delegation_started', ['task.id' => $id, 'agent.target' => $target]);
+    startSpan($task->type, [
+        'task.id' => $id,
+        'task.type' => $task->type,
+        'task.priority' => $task->context->priority ?? 'normal',
+        'task.parent_id' => $task->context->parentTaskId
+    ], $agentConfig);
+
+    $GLOBALS['delegationScope'][] = $toolId;
+    try {
+        for ($iteration = 0; $iteration < DELEGATION_MAX_ITERATIONS; $iteration++) {
+            $response = processStreamingResponseWithRetry($messages, $tools, $systemPrompt, $settings);
+            sendEvent('usage', summarizeUsage($settings['model'], $response['usage'], $settings['promptCache']));
+
+            if (trim($response['content']) !== '') {
+                $thread[] = ['type' => 'text', 'text' => $response['content']];
+                $answer = $response['content'];
+            }
+
+            if (empty($response['tool_use']) || $response['stop_reason'] !== 'tool_use') {
+                $error = null;
+                break;
+            }
+
+            $assistantContent = [];
+            foreach (array_merge($response['content_blocks'], $response['tool_use']) as $block) {
+                $block = normalizeContentBlock($block);
+                if ($block !== null) {
+                    $assistantContent[] = $block;
+                }
+            }
+            $messages[] = ['role' => 'assistant', 'content' => $assistantContent];
+
+            $toolResults = runToolUses($response['tool_use'], $nestedPermissions, $thread);
+            if ($toolResults === null) {
+                $error = ['code' => 'CANCELLED', 'message' => 'The user stopped the response', 'recoverable' => true];
+                break;
+            }
+            $messages[] = ['role' => 'user', 'content' => $toolResults];
+        }
+    } catch (Throwable $e) {
+        $error = [
+            'code' => in_array($e->getCode(), [429, 529], true) ? 'AGENT_UNAVAILABLE' : 'DELEGATION_FAILED',
+            'message' => $e->getMessage(),
+            'recoverable' => true
+        ];
+    } finally {
+        array_pop($GLOBALS['delegationScope']);
+    }
+
+    endSpan([], $error);
+    addSpanEvent('delegation_completed', ['task.id' => $id, 'task.status' => $error === null ? 'completed' : 'failed']);
+
+    return buildTaskResult($id, $target, $startedAt, $thread, $answer, $error);
+}
+
+/**
+ * Write a taskRequest as the delegated agent's first message
+ */
+function formatTaskPrompt(object $task): string
+{
+    $payload = json_encode($task->payload, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+
+    return "{$task->routing->source} has delegated a task to you.\n\n"
+        . "Task: {$task->type} (ID {$task->id})\n"
+        . "Priority: " . ($task->context->priority ?? 'normal') . "\n\n"
+        . "Payload:\n```json\n{$payload}\n```\n\n"
+        . "Do the task, then reply with the result. Your final message is returned to {$task->routing->source} "
+        . "as the task's result; the user does not read it directly.";
+}
+
+/**
+ * Build the delegate_task tool result around a taskResponse
+ * A response that fails task.schema.json is reported as an INTERNAL_ERROR
+ * instead of being passed on.
+ */
+function buildTaskResult(string $id, string $agent, float $startedAt, array $thread, string $answer, ?array $error): array
+{
+    $completedAt = microtime(true);
+    $status = $error === null ? 'completed' : ($error['code'] === 'CANCELLED' ? 'cancelled' : 'failed');
+
+    $response = ['id' => $id, 'status' => $status];
+    if ($error === null) {
+        $response['result'] = ['summary' => $answer];
+    } else {
+        $response['error'] = $error;
+    }
+    $response['metadata'] = [
+        'startedAt' => date('c', (int) $startedAt),
+        'completedAt' => date('c', (int) $completedAt),
+        'duration_ms' => (int) round(($completedAt - $startedAt) * 1000),
+        'agent' => $agent,
+        'retryCount' => 0
+    ];
+
+    // Files the agent wrote or edited
+    $artifacts = [];
+    foreach ($thread as $entry) {
+        if ($entry['type'] === 'tool' && in_array($entry['name'], ['write_file', 'edit_file'], true) && !empty($entry['result']['success'])) {
+            $artifacts[] = ['name' => basename($entry['input']['path'] ?? ''), 'type' => 'file', 'content' => $entry['input']['path'] ?? ''];
+        }
+    }
+    if (!empty($artifacts)) {
+        $response['artifacts'] = $artifacts;
+    }
+
+    $schema = loadSchema('task');
+    $errors = $schema !== null ? validateSchema(json_decode(json_encode($response)), ['$ref' => '#/definitions/taskResponse'], $schema) : [];
+    if (!empty($errors)) {
+        $status = 'failed';
+        $response = [
+            'id' => $id,
+            'status' => $status,
+            'error' => ['code' => 'INTERNAL_ERROR', 'message' => 'taskResponse failed validation: ' . implode('; ', $errors), 'recoverable' => false]
+        ];
+    }
+
+    return [
+        'success' => $status === 'completed',
+        'content' => json_encode($response, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE),
+        'task' => $response,
+        // UI-only: the sub-thread under the tool call
+        'delegation' => ['agent' => $agent, 'status' => $status, 'thread' => $thread]
+    ];
+}
+
 /**
  * Main chat handler
  */
 function handleChat(): void
 {
+    // JSON only, so a cross-origin form or plain-text POST cannot start a chat
+    if (stripos($_SERVER['CONTENT_TYPE'] ?? '', 'application/json') !== 0) {
+        http_response_code(415);
+        sendError('Content-Type must be application/json');
+    }
+
     // Get request body
     $input = file_get_contents('php://input');
     $data = json_decode($input, true);
@@ -390,39 +1644,118 @@ function handleChat(): void
         sendError('Invalid JSON input');
     }
 
-    $messages = $data['messages'] ?? [];
+    $clientMessages = $data['messages'] ?? [];
     $agentId = $data['agentId'] ?? null;
 
     // Load system prompt for the selected agent
     $systemPrompt = loadAgentPrompt($agentId);
 
-    if (empty($messages)) {
+    if (empty(normalizeMessages($clientMessages))) {
         sendError('No messages provided');
     }
 
+    // Model settings: the conversation's choices over the agent's defaults
+    $agentConfig = loadAgentConfig($agentId);
+    $settings = resolveModelSettings($agentConfig, (array) ($data['settings'] ?? []));
+    if ($settings['systemAddendum'] !== '') {
+        $systemPrompt .= "\n\n" . $settings['systemAddendum'];
+    }
+
+    // One trace per request: {agent}.chat with model and tool spans below it
+    startTrace($agentConfig, array_filter([
+        'conversation.id' => is_string($data['conversationId'] ?? null) ? $data['conversationId'] : null,
+        'gen_ai.request.model' => $settings['model']
+    ]));
+
+    // Permission context: agent defaults, the tools the server recorded as
+    // allowed for the session, and the user's answers to the calls it held
+    $session = openChatSession();
+    $approvals = array_intersect_key(is_array($data['approvals'] ?? null) ? $data['approvals'] : [], $session['held']);
+
+    // "Always allow" is recorded only for a held call the user approved
+    $sessionAllowed = $session['allowedTools'];
+    $suggested = is_array($data['allowedTools'] ?? null) ? $data['allowedTools'] : [];
+    foreach ($session['held'] as $id => $call) {
+        if (($approvals[$id] ?? null) === 'approve' && in_array($call['name'], $suggested, true)
+            && !in_array($call['name'], $sessionAllowed, true)) {
+            $sessionAllowed[] = $call['name'];
+        }
+    }
+    if ($sessionAllowed !== $session['allowedTools']) {
+        saveChatSession(['allowedTools' => $sessionAllowed]);
+    }
+
+    $permissions = [
+        'agentId' => $agentId,
+        'policy' => $agentConfig['permissions'] ?? [],
+        'sessionAllowed' => $sessionAllowed,
+        'approvals' => $approvals
+    ];
+
     // Get tool definitions
-    $tools = getToolDefinitions();
+    $tools = getAgentToolDefinitions($agentConfig);
+
+    // /compact: summarize the older turns now, without a new response
+    if (!empty($data['compact'])) {
+        try {
+            $compacted = compactContext($clientMessages, $systemPrompt, $tools, $settings, true);
+        } catch (Exception $e) {
+            sendError('Could not summarize the conversation: ' . $e->getMessage());
+        }
+        if ($compacted === null) {
+            sendError('Not enough conversation to compact yet');
+        }
+        sendEvent('done', ['success' => true]);
+        return;
+    }
+
+    // What the model sees: compacted when the conversation outgrows the
+    // context limit, and capped at maxHistoryMessages if the UI sets one
+    $clientMessages = compactContext($clientMessages, $systemPrompt, $tools, $settings) ?? $clientMessages;
+    $messages = limitHistory(normalizeMessages(applyCompaction($clientMessages)), (int) ($data['maxHistoryMessages'] ?? 0));
 
     // Process messages (may involve multiple API calls for tool use)
     $maxIterations = 10; // Prevent infinite loops
     $iteration = 0;
 
     try {
+        // Resuming after a permission request: run the held tool calls
+        // first (tool_use blocks the server did not hold are refused)
+        $pendingToolUses = getPendingToolUses($messages);
+        if (!empty($pendingToolUses)) {
+            $toolResults = runToolUses($pendingToolUses, $permissions + ['held' => $session['held']]);
+            if ($toolResults === null) {
+                return;
+            }
+
+            $messages[] = [
+                'role' => 'user',
+                'content' => $toolResults
+            ];
+        }
+
         while ($iteration < $maxIterations) {
             $iteration++;
 
+            // A long tool loop can outgrow the limit within one turn: drop
+            // the outputs the model has already answered to (not saved)
+            if (count($messages) > 2 && estimateTokens($messages, $systemPrompt, $tools) > getContextLimit()) {
+                $messages = array_merge(trimToolResults(array_slice($messages, 0, -2)), array_slice($messages, -2));
+            }
+
             // Make streaming request
-            $response = processStreamingResponse($messages, $tools, $systemPrompt);
+            $response = processStreamingResponseWithRetry($messages, $tools, $systemPrompt, $settings);
+            sendEvent('usage', summarizeUsage($settings['model'], $response['usage'], $settings['promptCache']));
 
             // Check if we have tool uses to process
             if (!empty($response['tool_use']) && $response['stop_reason'] === 'tool_use') {
                 // Add assistant message with tool uses
                 $assistantContent = [];
-                foreach ($response['content_blocks'] as $block) {
-                    $assistantContent[] = $block;
-                }
-                foreach ($response['tool_use'] as $toolUse) {
-                    $assistantContent[] = $toolUse;
+                foreach (array_merge($response['content_blocks'], $response['tool_use']) as $block) {
+                    $block = normalizeContentBlock($block);
+                    if ($block !== null) {
+                        $assistantContent[] = $block;
+                    }
                 }
 
                 $messages[] = [
@@ -430,31 +1763,42 @@ function handleChat(): void
                     'content' => $assistantContent
                 ];
 
-                // Execute each tool and collect results
-                $toolResults = [];
+                // Pause if any call needs the user's approval; the whole
+                // response is held so its results stay in one message
+                $needsApproval = false;
+                $requested = [];
                 foreach ($response['tool_use'] as $toolUse) {
-                    $toolName = $toolUse['name'];
-                    $toolInput = $toolUse['input'];
-                    $toolId = $toolUse['id'];
-
-                    // Execute the tool
-                    $result = executeTool($toolName, $toolInput);
-
-                    // Send tool result event
-                    sendEvent('tool_result', [
-                        'id' => $toolId,
-                        'name' => $toolName,
-                        'input' => $toolInput,
-                        'result' => $result
-                    ]);
-
-                    // Format result for API
-                    $resultContent = $result['content'] ?? $result['message'] ?? json_encode($result);
-                    $toolResults[] = [
-                        'type' => 'tool_result',
-                        'tool_use_id' => $toolId,
-                        'content' => $resultContent
+                    $permission = getToolPermission($toolUse['name'], $toolUse['id'], $permissions);
+                    $requested[] = [
+                        'id' => $toolUse['id'],
+                        'name' => $toolUse['name'],
+                        'input' => $toolUse['input'],
+                        'needsApproval' => $permission['decision'] === 'ask'
                     ];
+                    $needsApproval = $needsApproval || $permission['decision'] === 'ask';
+                }
+
+                if ($needsApproval) {
+                    // Only these calls may run when the user answers
+                    $held = [];
+                    foreach ($response['tool_use'] as $toolUse) {
+                        $held[$toolUse['id']] = [
+                            'name' => $toolUse['name'],
+                            'hash' => hashToolUse($toolUse['name'], $toolUse['input'])
+                        ];
+                    }
+                    saveChatSession(['heldToolUses' => $held]);
+
+                    setTraceAttributes(['turn.paused' => true]);
+                    sendEvent('permission_request', ['tools' => $requested]);
+                    sendEvent('done', ['success' => true, 'paused' => true]);
+                    return;
+                }
+
+                // Execute each tool and collect results
+                $toolResults = runToolUses($response['tool_use'], $permissions);
+                if ($toolResults === null) {
+                    return;
                 }
 
                 // Add tool results as user message
@@ -474,6 +1818,10 @@ function handleChat(): void
         sendEvent('done', ['success' => true]);
 
     } catch (Exception $e) {
+        // A stopped request aborts the API stream; nobody is left to notify
+        if (connection_aborted()) {
+            return;
+        }
         sendError($e->getMessage());
     }
 }
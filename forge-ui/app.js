@@ -30,6 +30,9 @@ const ForgeConfig = {
     infoEndpoint: 'info.php',
     historyEndpoint: 'history.php',
     agentsEndpoint: 'agents.php',
+    saveEndpoint: 'save.php',
+    filesEndpoint: 'files.php',
+    tracesEndpoint: 'traces.php',
 
     // Agent name (loaded from server)
     agentName: 'Forge',
@@ -37,20 +40,44 @@ const ForgeConfig = {
     // Skills (loaded from server)
     skills: [],
 
+    // Directory names of the file roots (loaded from server)
+    rootDirectories: { framework: '', workspace: '' },
+
     // Auto-scroll behavior
     autoScroll: true,
 
     // Show timestamps on messages
     showTimestamps: true,
 
-    // Max messages to keep in history (0 = unlimited)
+    // Max messages the model sees per request (0 = unlimited; the saved
+    // history always keeps the full transcript)
     maxHistoryMessages: 0,
 
     // Auto-save conversations
     autoSave: true,
 
+    // Attachment size limits in bytes (images are sent base64, max 5 MB encoded)
+    maxImageSize: 3.75 * 1024 * 1024,
+    maxFileSize: 512 * 1024,
+
     // Show agent intro on new conversation
     showAgentIntro: true,
+
+    // Diff hunks longer than this start collapsed (0 = never collapse)
+    diffCollapseLines: 12,
+
+    // Models offered in the settings popover (any model ID can be typed)
+    models: ['claude-opus-4-1', 'claude-sonnet-4-5', 'claude-haiku-4-5'],
+
+    // Model defaults from config.php (loaded from server)
+    modelDefaults: {},
+
+    // Extended thinking budget used when none is set (same as api.php)
+    thinkingBudget: 4096,
+
+    // Auto-routing: share of the match score the best agent needs over the
+    // runner-up (0.5 = a tie); below it the default agent answers
+    autoRouteThreshold: 0.6,
 };
 
 
@@ -59,18 +86,91 @@ const ForgeConfig = {
    ============================================ */
 
 const ForgeState = {
-    // Conversation history (sent to API)
+    // Conversation history (sent to API) - the active branch
     messages: [],
 
+    // Messages on inactive branches (linked to the tree by parentId)
+    messageBranches: [],
+
     // Currently streaming response
     isStreaming: false,
 
+    // AbortController for the in-flight request (Stop button)
+    abortController: null,
+
+    // Model settings chosen for this conversation (unset fields use the agent's defaults)
+    settings: {},
+
+    // Whether the last response ended in an error (Retry instead of Regenerate)
+    turnFailed: false,
+
+    // Interval ticking the retry countdown in the status indicator
+    retryTimer: null,
+
     // Current assistant message element (for streaming updates)
     currentAssistantMessage: null,
 
     // Current assistant content (accumulator for streaming)
     currentAssistantContent: '',
 
+    // Thinking message element while extended thinking streams
+    currentThinkingMessage: null,
+
+    // Incremental render state of the streaming message
+    streamRender: null,
+
+    // Content blocks of the in-progress model response (text, tool_use)
+    currentTurnBlocks: [],
+
+    // Tool results for the in-progress response (sent back as a user message)
+    currentToolResults: [],
+
+    // Token usage of the in-progress response (from the usage event)
+    currentUsage: null,
+
+    // Token and cost totals for this conversation (every API call, kept across regenerates)
+    usage: null,
+
+    // Tool calls held for approval, keyed by tool use ID
+    pendingToolCalls: {},
+
+    // Delegated runs in progress, keyed by the delegate_task call's ID
+    delegations: {},
+
+    // Tool names the user chose to always allow this session
+    sessionAllowedTools: [],
+
+    // Attachment blocks waiting in the composer (sent with the next message)
+    pendingAttachments: [],
+
+    // File shown in the preview panel ({root, path})
+    previewFile: null,
+
+    // Open @-mention menu ({start, query, items, index}) or null
+    mention: null,
+
+    // Open slash command menu ({query, items, index}) or null
+    command: null,
+
+    // Route each message to the agent whose triggers and signals match it
+    autoRoute: false,
+
+    // Routing index from agents.php ({skillIndex, defaultAgent})
+    routing: { skillIndex: {}, defaultAgent: null },
+
+    // Agent whose standards report is shown
+    standardsAgent: null,
+
+    // Trace ID of the in-progress request (from the trace event)
+    currentTrace: null,
+
+    // Trace shown in the trace viewer
+    openTrace: null,
+
+    // Agent open in the builder ({config, originalName}) or null;
+    // originalName is null for new agents and copies
+    agentBuilder: null,
+
     // Theme (dark is default)
     isLightMode: false,
 
@@ -107,30 +207,124 @@ const ForgeElements = {
     messagesContainer: null,
     userInput: null,
     sendButton: null,
+    stopButton: null,
     clearButton: null,
+    exportButton: null,
+    exportMenu: null,
+    settingsButton: null,
+    settingsPanel: null,
+    importButton: null,
+    importFile: null,
     themeButton: null,
     toolsCollapseButton: null,
     toolsVisibilityButton: null,
+    autoRouteButton: null,
     statusIndicator: null,
     statusText: null,
     conversationList: null,
     newConversationButton: null,
+    searchInput: null,
+    searchAgent: null,
+    searchFrom: null,
+    searchTo: null,
     agentList: null,
+    usageTotal: null,
+    attachButton: null,
+    attachFile: null,
+    attachmentList: null,
+    inputArea: null,
+    suggestMenu: null,
+    fileTree: null,
+    refreshFilesButton: null,
+    filePreview: null,
+    filePreviewPath: null,
+    filePreviewMeta: null,
+    filePreviewBody: null,
+    filePreviewInsert: null,
+    filePreviewClose: null,
+    newAgentButton: null,
+    standardsReport: null,
+    standardsReportTitle: null,
+    standardsReportSummary: null,
+    standardsReportIssues: null,
+    standardsReportRecheck: null,
+    standardsReportClose: null,
+    traceViewer: null,
+    traceViewerTitle: null,
+    traceViewerSummary: null,
+    traceViewerSpans: null,
+    traceViewerClose: null,
+    agentBuilder: null,
+    agentBuilderTitle: null,
+    agentBuilderStatus: null,
+    agentBuilderSave: null,
+    agentBuilderClose: null,
+    agentBuilderForm: null,
+    agentBuilderSkills: null,
+    agentBuilderAddSkill: null,
+    agentBuilderErrors: null,
 
     // Initialize DOM references
     init() {
         this.messagesContainer = document.getElementById('messagesContainer');
         this.userInput = document.getElementById('userInput');
+        this.attachButton = document.getElementById('attachButton');
+        this.attachFile = document.getElementById('attachFile');
+        this.attachmentList = document.getElementById('attachmentList');
+        this.inputArea = document.querySelector('.forge-input-area');
+        this.suggestMenu = document.getElementById('suggestMenu');
+        this.fileTree = document.getElementById('fileTree');
+        this.refreshFilesButton = document.getElementById('refreshFiles');
+        this.filePreview = document.getElementById('filePreview');
+        this.filePreviewPath = document.getElementById('filePreviewPath');
+        this.filePreviewMeta = document.getElementById('filePreviewMeta');
+        this.filePreviewBody = document.getElementById('filePreviewBody');
+        this.filePreviewInsert = document.getElementById('filePreviewInsert');
+        this.filePreviewClose = document.getElementById('filePreviewClose');
+        this.newAgentButton = document.getElementById('newAgent');
+        this.standardsReport = document.getElementById('standardsReport');
+        this.standardsReportTitle = document.getElementById('standardsReportTitle');
+        this.standardsReportSummary = document.getElementById('standardsReportSummary');
+        this.standardsReportIssues = document.getElementById('standardsReportIssues');
+        this.standardsReportRecheck = document.getElementById('standardsReportRecheck');
+        this.standardsReportClose = document.getElementById('standardsReportClose');
+        this.traceViewer = document.getElementById('traceViewer');
+        this.traceViewerTitle = document.getElementById('traceViewerTitle');
+        this.traceViewerSummary = document.getElementById('traceViewerSummary');
+        this.traceViewerSpans = document.getElementById('traceViewerSpans');
+        this.traceViewerClose = document.getElementById('traceViewerClose');
+        this.agentBuilder = document.getElementById('agentBuilder');
+        this.agentBuilderTitle = document.getElementById('agentBuilderTitle');
+        this.agentBuilderStatus = document.getElementById('agentBuilderStatus');
+        this.agentBuilderSave = document.getElementById('agentBuilderSave');
+        this.agentBuilderClose = document.getElementById('agentBuilderClose');
+        this.agentBuilderForm = document.getElementById('agentBuilderForm');
+        this.agentBuilderSkills = document.getElementById('agentBuilderSkills');
+        this.agentBuilderAddSkill = document.getElementById('agentBuilderAddSkill');
+        this.agentBuilderErrors = document.getElementById('agentBuilderErrors');
         this.sendButton = document.getElementById('sendButton');
+        this.stopButton = document.getElementById('stopButton');
         this.clearButton = document.getElementById('clearChat');
+        this.exportButton = document.getElementById('exportButton');
+        this.exportMenu = document.getElementById('exportMenu');
+        this.settingsButton = document.getElementById('settingsButton');
+        this.settingsPanel = document.getElementById('settingsPanel');
+        this.importButton = document.getElementById('importButton');
+        this.importFile = document.getElementById('importFile');
         this.themeButton = document.getElementById('toggleTheme');
         this.toolsCollapseButton = document.getElementById('toggleToolsCollapse');
         this.toolsVisibilityButton = document.getElementById('toggleToolsVisibility');
+        this.autoRouteButton = document.getElementById('toggleAutoRoute');
         this.statusIndicator = document.querySelector('.forge-status__indicator');
         this.statusText = document.querySelector('.forge-status__text');
         this.conversationList = document.getElementById('conversationList');
         this.newConversationButton = document.getElementById('newConversation');
+        this.searchInput = document.getElementById('searchInput');
+        this.searchAgent = document.getElementById('searchAgent');
+        this.searchFrom = document.getElementById('searchFrom');
+        this.searchTo = document.getElementById('searchTo');
         this.agentList = document.getElementById('agentList');
+        this.usageTotal = document.getElementById('usageTotal');
     }
 };
 
@@ -171,532 +365,1931 @@ const ForgeTemplates = {
 
 
 /* ============================================
-   5. MESSAGE RENDERING
+   MARKDOWN RENDERER
+   Block parser + inline formatter for assistant
+   messages. All text is HTML-escaped; only the
+   markup below is ever produced.
    ============================================ */
 
-const ForgeMessages = {
+const ForgeMarkdown = {
+    // Block-level patterns
+    patterns: {
+        fence: /^ {0,3}(`{3,}|~{3,})[ \t]*(.*)$/,
+        heading: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+        hr: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+        blockquote: /^ {0,3}> ?/,
+        listItem: /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*)|[ \t]*)$/,
+        tableDelimiter: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/
+    },
+
     /**
-     * Add a user message to the chat
+     * Render Markdown text to HTML
      */
-    addUserMessage(text) {
-        const element = ForgeTemplates.getMessageTemplate('user');
-        element.querySelector('.forge-message__body').textContent = text;
-
-        if (ForgeConfig.showTimestamps) {
-            element.querySelector('.forge-message__time').textContent = this.formatTime(new Date());
-        }
-
-        ForgeElements.messagesContainer.appendChild(element);
-        this.scrollToBottom();
-
-        // Add to history
-        ForgeState.messages.push({
-            role: 'user',
-            content: text
-        });
+    render(text) {
+        return this.parse(text).map(block => this.renderBlock(block)).join('');
+    },
 
-        return element;
+    /**
+     * Parse Markdown text into top-level blocks
+     * Each block records the source lines it spans (start/end).
+     */
+    parse(text) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        return this.parseBlocks(lines);
     },
 
     /**
-     * Start a new assistant message (for streaming)
+     * Parse lines into blocks
      */
-    startAssistantMessage() {
-        const element = ForgeTemplates.getMessageTemplate('assistant');
-        element.classList.add('forge-message--streaming');
-        element.querySelector('.forge-message__body').textContent = '';
+    parseBlocks(lines) {
+        const blocks = [];
+        let i = 0;
 
-        // Use configurable agent name
-        element.querySelector('.forge-message__role').textContent = ForgeConfig.agentName;
+        while (i < lines.length) {
+            const line = lines[i];
 
-        if (ForgeConfig.showTimestamps) {
-            element.querySelector('.forge-message__time').textContent = this.formatTime(new Date());
-        }
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
 
-        ForgeElements.messagesContainer.appendChild(element);
-        ForgeState.currentAssistantMessage = element;
-        ForgeState.currentAssistantContent = '';
+            const start = i;
+            let block;
+
+            if (this.patterns.fence.test(line)) {
+                [block, i] = this.parseFence(lines, i);
+            } else if (this.patterns.heading.test(line)) {
+                const match = line.match(this.patterns.heading);
+                block = { type: 'heading', level: match[1].length, text: match[2] || '' };
+                i++;
+            } else if (this.patterns.hr.test(line)) {
+                block = { type: 'hr' };
+                i++;
+            } else if (this.patterns.blockquote.test(line)) {
+                [block, i] = this.parseBlockquote(lines, i);
+            } else if (this.isTableStart(lines, i)) {
+                [block, i] = this.parseTable(lines, i);
+            } else if (this.patterns.listItem.test(line)) {
+                [block, i] = this.parseList(lines, i);
+            } else {
+                [block, i] = this.parseParagraph(lines, i);
+            }
 
-        this.scrollToBottom();
-        return element;
+            block.start = start;
+            block.end = i;
+            blocks.push(block);
+        }
+
+        return blocks;
     },
 
     /**
-     * Append text to the current streaming message
+     * Parse a fenced code block (an unclosed fence runs to the end)
      */
-    appendToAssistantMessage(text) {
-        if (!ForgeState.currentAssistantMessage) {
-            this.startAssistantMessage();
+    parseFence(lines, i) {
+        const match = lines[i].match(this.patterns.fence);
+        const fence = match[1];
+        const info = match[2].trim();
+        const code = [];
+        let closed = false;
+
+        i++;
+        while (i < lines.length) {
+            const closing = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+            if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) {
+                closed = true;
+                i++;
+                break;
+            }
+            code.push(lines[i]);
+            i++;
         }
 
-        ForgeState.currentAssistantContent += text;
-        const body = ForgeState.currentAssistantMessage.querySelector('.forge-message__body');
-        body.innerHTML = this.formatMessageContent(ForgeState.currentAssistantContent);
-
-        this.scrollToBottom();
+        return [{ type: 'code', info, code: code.join('\n'), closed }, i];
     },
 
     /**
-     * Finalize the current streaming message
+     * Parse a blockquote (consecutive "> " lines, parsed recursively)
      */
-    finalizeAssistantMessage() {
-        if (ForgeState.currentAssistantMessage) {
-            ForgeState.currentAssistantMessage.classList.remove('forge-message--streaming');
-
-            // Add to history if there's content
-            if (ForgeState.currentAssistantContent.trim()) {
-                ForgeState.messages.push({
-                    role: 'assistant',
-                    content: ForgeState.currentAssistantContent
-                });
-            }
+    parseBlockquote(lines, i) {
+        const inner = [];
 
-            ForgeState.currentAssistantMessage = null;
-            ForgeState.currentAssistantContent = '';
+        while (i < lines.length && this.patterns.blockquote.test(lines[i])) {
+            inner.push(lines[i].replace(this.patterns.blockquote, ''));
+            i++;
         }
+
+        return [{ type: 'blockquote', blocks: this.parseBlocks(inner) }, i];
     },
 
     /**
-     * Add a tool use message
+     * Check whether a table (header row + delimiter row) starts at line i
      */
-    addToolUseMessage(name, input) {
-        const element = ForgeTemplates.getMessageTemplate('tool_use');
-        element.querySelector('.forge-tool-name').textContent = name;
-        element.querySelector('.forge-code--json').textContent = JSON.stringify(input, null, 2);
-
-        ForgeElements.messagesContainer.appendChild(element);
-        this.scrollToBottom();
-
-        return element;
+    isTableStart(lines, i) {
+        return i + 1 < lines.length
+            && lines[i].includes('|')
+            && lines[i + 1].includes('-')
+            && this.patterns.tableDelimiter.test(lines[i + 1]);
     },
 
     /**
-     * Add a tool result message
+     * Parse a GFM table
      */
-    addToolResultMessage(name, result) {
-        const element = ForgeTemplates.getMessageTemplate('tool_result');
-        element.querySelector('.forge-tool-name').textContent = name;
+    parseTable(lines, i) {
+        const header = this.splitTableRow(lines[i]);
+        const align = this.splitTableRow(lines[i + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return null;
+        });
+        const rows = [];
 
-        const statusEl = element.querySelector('.forge-tool-status');
-        if (result.success) {
-            statusEl.textContent = 'Success';
-            statusEl.classList.add('forge-tool-status--success');
-        } else {
-            statusEl.textContent = 'Error';
-            statusEl.classList.add('forge-tool-status--error');
-            element.classList.add('forge-message--tool-error');
+        i += 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            rows.push(this.splitTableRow(lines[i]));
+            i++;
         }
 
-        const output = result.content || result.message || result.error || JSON.stringify(result, null, 2);
-        element.querySelector('.forge-code').textContent = output;
+        return [{ type: 'table', header, align, rows }, i];
+    },
 
-        ForgeElements.messagesContainer.appendChild(element);
-        this.scrollToBottom();
+    /**
+     * Split a table row into trimmed cells (\| is a literal pipe)
+     */
+    splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
 
-        return element;
+        return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
     },
 
     /**
-     * Add an error message
+     * Parse a list, including nested lists and multi-line items
      */
-    addErrorMessage(text) {
-        const element = ForgeTemplates.getMessageTemplate('error');
-        element.querySelector('.forge-message__body').textContent = text;
+    parseList(lines, i) {
+        const first = lines[i].match(this.patterns.listItem);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const list = {
+            type: 'list',
+            ordered,
+            startNumber: ordered ? parseInt(first[2], 10) : 1,
+            loose: false,
+            items: []
+        };
 
-        ForgeElements.messagesContainer.appendChild(element);
-        this.scrollToBottom();
+        while (i < lines.length) {
+            const match = lines[i].match(this.patterns.listItem);
+            if (!match || match[1].length < indent || /\d/.test(match[2]) !== ordered) {
+                break;
+            }
+            if (match[1].length > indent && list.items.length === 0) {
+                break;
+            }
 
-        return element;
+            // Continuation lines are indented past the marker (leniently:
+            // two spaces is enough, as models often nest that way)
+            const contentIndent = match[1].length + match[2].length + 1;
+            const minIndent = Math.min(contentIndent, indent + 2);
+            const itemLines = [match[3] || ''];
+            let sawBlank = false;
+            let stripIndent = null;
+
+            i++;
+            while (i < lines.length) {
+                const line = lines[i];
+
+                if (!line.trim()) {
+                    sawBlank = true;
+                    itemLines.push('');
+                    i++;
+                    continue;
+                }
+
+                const lineIndent = line.match(/^ */)[0].length;
+
+                if (lineIndent >= minIndent) {
+                    if (stripIndent === null) {
+                        stripIndent = Math.min(lineIndent, contentIndent);
+                    }
+                    itemLines.push(line.slice(Math.min(lineIndent, stripIndent)));
+                    sawBlank = false;
+                    i++;
+                    continue;
+                }
+
+                // Lazy continuation of the item's paragraph
+                if (!sawBlank && !this.startsBlock(line)) {
+                    itemLines.push(line.trim());
+                    i++;
+                    continue;
+                }
+
+                break;
+            }
+
+            // Trailing blank lines belong between items, not inside them
+            let trailingBlanks = 0;
+            while (itemLines.length > 1 && !itemLines[itemLines.length - 1].trim()) {
+                itemLines.pop();
+                trailingBlanks++;
+            }
+            if (itemLines.some((line, index) => index > 0 && !line.trim())) {
+                list.loose = true;
+            }
+
+            list.items.push(this.parseListItem(itemLines));
+
+            // A blank line before the next item of this list makes it loose
+            const next = i < lines.length ? lines[i].match(this.patterns.listItem) : null;
+            if (trailingBlanks > 0 && next && next[1].length === indent) {
+                list.loose = true;
+            }
+            if (trailingBlanks > 0 && !next) {
+                i -= trailingBlanks;
+                break;
+            }
+        }
+
+        return [list, i];
     },
 
     /**
-     * Add a thinking message
+     * Parse a list item's lines (task list checkbox + nested blocks)
      */
-    addThinkingMessage(text) {
-        const element = ForgeTemplates.getMessageTemplate('thinking');
-        element.querySelector('.forge-message__body').textContent = text;
-
-        ForgeElements.messagesContainer.appendChild(element);
-        this.scrollToBottom();
+    parseListItem(itemLines) {
+        const task = itemLines[0].match(/^\[([ xX])\][ \t]+/);
+        if (task) {
+            itemLines[0] = itemLines[0].slice(task[0].length);
+        }
 
-        return element;
+        return {
+            checked: task ? task[1] !== ' ' : null,
+            blocks: this.parseBlocks(itemLines)
+        };
     },
 
     /**
-     * Add a loading indicator
+     * Parse a paragraph (runs until a blank line or another block starts)
      */
-    addLoadingIndicator() {
-        const template = document.getElementById('template-loading');
-        const element = template.content.cloneNode(true).firstElementChild;
-        element.id = 'loadingIndicator';
+    parseParagraph(lines, i) {
+        const text = [lines[i]];
 
-        ForgeElements.messagesContainer.appendChild(element);
-        this.scrollToBottom();
+        i++;
+        while (i < lines.length && lines[i].trim() && !this.startsBlock(lines[i]) && !this.isTableStart(lines, i)) {
+            text.push(lines[i]);
+            i++;
+        }
 
-        return element;
+        return [{ type: 'paragraph', text: text.map(line => line.trim()).join('\n') }, i];
     },
 
     /**
-     * Remove the loading indicator
+     * Check whether a line starts a block that interrupts a paragraph
      */
-    removeLoadingIndicator() {
-        const indicator = document.getElementById('loadingIndicator');
-        if (indicator) {
-            indicator.remove();
+    startsBlock(line) {
+        return this.patterns.fence.test(line)
+            || this.patterns.heading.test(line)
+            || this.patterns.hr.test(line)
+            || this.patterns.blockquote.test(line)
+            || this.patterns.listItem.test(line);
+    },
+
+    /**
+     * Render a parsed block to HTML
+     */
+    renderBlock(block, tight = false) {
+        switch (block.type) {
+            case 'code':
+                return this.renderCodeBlock(block);
+
+            case 'heading':
+                return `<h${block.level}>${this.renderInline(block.text)}</h${block.level}>`;
+
+            case 'hr':
+                return '<hr>';
+
+            case 'blockquote':
+                return `<blockquote>${block.blocks.map(inner => this.renderBlock(inner)).join('')}</blockquote>`;
+
+            case 'table':
+                return this.renderTable(block);
+
+            case 'list':
+                return this.renderList(block);
+
+            case 'paragraph':
+            default: {
+                const html = this.renderInline(block.text);
+                return tight ? html : `<p>${html}</p>`;
+            }
         }
     },
 
     /**
-     * Format message content (handle markdown-like formatting)
+     * Render a fenced code block (highlighted, with copy/save actions)
      */
-    formatMessageContent(text) {
-        // Escape HTML
-        let formatted = this.escapeHtml(text);
+    renderCodeBlock(block) {
+        const { language, filename } = this.parseFenceInfo(block.info);
+        const grammar = ForgeHighlight.resolveLanguage(language) || ForgeHighlight.languageForFile(filename);
+        const label = language || grammar || 'code';
+        const fileLabel = filename ? `<span class="forge-code-block__filename">${this.escape(filename)}</span>` : '';
 
-        // Code blocks (```language\ncode```)
-        formatted = formatted.replace(/```(\w*)\n([\s\S]*?)```/g, (match, lang, code) => {
-            return `<div class="forge-code-block">
+        return `<div class="forge-code-block" data-language="${this.escape(label)}" data-filename="${this.escape(filename)}">
                 <div class="forge-code-block__header">
-                    <span class="forge-code-block__language">${lang || 'code'}</span>
-                    <button class="forge-code-block__copy" onclick="ForgeUtils.copyToClipboard(this)">Copy</button>
+                    <span class="forge-code-block__label">
+                        <span class="forge-code-block__language">${this.escape(label)}</span>${fileLabel}
+                    </span>
+                    <span class="forge-code-block__actions">
+                        <button class="forge-code-block__action" onclick="ForgeUtils.toggleCodeWrap(this)" title="Toggle line wrap">Wrap</button>
+                        <button class="forge-code-block__action" onclick="ForgeUtils.downloadCode(this)" title="Download as file">Download</button>
+                        <button class="forge-code-block__action" onclick="ForgeUtils.saveCodeToWorkspace(this)" title="Save to workspace">Save</button>
+                        <button class="forge-code-block__copy" onclick="ForgeUtils.copyToClipboard(this)">Copy</button>
+                    </span>
                 </div>
-                <pre class="forge-code"><code>${code}</code></pre>
+                <pre class="forge-code"><code>${ForgeHighlight.highlight(block.code, grammar)}</code></pre>
             </div>`;
-        });
+    },
 
-        // Inline code (`code`)
-        formatted = formatted.replace(/`([^`]+)`/g, '<code>$1</code>');
+    /**
+     * Parse a fence info string into a language and optional filename
+     * Accepts "lang", "lang path/file.ext", "lang:path/file.ext",
+     * "lang title=\"file.ext\"" and a bare "path/file.ext".
+     */
+    parseFenceInfo(info) {
+        const attribute = info.match(/\b(?:title|file|filename)=["']?([^"'\s]+)/);
+        const words = info.replace(/\b(?:title|file|filename)=\S+/, '').split(/\s+/).filter(Boolean);
+        let language = words[0] || '';
+        let filename = attribute ? attribute[1] : (words[1] || '');
+
+        const colon = language.indexOf(':');
+        if (colon > 0) {
+            filename = language.slice(colon + 1);
+            language = language.slice(0, colon);
+        } else if (!filename && /[./]/.test(language)) {
+            filename = language;
+            language = '';
+        }
 
-        // Bold (**text**)
-        formatted = formatted.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+        return { language, filename };
+    },
 
-        // Italic (*text*)
-        formatted = formatted.replace(/\*([^*]+)\*/g, '<em>$1</em>');
+    /**
+     * Render a table
+     */
+    renderTable(block) {
+        const cell = (tag, text, index) => {
+            const align = block.align[index];
+            const style = align ? ` style="text-align: ${align}"` : '';
+            return `<${tag}${style}>${this.renderInline(text || '')}</${tag}>`;
+        };
 
-        // Line breaks
-        formatted = formatted.replace(/\n/g, '<br>');
+        const head = block.header.map((text, index) => cell('th', text, index)).join('');
+        const body = block.rows.map(row =>
+            `<tr>${block.header.map((_, index) => cell('td', row[index], index)).join('')}</tr>`
+        ).join('');
 
-        return formatted;
+        return `<div class="forge-markdown__table"><table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>`;
     },
 
     /**
-     * Escape HTML entities
+     * Render a list (tight lists keep item text out of <p> tags)
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    renderList(block) {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const start = block.ordered && block.startNumber !== 1 ? ` start="${block.startNumber}"` : '';
+
+        const items = block.items.map(item => {
+            const content = item.blocks.map(inner => this.renderBlock(inner, !block.loose)).join('');
+
+            if (item.checked === null) {
+                return `<li>${content}</li>`;
+            }
+
+            const checked = item.checked ? ' checked' : '';
+            return `<li class="forge-markdown__task"><input type="checkbox" disabled${checked}> ${content}</li>`;
+        }).join('');
+
+        return `<${tag}${start}>${items}</${tag}>`;
     },
 
     /**
-     * Format time for display
+     * Render inline Markdown: code spans, links, emphasis, line breaks
      */
-    formatTime(date) {
-        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    renderInline(text) {
+        const stash = [];
+        // NUL delimits placeholders, so the text can't contain one
+        // (CommonMark replaces it with U+FFFD too)
+        const out = this.formatInline(text.replace(/\u0000/g, '\uFFFD'), stash);
+
+        // Restore held markup in one pass: a held link label only holds
+        // placeholders stashed before it, so each lookup goes lower
+        const restore = (html, limit) => html.replace(/\u0000(\d+)\u0000/g, (match, index) =>
+            Number(index) < limit ? restore(stash[index], Number(index)) : ''
+        );
+
+        return restore(out, stash.length);
     },
 
     /**
-     * Scroll to bottom of messages
+     * Format inline text into HTML with placeholders
+     * Everything is escaped; generated markup is held in the stash so
+     * later passes never touch it.
      */
-    scrollToBottom() {
-        if (ForgeConfig.autoScroll) {
-            ForgeElements.messagesContainer.scrollTop = ForgeElements.messagesContainer.scrollHeight;
-        }
+    formatInline(text, stash) {
+        const hold = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+        const out = text
+            // Code spans
+            .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+                hold(`<code>${this.escape(code.trim())}</code>`)
+            )
+            // Backslash escapes
+            .replace(/\\([!-/:-@[-`{-~])/g, (match, char) => hold(this.escape(char)))
+            // Images (shown as links, so nothing loads remotely)
+            .replace(/!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, alt, url) =>
+                hold(this.renderLink(url, this.escape(alt || url)))
+            )
+            // Links
+            .replace(/\[((?:[^\[\]]|\[[^\]]*\])+)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) =>
+                hold(this.renderLink(url, this.formatInline(label, stash)))
+            )
+            // Autolinks <https://...> and bare URLs
+            .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) => hold(this.renderLink(url, this.escape(url))))
+            .replace(/\bhttps?:\/\/[^\s<\u0000]*[^\s<.,:;"')\]*_\u0000]/g, (url) => hold(this.renderLink(url, this.escape(url))));
+
+        return this.escape(out)
+            // Bold
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            // Italic
+            .replace(/\*(?=[^\s*])([^*]*?[^\s*]|[^\s*])\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_]|[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+            // Strikethrough
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            // Line breaks
+            .replace(/\n/g, '<br>');
     },
 
     /**
-     * Clear all messages
+     * Render a link, dropping unsafe schemes (javascript:, data:, ...)
      */
-    clearAll() {
-        // Keep only the system welcome message
-        const systemMessage = ForgeElements.messagesContainer.querySelector('.forge-message--system');
-        ForgeElements.messagesContainer.innerHTML = '';
-        if (systemMessage) {
-            ForgeElements.messagesContainer.appendChild(systemMessage);
+    renderLink(url, labelHtml) {
+        const safe = /^(https?:|mailto:|#|\/|\.{0,2}\/?[\w-])/i.test(url) && !/^\s*(javascript|data|vbscript):/i.test(url);
+        if (!safe) {
+            return labelHtml;
         }
 
-        // Clear history
-        ForgeState.messages = [];
-        ForgeState.currentAssistantMessage = null;
-        ForgeState.currentAssistantContent = '';
+        return `<a href="${this.escape(url)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+    },
+
+    /**
+     * Escape HTML special characters (including quotes, for attributes)
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 };
 
 
 /* ============================================
-   6. API COMMUNICATION
+   SYNTAX HIGHLIGHTING
+   Small offline grammars for the languages our
+   agents emit. Each grammar is an ordered list of
+   [token type, sticky regex] rules.
    ============================================ */
 
-const ForgeAPI = {
-    /**
-     * Send a message and handle streaming response
-     */
-    async sendMessage(userText) {
-        if (ForgeState.isStreaming) {
-            console.warn('Already streaming, please wait...');
-            return;
-        }
+const ForgeHighlight = {
+    // Fence language names -> grammar
+    aliases: {
+        'json': 'json',
+        'jsonc': 'json',
+        'jsonl': 'json',
+        'json-schema': 'json',
+        'php': 'php',
+        'js': 'javascript',
+        'javascript': 'javascript',
+        'mjs': 'javascript',
+        'cjs': 'javascript',
+        'jsx': 'javascript',
+        'ts': 'javascript',
+        'typescript': 'javascript',
+        'bash': 'bash',
+        'sh': 'bash',
+        'shell': 'bash',
+        'zsh': 'bash',
+        'console': 'bash',
+        'md': 'markdown',
+        'markdown': 'markdown',
+        'yaml': 'yaml',
+        'yml': 'yaml',
+    },
 
-        ForgeState.isStreaming = true;
-        ForgeUI.setStatus('loading', 'Sending...');
-        ForgeUI.disableInput(true);
+    // Grammar -> file extension (for downloads without a filename)
+    extensions: {
+        'json': 'json',
+        'php': 'php',
+        'javascript': 'js',
+        'bash': 'sh',
+        'markdown': 'md',
+        'yaml': 'yml',
+    },
 
-        // Add user message to UI
-        ForgeMessages.addUserMessage(userText);
+    grammars: {
+        json: [
+            ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+            ['string', /"(?:[^"\\\n]|\\.)*"?/y],
+            ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+            ['literal', /\b(?:true|false|null)\b/y],
+            ['punctuation', /[{}[\],:]/y],
+        ],
+        javascript: [
+            ['comment', /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['string', /`(?:[^`\\]|\\[\s\S])*`?|"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?/y],
+            ['keyword', /\b(?:as|async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|interface|let|new|of|return|static|super|switch|this|throw|try|type|typeof|var|void|while|yield)\b/y],
+            ['literal', /\b(?:true|false|null|undefined|NaN|Infinity)\b/y],
+            ['number', /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/y],
+            ['function', /\b[A-Za-z_$][\w$]*(?=\s*\()/y],
+        ],
+        php: [
+            ['comment', /\/\/.*|#(?!\[).*|\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['meta', /<\?(?:php|=)?|\?>/y],
+            ['variable', /\$[A-Za-z_]\w*/y],
+            ['string', /"(?:[^"\\]|\\[\s\S])*"?|'(?:[^'\\]|\\[\s\S])*'?/y],
+            ['keyword', /\b(?:abstract|array|as|break|case|catch|class|const|continue|declare|default|do|echo|else|elseif|enum|extends|final|finally|fn|for|foreach|function|global|if|implements|include|include_once|instanceof|interface|isset|list|match|namespace|new|print|private|protected|public|readonly|require|require_once|return|static|switch|throw|trait|try|unset|use|while|yield)\b/iy],
+            ['literal', /\b(?:true|false|null)\b/iy],
+            ['number', /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/y],
+            ['function', /\b[A-Za-z_]\w*(?=\s*\()/y],
+        ],
+        bash: [
+            ['variable', /\$(?:\{[^}\n]*\}?|[A-Za-z_]\w*|[@#?$!*\d-])/y],
+            ['comment', /(?<![^\s;])#.*/y],
+            ['string', /"(?:[^"\\]|\\[\s\S])*"?|'[^']*'?/y],
+            ['keyword', /\b(?:case|do|done|elif|else|esac|exit|export|fi|for|function|if|in|local|readonly|return|select|source|then|until|while)\b/y],
+            ['function', /\b(?:cat|cd|chmod|cp|curl|echo|git|grep|ls|mkdir|mv|node|npm|npx|php|printf|read|rm|sed|set|sudo|test|unset)\b/y],
+            ['attribute', /(?<=\s)--?[\w-]+/y],
+            ['number', /\b\d+\b/y],
+        ],
+        markdown: [
+            ['heading', /^ {0,3}#{1,6}(?:[ \t].*)?$/my],
+            ['meta', /^ {0,3}(?:`{3,}|~{3,}).*$/my],
+            ['comment', /^ {0,3}>.*$/my],
+            ['keyword', /^[ \t]*(?:[-*+]|\d{1,9}[.)])(?=[ \t])/my],
+            ['string', /`[^`\n]+`/y],
+            ['bold', /\*\*[^*\n]+\*\*|__[^_\n]+__/y],
+            ['link', /!?\[[^\]\n]*\]\([^)\n]*\)/y],
+        ],
+        yaml: [
+            ['comment', /(?<![^\s])#.*/y],
+            ['meta', /^(?:---|\.\.\.)[ \t]*$/my],
+            ['property', /(?<=^[ \t]*(?:-[ \t]+)?)[^\s#:'"-][^#:\n]*?(?=[ \t]*:(?:[ \t]|$))/my],
+            ['punctuation', /^[ \t]*-(?=[ \t]|$)/my],
+            ['string', /"(?:[^"\\\n]|\\.)*"?|'(?:[^'\n]|'')*'?/y],
+            ['literal', /\b(?:true|false|null|yes|no|on|off)\b|~/y],
+            ['number', /-?\b\d+(?:\.\d+)?\b/y],
+            ['variable', /[&*][\w-]+/y],
+        ],
+    },
 
-        try {
-            const response = await fetch(ForgeConfig.apiEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    messages: ForgeState.messages,
-                    agentId: ForgeState.currentAgent?.id || null
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            // Handle SSE stream
-            await this.handleSSEStream(response);
-
-        } catch (error) {
-            console.error('API Error:', error);
-            ForgeMessages.addErrorMessage(`Error: ${error.message}`);
-        } finally {
-            ForgeState.isStreaming = false;
-            ForgeUI.setStatus('ready', 'Ready');
-            ForgeUI.disableInput(false);
-            ForgeMessages.finalizeAssistantMessage();
-
-            // Auto-save conversation
-            ForgeHistory.saveConversation();
-        }
+    /**
+     * Resolve a fence language name to a grammar name (or null)
+     */
+    resolveLanguage(language) {
+        return this.aliases[(language || '').toLowerCase()] || null;
     },
 
     /**
-     * Handle Server-Sent Events stream
+     * Resolve a filename's extension to a grammar name (or null)
      */
-    async handleSSEStream(response) {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-
-        while (true) {
-            const { done, value } = await reader.read();
+    languageForFile(filename) {
+        const match = (filename || '').match(/\.([\w-]+)$/);
+        return match ? this.resolveLanguage(match[1]) : null;
+    },
 
-            if (done) {
-                break;
-            }
+    /**
+     * Split code into [{type, text}] tokens (type null = plain text)
+     */
+    tokenize(code, language) {
+        const grammar = this.grammars[this.resolveLanguage(language)];
+        if (!grammar) {
+            return [{ type: null, text: code }];
+        }
 
-            buffer += decoder.decode(value, { stream: true });
+        const tokens = [];
+        const word = /[\w$]+|[\s\S]/y;
+        let plain = '';
+        let position = 0;
 
-            // Process complete events
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || ''; // Keep incomplete line in buffer
+        while (position < code.length) {
+            let matched = null;
 
-            for (const line of lines) {
-                if (line.startsWith('event: ')) {
-                    // Event type
-                    continue;
+            for (const [type, pattern] of grammar) {
+                pattern.lastIndex = position;
+                const match = pattern.exec(code);
+                if (match && match[0]) {
+                    matched = { type, text: match[0] };
+                    break;
                 }
+            }
 
-                if (line.startsWith('data: ')) {
-                    const jsonStr = line.substring(6);
-                    try {
-                        const data = JSON.parse(jsonStr);
-                        this.handleSSEEvent(data);
-                    } catch (e) {
-                        // Ignore parse errors for incomplete data
-                    }
+            if (matched) {
+                if (plain) {
+                    tokens.push({ type: null, text: plain });
+                    plain = '';
                 }
+                tokens.push(matched);
+                position += matched.text.length;
+            } else {
+                // Skip whole words so keywords never match mid-identifier
+                word.lastIndex = position;
+                const text = word.exec(code)[0];
+                plain += text;
+                position += text.length;
             }
         }
+
+        if (plain) {
+            tokens.push({ type: null, text: plain });
+        }
+
+        return tokens;
     },
 
     /**
-     * Handle individual SSE event
+     * Highlight code as HTML, one <span class="forge-code__line"> per line
      */
-    handleSSEEvent(data) {
-        // Content text
-        if (data.text !== undefined) {
-            ForgeMessages.appendToAssistantMessage(data.text);
-        }
+    highlight(code, language) {
+        const lines = [''];
 
-        // Tool use starting
-        if (data.name && data.id && !data.result) {
-            ForgeUI.setStatus('loading', `Using ${data.name}...`);
+        for (const token of this.tokenize(code, language)) {
+            token.text.split('\n').forEach((part, index) => {
+                if (index > 0) {
+                    lines.push('');
+                }
+                if (part) {
+                    const text = ForgeMarkdown.escape(part);
+                    lines[lines.length - 1] += token.type
+                        ? `<span class="forge-token forge-token--${token.type}">${text}</span>`
+                        : text;
+                }
+            });
         }
 
-        // Tool result
-        if (data.result !== undefined) {
-            // Finalize any pending assistant message before tool output
-            ForgeMessages.finalizeAssistantMessage();
+        return lines.map(line => `<span class="forge-code__line">${line}</span>`).join('');
+    }
+};
 
-            ForgeMessages.addToolUseMessage(data.name, data.input);
-            ForgeMessages.addToolResultMessage(data.name, data.result);
 
-            // Start new assistant message for continuation
-            ForgeMessages.startAssistantMessage();
-        }
+/* ============================================
+   DIFF VIEW
+   Renders the unified diffs that write_file and
+   edit_file return for file mutations.
+   ============================================ */
 
-        // Error
-        if (data.message && !data.text) {
-            ForgeMessages.addErrorMessage(data.message);
+const ForgeDiff = {
+    /**
+     * Parse a unified diff into file name, stats and hunks
+     */
+    parse(diff) {
+        const parsed = { file: '', added: 0, removed: 0, hunks: [] };
+        let hunk = null;
+        let oldNumber = 0;
+        let newNumber = 0;
+
+        for (const line of diff.split('\n')) {
+            const header = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+
+            if (header) {
+                hunk = { header: line, lines: [] };
+                parsed.hunks.push(hunk);
+                oldNumber = parseInt(header[1], 10);
+                newNumber = parseInt(header[2], 10);
+            } else if (!hunk && line.startsWith('+++ ')) {
+                parsed.file = line.slice(4);
+            } else if (!hunk) {
+                continue;
+            } else if (line.startsWith('+')) {
+                hunk.lines.push({ type: 'add', oldNumber: '', newNumber: newNumber++, text: line.slice(1) });
+                parsed.added++;
+            } else if (line.startsWith('-')) {
+                hunk.lines.push({ type: 'remove', oldNumber: oldNumber++, newNumber: '', text: line.slice(1) });
+                parsed.removed++;
+            } else if (line.startsWith('\\')) {
+                hunk.lines.push({ type: 'meta', oldNumber: '', newNumber: '', text: line.slice(1).trim() });
+            } else {
+                hunk.lines.push({ type: 'context', oldNumber: oldNumber++, newNumber: newNumber++, text: line.slice(1) });
+            }
         }
 
-        // Done
-        if (data.success !== undefined) {
-            // Stream complete
-            ForgeMessages.finalizeAssistantMessage();
+        return parsed;
+    },
+
+    /**
+     * Render a unified diff into a diff element (null if nothing changed)
+     */
+    render(diff) {
+        const parsed = this.parse(diff || '');
+        if (parsed.hunks.length === 0) {
+            return null;
         }
+
+        const element = ForgeTemplates.clone('template-tool-diff');
+        element.querySelector('.forge-diff__file').textContent = parsed.file;
+        element.querySelector('.forge-diff__stat--added').textContent = `+${parsed.added}`;
+        element.querySelector('.forge-diff__stat--removed').textContent = `-${parsed.removed}`;
+        element.querySelector('.forge-diff__hunks').innerHTML = parsed.hunks.map(hunk => this.renderHunk(hunk)).join('');
+
+        return element;
+    },
+
+    /**
+     * Render one hunk; long hunks start collapsed
+     */
+    renderHunk(hunk) {
+        const limit = ForgeConfig.diffCollapseLines;
+        const collapsible = limit > 0 && hunk.lines.length > limit;
+        const markers = { add: '+', remove: '-', context: ' ', meta: '\\' };
+
+        const lines = hunk.lines.map((line, index) => {
+            const overflow = collapsible && index >= limit ? ' forge-diff__line--overflow' : '';
+            return `<div class="forge-diff__line forge-diff__line--${line.type}${overflow}">
+                <span class="forge-diff__number">${line.oldNumber}</span>
+                <span class="forge-diff__number">${line.newNumber}</span>
+                <span class="forge-diff__text">${markers[line.type]}${ForgeMarkdown.escape(line.text)}</span>
+            </div>`;
+        }).join('');
+
+        const toggle = collapsible
+            ? `<button class="forge-diff__toggle" onclick="ForgeUtils.toggleDiffHunk(this)">Show all ${hunk.lines.length} lines</button>`
+            : '';
+
+        return `<div class="forge-diff__hunk${collapsible ? ' forge-diff__hunk--collapsed' : ''}">
+                <div class="forge-diff__hunk-header">${ForgeMarkdown.escape(hunk.header)}</div>
+                <div class="forge-diff__lines">${lines}</div>
+                ${toggle}
+            </div>`;
     }
 };
 
 
 /* ============================================
-   7. UI HELPERS
+   5. MESSAGE RENDERING
    ============================================ */
 
-const ForgeUI = {
+const ForgeMessages = {
     /**
-     * Set the status indicator
+     * Add a user message to the chat
      */
-    setStatus(state, text) {
-        const indicator = ForgeElements.statusIndicator;
-        const textEl = ForgeElements.statusText;
+    addUserMessage(text, attachments = [], agentId = null) {
+        const element = ForgeTemplates.getMessageTemplate('user');
+        const agent = agentId
+            ? ForgeState.agents.find(a => a.id === agentId)
+            : ForgeMentions.getMentionedAgent(text);
+        element.querySelector('.forge-message__body').textContent = text;
+        ForgeAttachments.decorate(element, attachments);
+        ForgeMentions.decorate(element, agent?.id);
 
-        if (!indicator || !textEl) return;
+        if (ForgeConfig.showTimestamps) {
+            element.querySelector('.forge-message__time').textContent = this.formatTime(new Date());
+        }
 
-        // Remove all state classes
-        indicator.classList.remove(
-            'forge-status__indicator--ready',
-            'forge-status__indicator--loading',
-            'forge-status__indicator--error'
-        );
+        ForgeElements.messagesContainer.appendChild(element);
+        this.scrollToBottom();
 
-        // Add new state class
-        indicator.classList.add(`forge-status__indicator--${state}`);
-        textEl.textContent = text;
+        // Add to history (a plain string unless files are attached)
+        ForgeState.messages.push({
+            role: 'user',
+            content: attachments.length > 0
+                ? [...attachments, ...(text ? [{ type: 'text', text }] : [])]
+                : text,
+            ...(agent ? { agentId: agent.id } : {})
+        });
+        ForgeBranches.decorate(element, ForgeState.messages.length - 1);
+
+        return element;
     },
 
     /**
-     * Disable/enable input
+     * Start a new assistant message (for streaming)
      */
-    disableInput(disabled) {
-        ForgeElements.userInput.disabled = disabled;
-        ForgeElements.sendButton.disabled = disabled;
+    startAssistantMessage() {
+        const element = ForgeTemplates.getMessageTemplate('assistant');
+        element.classList.add('forge-message--streaming');
+        element.querySelector('.forge-message__body').textContent = '';
+
+        // Use configurable agent name
+        element.querySelector('.forge-message__role').textContent = ForgeConfig.agentName;
+
+        if (ForgeConfig.showTimestamps) {
+            element.querySelector('.forge-message__time').textContent = this.formatTime(new Date());
+        }
+
+        ForgeElements.messagesContainer.appendChild(element);
+        ForgeState.currentAssistantMessage = element;
+        ForgeState.currentAssistantContent = '';
+        ForgeState.streamRender = { frame: null, offset: 0, committedHtml: '', blocks: [] };
+
+        this.scrollToBottom();
+        return element;
     },
 
     /**
-     * Toggle light mode (dark is default)
+     * Append text to the current streaming message
      */
-    toggleTheme() {
-        ForgeState.isLightMode = !ForgeState.isLightMode;
-        document.querySelector('.forge-app').classList.toggle('forge-light', ForgeState.isLightMode);
+    appendToAssistantMessage(text) {
+        if (!ForgeState.currentAssistantMessage) {
+            this.startAssistantMessage();
+        }
 
-        // Save preference
-        localStorage.setItem('forge-light-mode', ForgeState.isLightMode);
+        ForgeState.currentAssistantContent += text;
+        this.recordText(text);
+
+        this.scheduleRender();
     },
 
     /**
-     * Load saved theme preference
+     * Queue a render of the streaming message for the next animation frame
      */
-    loadTheme() {
-        const saved = localStorage.getItem('forge-light-mode');
-        if (saved === 'true') {
-            ForgeState.isLightMode = true;
-            document.querySelector('.forge-app').classList.add('forge-light');
+    scheduleRender() {
+        const render = ForgeState.streamRender;
+        if (render && render.frame === null) {
+            render.frame = requestAnimationFrame(() => {
+                render.frame = null;
+                this.renderStreamingContent();
+            });
         }
     },
 
     /**
-     * Toggle tool messages collapsed state
+     * Render the streaming message incrementally
+     * Only text after the committed offset is parsed. Blocks whose HTML is
+     * unchanged keep their DOM nodes (so selections and Copy buttons
+     * survive); everything from the first changed block on is replaced.
      */
-    toggleToolsCollapse() {
-        ForgeState.toolsCollapsed = !ForgeState.toolsCollapsed;
-        ForgeElements.messagesContainer.classList.toggle('forge-tools-collapsed', ForgeState.toolsCollapsed);
-        ForgeElements.toolsCollapseButton.classList.toggle('forge-button--active', ForgeState.toolsCollapsed);
-        ForgeElements.toolsCollapseButton.textContent = ForgeState.toolsCollapsed ? 'Expand Tools' : 'Collapse Tools';
+    renderStreamingContent() {
+        const element = ForgeState.currentAssistantMessage;
+        const render = ForgeState.streamRender;
+        if (!element || !render) return;
+
+        const body = element.querySelector('.forge-message__body');
+        const source = ForgeState.currentAssistantContent.slice(render.offset);
+        const blocks = ForgeMarkdown.parse(source);
+        const html = blocks.map(block => ForgeMarkdown.renderBlock(block));
+
+        let index = 0;
+        while (index < html.length && index < render.blocks.length && html[index] === render.blocks[index].html) {
+            index++;
+        }
 
-        // Save preference
-        localStorage.setItem('forge-tools-collapsed', ForgeState.toolsCollapsed);
+        for (const stale of render.blocks.splice(index)) {
+            stale.nodes.forEach(node => node.remove());
+        }
+
+        for (const blockHtml of html.slice(index)) {
+            const template = document.createElement('template');
+            template.innerHTML = blockHtml;
+            const nodes = [...template.content.childNodes];
+            body.append(...nodes);
+            render.blocks.push({ html: blockHtml, nodes });
+        }
+
+        // Commit blocks that can no longer change so they are never parsed again
+        const finished = this.countFinishedBlocks(blocks);
+        if (finished > 0) {
+            const lines = source.split('\n').slice(0, blocks[finished].start);
+            render.offset += lines.reduce((length, line) => length + line.length + 1, 0);
+            render.committedHtml += render.blocks.splice(0, finished).map(block => block.html).join('');
+        }
+
+        this.scrollToBottom();
     },
 
     /**
-     * Toggle tool messages visibility
+     * Count the leading blocks of a partial message that are finished
+     * A block is only final once two more blocks follow it (a list can
+     * still continue after a blank line), or once a closed code fence
+     * is followed by anything.
      */
-    toggleToolsVisibility() {
-        ForgeState.toolsHidden = !ForgeState.toolsHidden;
-        ForgeElements.messagesContainer.classList.toggle('forge-tools-hidden', ForgeState.toolsHidden);
-        ForgeElements.toolsVisibilityButton.classList.toggle('forge-button--active', ForgeState.toolsHidden);
-        ForgeElements.toolsVisibilityButton.textContent = ForgeState.toolsHidden ? 'Show Tools' : 'Hide Tools';
+    countFinishedBlocks(blocks) {
+        let finished = Math.max(0, blocks.length - 2);
 
-        // Save preference
-        localStorage.setItem('forge-tools-hidden', ForgeState.toolsHidden);
+        blocks.forEach((block, index) => {
+            if (block.type === 'code' && block.closed && index < blocks.length - 1) {
+                finished = Math.max(finished, index + 1);
+            }
+        });
+
+        return finished;
     },
 
     /**
-     * Load saved tool preferences
+     * Finalize the current streaming message
      */
-    loadToolPreferences() {
-        // Collapsed state (default: collapsed)
-        const collapsed = localStorage.getItem('forge-tools-collapsed');
-        if (collapsed === 'false') {
-            ForgeState.toolsCollapsed = false;
-            ForgeElements.toolsCollapseButton.classList.remove('forge-button--active');
-            ForgeElements.toolsCollapseButton.textContent = 'Collapse Tools';
-        } else {
-            // Default: collapsed
-            ForgeElements.messagesContainer.classList.add('forge-tools-collapsed');
-        }
+    finalizeAssistantMessage() {
+        this.finalizeThinkingMessage();
 
-        // Hidden state
-        const hidden = localStorage.getItem('forge-tools-hidden');
-        if (hidden === 'true') {
-            ForgeState.toolsHidden = true;
-            ForgeElements.messagesContainer.classList.add('forge-tools-hidden');
-            ForgeElements.toolsVisibilityButton.classList.add('forge-button--active');
-            ForgeElements.toolsVisibilityButton.textContent = 'Show Tools';
+        if (ForgeState.currentAssistantMessage) {
+            ForgeState.currentAssistantMessage.classList.remove('forge-message--streaming');
+
+            // Drop placeholders that never received text (e.g. after the last tool call)
+            if (!ForgeState.currentAssistantContent.trim()) {
+                ForgeState.currentAssistantMessage.remove();
+            } else {
+                this.flushStreamingContent();
+            }
+
+            this.cancelStreamRender();
+            ForgeState.currentAssistantMessage = null;
+            ForgeState.currentAssistantContent = '';
         }
-    }
-};
+    },
+
+    /**
+     * Render any pending text and make sure the result matches a full render
+     */
+    flushStreamingContent() {
+        const render = ForgeState.streamRender;
+        if (!render) return;
 
+        this.renderStreamingContent();
 
-/* ============================================
-   8. CHAT HISTORY
-   ============================================ */
+        const html = this.formatMessageContent(ForgeState.currentAssistantContent);
+        const incremental = render.committedHtml + render.blocks.map(block => block.html).join('');
+        if (incremental !== html) {
+            ForgeState.currentAssistantMessage.querySelector('.forge-message__body').innerHTML = html;
+        }
+    },
 
-const ForgeHistory = {
     /**
-     * Load all conversations from server
+     * Drop the incremental render state (and any queued frame)
      */
-    async loadConversations() {
-        try {
-            const response = await fetch(ForgeConfig.historyEndpoint);
-            const data = await response.json();
+    cancelStreamRender() {
+        const render = ForgeState.streamRender;
+        if (render && render.frame !== null) {
+            cancelAnimationFrame(render.frame);
+        }
+        ForgeState.streamRender = null;
+    },
 
-            if (data.success) {
-                ForgeState.conversations = data.conversations || [];
-                this.renderConversationList();
-                return data.conversations;
-            }
-        } catch (error) {
-            console.warn('Could not load conversations:', error);
+    /**
+     * Record streamed text in the current turn
+     */
+    recordText(text) {
+        const blocks = ForgeState.currentTurnBlocks;
+        const last = blocks[blocks.length - 1];
+
+        if (last && last.type === 'text') {
+            last.text += text;
+        } else {
+            blocks.push({ type: 'text', text });
         }
-        return [];
     },
 
     /**
-     * Load a specific conversation
+     * Record a complete (signed) thinking block in the current turn
      */
-    async loadConversation(id) {
-        try {
-            const response = await fetch(`${ForgeConfig.historyEndpoint}?id=${id}`);
-            const data = await response.json();
+    recordThinking(block) {
+        ForgeState.currentTurnBlocks.push(block);
+    },
+
+    /**
+     * Record a tool call in the current turn
+     */
+    recordToolUse(id, name, input) {
+        ForgeState.currentTurnBlocks.push({
+            type: 'tool_use',
+            id,
+            name,
+            input: input || {}
+        });
+    },
+
+    /**
+     * Record a tool result in the current turn
+     */
+    recordToolResult(id, result) {
+        const block = {
+            type: 'tool_result',
+            tool_use_id: id,
+            content: this.getToolResultContent(result),
+            is_error: !result.success
+        };
+
+        // UI-only: api.php strips these before the transcript reaches the model
+        if (result.diff) {
+            block.diff = result.diff;
+        }
+        if (result.delegation) {
+            block.delegation = result.delegation;
+        }
+
+        ForgeState.currentToolResults.push(block);
+    },
+
+    /**
+     * Commit the current turn to history
+     * Mirrors what api.php sends the model: the assistant's content
+     * blocks, then a user message carrying the tool results.
+     * Pass interrupted = true when the user stopped the response.
+     */
+    commitTurn(interrupted = false) {
+        const blocks = ForgeState.currentTurnBlocks.filter(block =>
+            block.type !== 'text' || block.text.trim()
+        );
+
+        // A response stopped during thinking has nothing to send back
+        const answered = blocks.some(block => block.type !== 'thinking' && block.type !== 'redacted_thinking');
+
+        if (answered) {
+            const message = {
+                role: 'assistant',
+                content: blocks
+            };
+            if (interrupted) {
+                message.interrupted = true;
+            }
+            // UI-only, like interrupted: api.php keeps just role and content
+            if (ForgeState.currentUsage) {
+                message.usage = ForgeState.currentUsage;
+            }
+            if (ForgeState.currentTrace) {
+                message.traceId = ForgeState.currentTrace;
+            }
+            ForgeState.messages.push(message);
+        }
+
+        if (ForgeState.currentUsage) {
+            ForgeUsage.addFooter(ForgeState.currentUsage);
+            ForgeState.currentUsage = null;
+        }
+
+        // The trace arrives last, so it goes under the request's final response
+        if (ForgeState.currentTrace) {
+            ForgeTrace.addButton(ForgeState.currentTrace);
+            ForgeState.currentTrace = null;
+        }
+
+        if (ForgeState.currentToolResults.length > 0) {
+            ForgeState.messages.push({
+                role: 'user',
+                content: ForgeState.currentToolResults
+            });
+        }
+
+        ForgeState.currentTurnBlocks = [];
+        ForgeState.currentToolResults = [];
+    },
+
+    /**
+     * Commit the turn once its tool results are in
+     * (the next text or tool call starts a new model response)
+     */
+    commitToolRound() {
+        if (ForgeState.currentToolResults.length > 0) {
+            this.commitTurn();
+        }
+    },
+
+    /**
+     * Get the text of a message (tool calls and results are skipped)
+     */
+    getMessageText(message) {
+        if (typeof message.content === 'string') {
+            return message.content;
+        }
+
+        return (message.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('\n\n');
+    },
+
+    /**
+     * Check whether a message is one the user sent (text or attachments,
+     * not tool results)
+     */
+    isUserTurn(message) {
+        return message.role === 'user'
+            && Boolean(this.getMessageText(message) || ForgeAttachments.fromMessage(message).length);
+    },
+
+    /**
+     * Get the text sent to the model for a tool result
+     * (same fallback order as api.php)
+     */
+    getToolResultContent(result) {
+        return result.content ?? result.message ?? result.error ?? JSON.stringify(result);
+    },
+
+    /**
+     * Build a displayable tool result from a saved tool_result block
+     */
+    toolResultFromBlock(block) {
+        const content = Array.isArray(block.content)
+            ? block.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+            : block.content;
+
+        return {
+            success: !block.is_error,
+            content: content || '',
+            diff: block.diff,
+            delegation: block.delegation
+        };
+    },
+
+    /**
+     * Add a tool use message
+     */
+    addToolUseMessage(name, input) {
+        const element = ForgeTemplates.getMessageTemplate('tool_use');
+        element.querySelector('.forge-tool-name').textContent = name;
+        element.querySelector('.forge-code--json').textContent = JSON.stringify(input, null, 2);
+
+        ForgeElements.messagesContainer.appendChild(element);
+        this.scrollToBottom();
+
+        return element;
+    },
+
+    /**
+     * Add a tool result message
+     */
+    addToolResultMessage(name, result) {
+        const element = ForgeTemplates.getMessageTemplate('tool_result');
+        element.querySelector('.forge-tool-name').textContent = name;
+
+        const statusEl = element.querySelector('.forge-tool-status');
+        if (result.success) {
+            statusEl.textContent = 'Success';
+            statusEl.classList.add('forge-tool-status--success');
+        } else {
+            statusEl.textContent = 'Error';
+            statusEl.classList.add('forge-tool-status--error');
+            element.classList.add('forge-message--tool-error');
+        }
+
+        const output = result.content || result.message || result.error || JSON.stringify(result, null, 2);
+        element.querySelector('.forge-code').textContent = output;
+
+        // File mutations come with a diff of what changed
+        const diff = result.diff ? ForgeDiff.render(result.diff) : null;
+        if (diff) {
+            element.querySelector('.forge-message__body').appendChild(diff);
+            element.classList.add('forge-message--diff');
+        }
+
+        ForgeElements.messagesContainer.appendChild(element);
+        this.scrollToBottom();
+
+        return element;
+    },
+
+    /**
+     * Show Regenerate (or Retry, after an error) below the last turn
+     */
+    showTurnActions() {
+        this.removeTurnActions();
+        if (ForgeState.messages.length === 0 || ForgeBranches.isLocked()) return;
+
+        const element = ForgeTemplates.clone('template-turn-actions');
+        if (!element) return;
+
+        const button = element.querySelector('.forge-turn-actions__button');
+        if (ForgeState.turnFailed) {
+            element.classList.add('forge-turn-actions--failed');
+            button.textContent = 'Retry';
+        }
+        button.addEventListener('click', () => ForgeAPI.regenerate());
+
+        ForgeElements.messagesContainer.appendChild(element);
+        this.scrollToBottom();
+    },
+
+    /**
+     * Remove the Regenerate / Retry actions
+     */
+    removeTurnActions() {
+        ForgeElements.messagesContainer.querySelectorAll('.forge-turn-actions').forEach(element => element.remove());
+    },
+
+    /**
+     * Add an error message
+     */
+    addErrorMessage(text) {
+        const element = ForgeTemplates.getMessageTemplate('error');
+        element.querySelector('.forge-message__body').textContent = text;
+
+        ForgeElements.messagesContainer.appendChild(element);
+        this.scrollToBottom();
+
+        return element;
+    },
+
+    /**
+     * Add a system message (UI only, not sent to the model)
+     */
+    addSystemMessage(text) {
+        const element = ForgeTemplates.clone('template-message-user');
+        if (!element) return null;
+
+        // Restyle as system message
+        element.classList.remove('forge-message--user');
+        element.classList.add('forge-message--system');
+        element.querySelector('.forge-message__role').textContent = 'System';
+        element.querySelector('.forge-message__body').textContent = text;
+
+        // Update icon
+        const icon = element.querySelector('.forge-icon');
+        if (icon) {
+            icon.classList.remove('forge-icon--user');
+            icon.classList.add('forge-icon--system');
+        }
+
+        ForgeElements.messagesContainer.appendChild(element);
+        this.scrollToBottom();
+
+        return element;
+    },
+
+    /**
+     * Add the divider where older turns were compacted
+     */
+    addCompactionDivider(marker) {
+        const element = ForgeTemplates.clone('template-compaction-divider');
+        if (!element) return null;
+
+        // Markers added with /clear-tools have no size estimate
+        const size = marker.tokensBefore
+            ? ` (≈${this.formatTokens(marker.tokensBefore)} → ${this.formatTokens(marker.tokensAfter)} tokens)`
+            : '';
+        const body = element.querySelector('.forge-compaction__summary');
+
+        if (marker.strategy === 'summarize') {
+            element.querySelector('.forge-compaction__label').textContent = `Earlier messages summarized to save context${size}`;
+            body.innerHTML = this.formatMessageContent(marker.summary || '');
+        } else {
+            element.querySelector('.forge-compaction__label').textContent = `Old tool outputs dropped to save context${size}`;
+            body.textContent = 'The model no longer sees tool outputs above this line. The full transcript is still saved.';
+        }
+
+        ForgeElements.messagesContainer.appendChild(element);
+        return element;
+    },
+
+    /**
+     * Format a token count in thousands (e.g. 152k)
+     */
+    formatTokens(count) {
+        return count >= 1000 ? `${Math.round(count / 1000)}k` : String(count || 0);
+    },
+
+    /**
+     * Add a thinking message
+     */
+    addThinkingMessage(text) {
+        const element = ForgeTemplates.getMessageTemplate('thinking');
+        element.querySelector('.forge-message__body').textContent = text;
+        element.querySelector('.forge-message__header').addEventListener('click', () => {
+            element.classList.toggle('forge-message--collapsed');
+        });
+
+        ForgeElements.messagesContainer.appendChild(element);
+        this.scrollToBottom();
+
+        return element;
+    },
+
+    /**
+     * Add an element at the end of the chat, but above the empty
+     * placeholder started for the next response after a tool result
+     */
+    appendBeforePlaceholder(element) {
+        const placeholder = ForgeState.currentAssistantMessage;
+
+        if (placeholder && !ForgeState.currentAssistantContent) {
+            placeholder.before(element);
+        } else {
+            ForgeElements.messagesContainer.appendChild(element);
+        }
+    },
+
+    /**
+     * Append streamed thinking, starting a thinking message if needed
+     * (above the answer it leads to)
+     */
+    appendThinking(text) {
+        let element = ForgeState.currentThinkingMessage;
+
+        if (!element) {
+            element = this.addThinkingMessage('');
+            element.classList.add('forge-message--streaming');
+            this.appendBeforePlaceholder(element);
+            ForgeState.currentThinkingMessage = element;
+        }
+
+        element.querySelector('.forge-message__body').append(text);
+        this.scrollToBottom();
+    },
+
+    /**
+     * Keep a finished thinking block (redacted blocks arrive without deltas)
+     */
+    finishThinking(block) {
+        if (!ForgeState.currentThinkingMessage) {
+            this.appendThinking(block.type === 'redacted_thinking' ? 'Redacted thinking' : block.thinking);
+        }
+
+        this.recordThinking(block);
+        this.finalizeThinkingMessage();
+    },
+
+    /**
+     * Collapse the thinking message once the answer starts
+     */
+    finalizeThinkingMessage() {
+        const element = ForgeState.currentThinkingMessage;
+        if (!element) return;
+
+        element.classList.remove('forge-message--streaming');
+        element.classList.add('forge-message--collapsed');
+        ForgeState.currentThinkingMessage = null;
+    },
+
+    /**
+     * Add a loading indicator
+     */
+    addLoadingIndicator() {
+        const template = document.getElementById('template-loading');
+        const element = template.content.cloneNode(true).firstElementChild;
+        element.id = 'loadingIndicator';
+
+        ForgeElements.messagesContainer.appendChild(element);
+        this.scrollToBottom();
+
+        return element;
+    },
+
+    /**
+     * Remove the loading indicator
+     */
+    removeLoadingIndicator() {
+        const indicator = document.getElementById('loadingIndicator');
+        if (indicator) {
+            indicator.remove();
+        }
+    },
+
+    /**
+     * Format message content (Markdown)
+     */
+    formatMessageContent(text) {
+        return ForgeMarkdown.render(text);
+    },
+
+    /**
+     * Escape HTML entities
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    },
+
+    /**
+     * Format time for display
+     */
+    formatTime(date) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    },
+
+    /**
+     * Scroll to bottom of messages
+     */
+    scrollToBottom() {
+        if (ForgeConfig.autoScroll) {
+            ForgeElements.messagesContainer.scrollTop = ForgeElements.messagesContainer.scrollHeight;
+        }
+    },
+
+    /**
+     * Clear all messages
+     */
+    clearAll() {
+        // Keep only the system welcome message
+        const systemMessage = ForgeElements.messagesContainer.querySelector('.forge-message--system');
+        ForgeElements.messagesContainer.innerHTML = '';
+        if (systemMessage) {
+            ForgeElements.messagesContainer.appendChild(systemMessage);
+        }
+
+        // Clear history
+        ForgeState.messages = [];
+        ForgeState.messageBranches = [];
+        ForgeState.turnFailed = false;
+        this.cancelStreamRender();
+        ForgeState.currentAssistantMessage = null;
+        ForgeState.currentAssistantContent = '';
+        ForgeState.currentThinkingMessage = null;
+        ForgeState.currentUsage = null;
+        ForgeState.currentTurnBlocks = [];
+        ForgeState.currentToolResults = [];
+        ForgeState.pendingToolCalls = {};
+    }
+};
+
+
+/* ============================================
+   6. API COMMUNICATION
+   ============================================ */
+
+const ForgeAPI = {
+    /**
+     * Send a message and handle streaming response
+     */
+    async sendMessage(userText, attachments = [], agentId = undefined) {
+        if (ForgeState.isStreaming || ForgePermissions.awaitingDecision()) {
+            console.warn('Already streaming, please wait...');
+            return;
+        }
+
+        // Routing: an explicit agent (null = the selected one), else an @mention, else auto-route
+        let route = null;
+        if (agentId === undefined && ForgeState.autoRoute && !ForgeMentions.getMentionedAgent(userText)) {
+            route = ForgeRouting.route(userText);
+            agentId = route.agent && route.agent.id !== ForgeState.currentAgent?.id ? route.agent.id : null;
+        }
+
+        // Add user message to UI
+        ForgeMessages.addUserMessage(userText, attachments, agentId);
+        if (route && !route.fallback) {
+            ForgeRouting.showNote(route);
+        }
+
+        await this.streamResponse();
+    },
+
+    /**
+     * Stream the model's response to the current history
+     * Extra fields (e.g. permission approvals) are merged into the request.
+     */
+    async streamResponse(extra = {}) {
+        ForgeState.isStreaming = true;
+        ForgeState.abortController = new AbortController();
+        ForgeState.turnFailed = false;
+        ForgeState.currentTrace = null;
+        ForgeMessages.removeTurnActions();
+        ForgeUI.setStatus('loading', 'Sending...');
+        ForgeUI.disableInput(true);
+
+        let interrupted = false;
+
+        try {
+            const response = await fetch(ForgeConfig.apiEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    messages: ForgeState.messages,
+                    agentId: ForgeMentions.getTurnAgentId(),
+                    conversationId: ForgeState.currentConversation?.id || null,
+                    settings: ForgeState.settings,
+                    allowedTools: ForgeState.sessionAllowedTools,
+                    maxHistoryMessages: ForgeConfig.maxHistoryMessages,
+                    ...extra
+                }),
+                signal: ForgeState.abortController.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            // Handle SSE stream
+            await this.handleSSEStream(response);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                interrupted = true;
+            } else {
+                console.error('API Error:', error);
+                ForgeState.turnFailed = true;
+                ForgeMessages.addErrorMessage(`Error: ${error.message}`);
+            }
+        } finally {
+            ForgeState.isStreaming = false;
+            ForgeState.abortController = null;
+            ForgeUI.clearRetryCountdown();
+            ForgeDelegation.abandon();
+            ForgeMessages.finalizeAssistantMessage();
+            ForgeMessages.commitTurn(interrupted);
+
+            // Stay locked while tool calls wait for the user's approval
+            if (!interrupted && ForgePermissions.awaitingDecision()) {
+                ForgeUI.setStatus('loading', 'Waiting for approval...');
+            } else {
+                ForgeState.pendingToolCalls = {};
+                ForgeUI.setStatus('ready', 'Ready');
+                ForgeUI.disableInput(false);
+            }
+
+            if (interrupted) {
+                ForgeMessages.addSystemMessage('Response interrupted');
+            }
+
+            ForgeMessages.showTurnActions();
+
+            // Auto-save conversation
+            ForgeHistory.saveConversation();
+        }
+    },
+
+    /**
+     * Stop the in-flight response
+     * Aborting the fetch closes the connection; api.php notices and
+     * stops streaming and running tools.
+     */
+    stopMessage() {
+        if (ForgeState.abortController) {
+            ForgeState.abortController.abort();
+        } else if (ForgePermissions.awaitingDecision()) {
+            ForgePermissions.cancel();
+        }
+    },
+
+    /**
+     * Drop the last turn and send its user message again
+     * Used by Regenerate, and by Retry after a failed response. The message
+     * keeps its agent unless another one is given (auto-route override).
+     */
+    async regenerate(agentId = undefined) {
+        if (ForgeBranches.isLocked()) return;
+
+        const index = ForgeState.messages.findLastIndex(msg => ForgeMessages.isUserTurn(msg));
+        if (index === -1) return;
+
+        const message = ForgeState.messages[index];
+        ForgeState.messages.splice(index);
+        ForgeHistory.renderLoadedMessages();
+
+        await this.sendMessage(
+            ForgeMessages.getMessageText(message),
+            ForgeAttachments.fromMessage(message),
+            agentId !== undefined ? agentId : (message.agentId || null)
+        );
+    },
+
+    /**
+     * Handle Server-Sent Events stream
+     */
+    async handleSSEStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let eventType = 'message';
+
+        while (true) {
+            const { done, value } = await reader.read();
+
+            if (done) {
+                break;
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Process complete events
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+            for (const line of lines) {
+                if (line.startsWith('event: ')) {
+                    // Event type (applies to the data line that follows)
+                    eventType = line.substring(7).trim();
+                    continue;
+                }
+
+                if (line.startsWith('data: ')) {
+                    const jsonStr = line.substring(6);
+                    try {
+                        const data = JSON.parse(jsonStr);
+                        this.handleSSEEvent(eventType, data);
+                    } catch (e) {
+                        // Ignore parse errors for incomplete data
+                    }
+                }
+            }
+        }
+    },
+
+    /**
+     * Handle individual SSE event
+     */
+    handleSSEEvent(event, data) {
+        if (event !== 'retry' && event !== 'delegate') {
+            ForgeUI.clearRetryCountdown();
+        }
+
+        switch (event) {
+            // Content text
+            case 'content':
+                ForgeMessages.commitToolRound();
+                ForgeMessages.appendToAssistantMessage(data.text);
+                break;
+
+            // Extended thinking (streams before the answer)
+            case 'thinking':
+                ForgeMessages.commitToolRound();
+                ForgeMessages.appendThinking(data.text);
+                ForgeUI.setStatus('loading', 'Thinking...');
+                break;
+
+            case 'thinking_block':
+                ForgeMessages.finishThinking(data.block);
+                ForgeUI.setStatus('loading', 'Sending...');
+                break;
+
+            // Older turns were compacted before the first API call; the
+            // marker goes into the history at the same index as on the server
+            case 'compaction':
+                ForgeState.messages.splice(data.index, 0, data.marker);
+                ForgeHistory.renderLoadedMessages();
+                break;
+
+            // Token usage of one API call (shown once its response is committed)
+            case 'usage':
+                ForgeUsage.record(data);
+                break;
+
+            // Tool use starting
+            case 'tool_use_start':
+                ForgeMessages.commitToolRound();
+                ForgeUI.setStatus('loading', `Using ${data.name}...`);
+                break;
+
+            // Tool result
+            case 'tool_result': {
+                // Finalize any pending assistant message before tool output
+                ForgeMessages.finalizeAssistantMessage();
+
+                // Calls held for approval, and delegations (shown when they
+                // started), are already in history and on screen
+                const pending = ForgeState.pendingToolCalls[data.id] || ForgeState.delegations[data.id];
+                if (!pending) {
+                    ForgeMessages.recordToolUse(data.id, data.name, data.input);
+                    ForgeMessages.addToolUseMessage(data.name, data.input);
+                }
+
+                ForgeMessages.recordToolResult(data.id, data.result);
+                const resultElement = ForgeMessages.addToolResultMessage(data.name, data.result);
+
+                if (pending) {
+                    pending.element.after(resultElement);
+                    delete ForgeState.pendingToolCalls[data.id];
+                }
+                if (data.result.delegation) {
+                    ForgeDelegation.finish(data.id, data.result.delegation);
+                }
+
+                // Show new and changed files in the tree
+                if (ForgeFiles.writeTools.includes(data.name) || data.name === 'execute_command') {
+                    ForgeFiles.refresh();
+                } else {
+                    ForgeFiles.highlightTouched();
+                }
+
+                // Start new assistant message for continuation
+                ForgeMessages.startAssistantMessage();
+                break;
+            }
+
+            // delegate_task handed a task to another agent
+            case 'delegate_start':
+                ForgeDelegation.start(data);
+                break;
+
+            // Event from inside a delegated run
+            case 'delegate':
+                ForgeDelegation.handleEvent(data);
+                break;
+
+            // Tool calls waiting for the user's approval
+            case 'permission_request':
+                ForgePermissions.handleRequest(data.tools || []);
+                break;
+
+            // Rate limited or overloaded: api.php waits, then tries again
+            case 'retry':
+                ForgeUI.showRetryCountdown(data);
+                break;
+
+            // The request's trace was written (sent after done)
+            case 'trace':
+                ForgeState.currentTrace = data.traceId;
+                break;
+
+            // Error
+            case 'error':
+                ForgeState.turnFailed = true;
+                ForgeMessages.addErrorMessage(data.message);
+                break;
+
+            // Stream complete
+            case 'done':
+                ForgeMessages.finalizeAssistantMessage();
+                break;
+        }
+    }
+};
+
+
+/* ============================================
+   7. UI HELPERS
+   ============================================ */
+
+const ForgeUI = {
+    /**
+     * Set the status indicator
+     */
+    setStatus(state, text) {
+        const indicator = ForgeElements.statusIndicator;
+        const textEl = ForgeElements.statusText;
+
+        if (!indicator || !textEl) return;
+
+        // Remove all state classes
+        indicator.classList.remove(
+            'forge-status__indicator--ready',
+            'forge-status__indicator--loading',
+            'forge-status__indicator--error'
+        );
+
+        // Add new state class
+        indicator.classList.add(`forge-status__indicator--${state}`);
+        textEl.textContent = text;
+    },
+
+    /**
+     * Count down to the next automatic retry in the status indicator
+     */
+    showRetryCountdown(retry) {
+        this.clearRetryCountdown();
+
+        const reason = retry.status === 429 ? 'Rate limited' : 'Overloaded';
+        const endsAt = Date.now() + retry.delay;
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+            this.setStatus('error', `${reason} - retrying in ${seconds}s (${retry.attempt}/${retry.maxAttempts})`);
+        };
+
+        tick();
+        ForgeState.retryTimer = setInterval(tick, 250);
+    },
+
+    /**
+     * Stop the retry countdown
+     */
+    clearRetryCountdown() {
+        if (ForgeState.retryTimer) {
+            clearInterval(ForgeState.retryTimer);
+            ForgeState.retryTimer = null;
+            this.setStatus('loading', 'Sending...');
+        }
+    },
+
+    /**
+     * Disable/enable input
+     */
+    disableInput(disabled) {
+        ForgeElements.userInput.disabled = disabled;
+        ForgeElements.sendButton.disabled = disabled;
+
+        // Swap Send for Stop while a response is streaming
+        ForgeElements.sendButton.classList.toggle('forge-hidden', disabled);
+        ForgeElements.stopButton?.classList.toggle('forge-hidden', !disabled);
+    },
+
+    /**
+     * Toggle light mode (dark is default)
+     */
+    toggleTheme() {
+        ForgeState.isLightMode = !ForgeState.isLightMode;
+        document.querySelector('.forge-app').classList.toggle('forge-light', ForgeState.isLightMode);
+
+        // Save preference
+        localStorage.setItem('forge-light-mode', ForgeState.isLightMode);
+    },
+
+    /**
+     * Load saved theme preference
+     */
+    loadTheme() {
+        const saved = localStorage.getItem('forge-light-mode');
+        if (saved === 'true') {
+            ForgeState.isLightMode = true;
+            document.querySelector('.forge-app').classList.add('forge-light');
+        }
+    },
+
+    /**
+     * Toggle tool messages collapsed state
+     */
+    toggleToolsCollapse() {
+        ForgeState.toolsCollapsed = !ForgeState.toolsCollapsed;
+        ForgeElements.messagesContainer.classList.toggle('forge-tools-collapsed', ForgeState.toolsCollapsed);
+        ForgeElements.toolsCollapseButton.classList.toggle('forge-button--active', ForgeState.toolsCollapsed);
+        ForgeElements.toolsCollapseButton.textContent = ForgeState.toolsCollapsed ? 'Expand Tools' : 'Collapse Tools';
+
+        // Save preference
+        localStorage.setItem('forge-tools-collapsed', ForgeState.toolsCollapsed);
+    },
+
+    /**
+     * Toggle tool messages visibility
+     */
+    toggleToolsVisibility() {
+        ForgeState.toolsHidden = !ForgeState.toolsHidden;
+        ForgeElements.messagesContainer.classList.toggle('forge-tools-hidden', ForgeState.toolsHidden);
+        ForgeElements.toolsVisibilityButton.classList.toggle('forge-button--active', ForgeState.toolsHidden);
+        ForgeElements.toolsVisibilityButton.textContent = ForgeState.toolsHidden ? 'Show Tools' : 'Hide Tools';
+
+        // Save preference
+        localStorage.setItem('forge-tools-hidden', ForgeState.toolsHidden);
+    },
+
+    /**
+     * Load saved tool preferences
+     */
+    loadToolPreferences() {
+        // Collapsed state (default: collapsed)
+        const collapsed = localStorage.getItem('forge-tools-collapsed');
+        if (collapsed === 'false') {
+            ForgeState.toolsCollapsed = false;
+            ForgeElements.toolsCollapseButton.classList.remove('forge-button--active');
+            ForgeElements.toolsCollapseButton.textContent = 'Collapse Tools';
+        } else {
+            // Default: collapsed
+            ForgeElements.messagesContainer.classList.add('forge-tools-collapsed');
+        }
+
+        // Hidden state
+        const hidden = localStorage.getItem('forge-tools-hidden');
+        if (hidden === 'true') {
+            ForgeState.toolsHidden = true;
+            ForgeElements.messagesContainer.classList.add('forge-tools-hidden');
+            ForgeElements.toolsVisibilityButton.classList.add('forge-button--active');
+            ForgeElements.toolsVisibilityButton.textContent = 'Show Tools';
+        }
+    }
+};
+
+
+/* ============================================
+   8. CHAT HISTORY
+   ============================================ */
+
+const ForgeHistory = {
+    // Pending search (debounced while typing)
+    searchTimer: null,
+
+    /**
+     * Load all conversations from server
+     */
+    async loadConversations() {
+        try {
+            const response = await fetch(ForgeConfig.historyEndpoint);
+            const data = await response.json();
+
+            if (data.success) {
+                ForgeState.conversations = data.conversations || [];
+                if (this.isSearchActive()) {
+                    await this.search();
+                } else {
+                    this.renderConversationList();
+                }
+                return data.conversations;
+            }
+        } catch (error) {
+            console.warn('Could not load conversations:', error);
+        }
+        return [];
+    },
+
+    /**
+     * Load a specific conversation
+     */
+    async loadConversation(id) {
+        try {
+            const response = await fetch(`${ForgeConfig.historyEndpoint}?id=${id}`);
+            const data = await response.json();
 
             if (data.success && data.conversation) {
                 // Set current conversation
@@ -707,417 +2300,3384 @@ const ForgeHistory = {
                     updated: data.conversation.updated
                 };
 
-                // Load messages
-                ForgeState.messages = data.conversation.messages || [];
+                // Load messages (older files have no branches)
+                ForgeState.messages = data.conversation.messages || [];
+                ForgeState.messageBranches = data.conversation.branches || [];
+                ForgeState.settings = data.conversation.settings || {};
+                ForgeState.usage = data.conversation.usage || ForgeUsage.empty();
+                ForgeState.turnFailed = false;
+                ForgeSettings.render();
+                ForgeUsage.renderTotal();
+                ForgeState.pendingToolCalls = {};
+                ForgeUI.disableInput(ForgeState.isStreaming);
+
+                // Render messages in UI
+                this.renderLoadedMessages();
+
+                // Update active state in list
+                this.setActiveConversation(id);
+
+                return data.conversation;
+            }
+        } catch (error) {
+            console.error('Could not load conversation:', error);
+        }
+        return null;
+    },
+
+    /**
+     * Save current conversation
+     */
+    async saveConversation() {
+        if (!ForgeConfig.autoSave) return;
+        if (ForgeState.messages.length === 0) return;
+
+        try {
+            ForgeBranches.link();
+
+            const payload = {
+                id: ForgeState.currentConversation.id,
+                title: ForgeState.currentConversation.title,
+                created: ForgeState.currentConversation.created,
+                agentId: ForgeState.currentAgent?.id || null,
+                settings: ForgeState.settings,
+                usage: ForgeState.usage,
+                messages: ForgeState.messages,
+                branches: ForgeState.messageBranches
+            };
+
+            const response = await fetch(ForgeConfig.historyEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                // Update current conversation with server response
+                ForgeState.currentConversation.id = data.id;
+                ForgeState.currentConversation.title = data.title;
+                ForgeState.currentConversation.updated = data.updated;
+
+                // Refresh conversation list
+                await this.loadConversations();
+            }
+        } catch (error) {
+            console.warn('Could not save conversation:', error);
+        }
+    },
+
+    /**
+     * Delete a conversation
+     */
+    async deleteConversation(id) {
+        try {
+            const response = await fetch(`${ForgeConfig.historyEndpoint}?id=${id}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                // If we deleted the current conversation, start a new one
+                if (ForgeState.currentConversation.id === id) {
+                    this.startNewConversation();
+                }
+
+                // Refresh list
+                await this.loadConversations();
+                return true;
+            }
+        } catch (error) {
+            console.error('Could not delete conversation:', error);
+        }
+        return false;
+    },
+
+    /**
+     * Start a new conversation
+     */
+    startNewConversation(showIntro = true) {
+        // Reset state
+        ForgeState.currentConversation = {
+            id: null,
+            title: null,
+            created: null,
+            updated: null
+        };
+        ForgeState.messages = [];
+        ForgeState.messageBranches = [];
+        ForgeState.settings = {};
+        ForgeState.usage = ForgeUsage.empty();
+        ForgeSettings.render();
+        ForgeUsage.renderTotal();
+
+        // Clear UI messages (keep system message)
+        ForgeMessages.clearAll();
+
+        // Clear active state in list
+        this.setActiveConversation(null);
+
+        // Show agent intro for new conversations
+        if (showIntro && ForgeConfig.showAgentIntro && ForgeState.currentAgent) {
+            ForgeAgents.showAgentIntro();
+        }
+    },
+
+    /**
+     * Render loaded messages to UI
+     */
+    renderLoadedMessages() {
+        // Clear current messages (keep system message template for reference)
+        const systemMessage = ForgeElements.messagesContainer.querySelector('.forge-message--system');
+        ForgeElements.messagesContainer.innerHTML = '';
+
+        // Re-add system message
+        if (systemMessage) {
+            ForgeElements.messagesContainer.appendChild(systemMessage.cloneNode(true));
+        }
+
+        // Index tool results so each one renders right after its call
+        const toolResults = {};
+        for (const msg of ForgeState.messages) {
+            if (Array.isArray(msg.content)) {
+                msg.content
+                    .filter(block => block.type === 'tool_result')
+                    .forEach(block => { toolResults[block.tool_use_id] = block; });
+            }
+        }
+
+        // Render each message (tagged with its index, for search hits)
+        for (const [index, msg] of ForgeState.messages.entries()) {
+            const blocks = typeof msg.content === 'string'
+                ? [{ type: 'text', text: msg.content }]
+                : (msg.content || []);
+
+            if (msg.role === 'compaction') {
+                ForgeMessages.addCompactionDivider(msg);
+            } else if (msg.role === 'user') {
+                if (ForgeMessages.isUserTurn(msg)) {
+                    const element = ForgeTemplates.getMessageTemplate('user');
+                    element.querySelector('.forge-message__body').textContent = ForgeMessages.getMessageText(msg);
+                    ForgeAttachments.decorate(element, ForgeAttachments.fromMessage(msg));
+                    ForgeMentions.decorate(element, msg.agentId);
+                    ForgeBranches.decorate(element, index);
+                    ForgeElements.messagesContainer.appendChild(element);
+                }
+            } else if (msg.role === 'assistant') {
+                let text = '';
+
+                for (const block of blocks) {
+                    if (block.type === 'text') {
+                        text += block.text;
+                    } else if (block.type === 'thinking' || block.type === 'redacted_thinking') {
+                        this.renderLoadedAssistantText(text, index);
+                        text = '';
+
+                        const thinking = ForgeMessages.addThinkingMessage(block.type === 'thinking' ? block.thinking : 'Redacted thinking');
+                        thinking.classList.add('forge-message--collapsed');
+                    } else if (block.type === 'tool_use') {
+                        this.renderLoadedAssistantText(text, index);
+                        text = '';
+
+                        const element = ForgeMessages.addToolUseMessage(block.name, block.input);
+                        if (toolResults[block.id]) {
+                            const result = ForgeMessages.toolResultFromBlock(toolResults[block.id]);
+                            if (result.delegation?.thread?.length) {
+                                ForgeDelegation.render(element.querySelector('.forge-message__body'), result.delegation);
+                            }
+                            ForgeMessages.addToolResultMessage(block.name, result);
+                        }
+                    }
+                }
+
+                this.renderLoadedAssistantText(text, index);
+
+                if (msg.usage) {
+                    ForgeUsage.addFooter(msg.usage);
+                }
+
+                if (msg.traceId) {
+                    ForgeTrace.addButton(msg.traceId);
+                }
+
+                if (msg.interrupted) {
+                    ForgeMessages.addSystemMessage('Response interrupted');
+                }
+            }
+        }
+
+        ForgeMessages.showTurnActions();
+        ForgeMessages.scrollToBottom();
+        ForgeFiles.highlightTouched();
+    },
+
+    /**
+     * Render a loaded assistant text segment
+     */
+    renderLoadedAssistantText(text, index) {
+        if (!text.trim()) return;
+
+        const element = ForgeTemplates.getMessageTemplate('assistant');
+        element.querySelector('.forge-message__role').textContent = ForgeConfig.agentName;
+        element.querySelector('.forge-message__body').innerHTML = ForgeMessages.formatMessageContent(text);
+        element.dataset.messageIndex = index;
+        ForgeElements.messagesContainer.appendChild(element);
+    },
+
+    /**
+     * Check whether a search query or filter is set
+     */
+    isSearchActive() {
+        return Boolean(
+            ForgeElements.searchInput?.value.trim()
+            || ForgeElements.searchAgent?.value
+            || ForgeElements.searchFrom?.value
+            || ForgeElements.searchTo?.value
+        );
+    },
+
+    /**
+     * Run a search after the user stops typing
+     */
+    scheduleSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.search(), 250);
+    },
+
+    /**
+     * Search conversations (or show the full list when nothing is set)
+     */
+    async search() {
+        if (!this.isSearchActive()) {
+            this.renderConversationList();
+            return;
+        }
+
+        const query = ForgeElements.searchInput.value.trim();
+        const params = new URLSearchParams({ q: query });
+        if (ForgeElements.searchAgent.value) params.set('agent', ForgeElements.searchAgent.value);
+        if (ForgeElements.searchFrom.value) params.set('from', ForgeElements.searchFrom.value);
+        if (ForgeElements.searchTo.value) params.set('to', ForgeElements.searchTo.value);
+
+        try {
+            const response = await fetch(`${ForgeConfig.historyEndpoint}?${params}`);
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderSearchResults(data.results || [], query.split(/\s+/).filter(Boolean));
+            }
+        } catch (error) {
+            console.warn('Could not search conversations:', error);
+        }
+    },
+
+    /**
+     * Render search results in the conversation list
+     */
+    renderSearchResults(results, terms) {
+        const list = ForgeElements.conversationList;
+        if (!list) return;
+
+        if (results.length === 0) {
+            list.innerHTML = '<li class="forge-conversation-list__empty">No matching conversations</li>';
+            return;
+        }
+
+        list.innerHTML = results.map(result => {
+            const dateStr = this.formatDate(new Date(result.updated * 1000));
+            const isActive = ForgeState.currentConversation.id === result.id;
+            const more = result.matchCount > result.matches.length
+                ? `<span class="forge-search-hit__more">+${result.matchCount - result.matches.length} more</span>`
+                : '';
+
+            const hits = result.matches.map(match => `
+                <div class="forge-search-hit" data-id="${result.id}" data-index="${match.index}">
+                    <span class="forge-search-hit__role">${match.role === 'user' ? 'You' : 'Agent'}</span>
+                    ${this.highlightTerms(match.snippet, terms)}
+                </div>
+            `).join('');
+
+            return `
+                <li class="forge-conversation-list__item forge-conversation-list__item--result${isActive ? ' forge-conversation-list__item--active' : ''}"
+                    data-id="${result.id}">
+                    <div class="forge-conversation-list__info">
+                        <span class="forge-conversation-list__title">${this.escapeHtml(result.title)}</span>
+                        <span class="forge-conversation-list__date">${dateStr}</span>
+                        ${hits}${more}
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        // Clicking a hit jumps to its message; clicking elsewhere just opens the chat
+        list.querySelectorAll('.forge-conversation-list__item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                const hit = e.target.closest('.forge-search-hit');
+                this.openSearchResult(item.dataset.id, hit ? parseInt(hit.dataset.index, 10) : null);
+            });
+        });
+    },
+
+    /**
+     * Escape text and wrap search terms in <mark>
+     */
+    highlightTerms(text, terms) {
+        if (terms.length === 0) return this.escapeHtml(text);
+
+        const pattern = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+
+        // Split keeps the matches at odd indexes
+        return text.split(new RegExp(`(${pattern})`, 'gi'))
+            .map((part, index) => index % 2 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part))
+            .join('');
+    },
+
+    /**
+     * Open a search result and jump to the matching message
+     */
+    async openSearchResult(id, messageIndex) {
+        if (ForgeState.currentConversation.id !== id) {
+            const conversation = await this.loadConversation(id);
+            if (!conversation) return;
+        }
+
+        if (messageIndex !== null) {
+            this.highlightMessage(messageIndex);
+        }
+    },
+
+    /**
+     * Scroll to a rendered message and highlight it briefly
+     */
+    highlightMessage(messageIndex) {
+        const element = ForgeElements.messagesContainer.querySelector(`[data-message-index="${messageIndex}"]`);
+        if (!element) return;
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.remove('forge-message--highlight');
+        void element.offsetWidth; // Restart the animation
+        element.classList.add('forge-message--highlight');
+    },
+
+    /**
+     * Fill the search agent filter from the agent list
+     */
+    renderSearchAgents() {
+        const select = ForgeElements.searchAgent;
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '<option value="">All agents</option>' + ForgeState.agents.map(agent =>
+            `<option value="${this.escapeHtml(agent.id)}">${this.escapeHtml(agent.name)}</option>`
+        ).join('');
+        select.value = selected;
+    },
+
+    /**
+     * Render conversation list in sidebar
+     */
+    renderConversationList() {
+        const list = ForgeElements.conversationList;
+        if (!list) return;
+
+        if (ForgeState.conversations.length === 0) {
+            list.innerHTML = '<li class="forge-conversation-list__empty">No conversations yet</li>';
+            return;
+        }
+
+        list.innerHTML = ForgeState.conversations.map(conv => {
+            const date = new Date(conv.updated * 1000);
+            const dateStr = this.formatDate(date);
+            const isActive = ForgeState.currentConversation.id === conv.id;
+
+            return `
+                <li class="forge-conversation-list__item${isActive ? ' forge-conversation-list__item--active' : ''}"
+                    data-id="${conv.id}">
+                    <div class="forge-conversation-list__info">
+                        <span class="forge-conversation-list__title">${this.escapeHtml(conv.title)}</span>
+                        <span class="forge-conversation-list__date">${dateStr}</span>
+                    </div>
+                    <button class="forge-conversation-list__delete" data-id="${conv.id}" title="Delete">&times;</button>
+                </li>
+            `;
+        }).join('');
+
+        // Add click handlers
+        list.querySelectorAll('.forge-conversation-list__item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                // Don't trigger if clicking delete button
+                if (e.target.classList.contains('forge-conversation-list__delete')) return;
+
+                const id = item.dataset.id;
+                this.loadConversation(id);
+            });
+        });
+
+        // Add delete handlers
+        list.querySelectorAll('.forge-conversation-list__delete').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const id = btn.dataset.id;
+                if (confirm('Delete this conversation?')) {
+                    await this.deleteConversation(id);
+                }
+            });
+        });
+    },
+
+    /**
+     * Set active conversation in list
+     */
+    setActiveConversation(id) {
+        const items = ForgeElements.conversationList?.querySelectorAll('.forge-conversation-list__item');
+        items?.forEach(item => {
+            item.classList.toggle('forge-conversation-list__item--active', item.dataset.id === id);
+        });
+    },
+
+    /**
+     * Format date for display
+     */
+    formatDate(date) {
+        const now = new Date();
+        const diff = now - date;
+        const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+
+        if (days === 0) {
+            return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        } else if (days === 1) {
+            return 'Yesterday';
+        } else if (days < 7) {
+            return date.toLocaleDateString([], { weekday: 'short' });
+        } else {
+            return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+        }
+    },
+
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
+
+
+/* ============================================
+   9. AGENTS
+   ============================================ */
+
+const ForgeAgents = {
+    /**
+     * Load all agents from server
+     */
+    async loadAgents() {
+        try {
+            const response = await fetch(ForgeConfig.agentsEndpoint);
+            const data = await response.json();
+
+            if (data.success) {
+                ForgeState.agents = data.agents || [];
+                ForgeState.routing = data.routing || { skillIndex: {}, defaultAgent: null };
+                this.renderAgentList();
+                ForgeHistory.renderSearchAgents();
+
+                // Set default agent (first one, usually Forge) - no switch message on init
+                if (ForgeState.agents.length > 0 && !ForgeState.currentAgent) {
+                    await this.selectAgent(ForgeState.agents[0].id, false); // false = no switch message
+                }
+
+                return data.agents;
+            }
+        } catch (error) {
+            console.warn('Could not load agents:', error);
+        }
+        return [];
+    },
+
+    /**
+     * Select an agent (switches agent in current conversation)
+     */
+    async selectAgent(agentId, showSwitchMessage = true) {
+        const agent = ForgeState.agents.find(a => a.id === agentId);
+        if (!agent) return;
+
+        // Don't do anything if already selected
+        if (ForgeState.currentAgent?.id === agentId) return;
+
+        const previousAgent = ForgeState.currentAgent;
+
+        // Load full agent details
+        try {
+            const response = await fetch(`${ForgeConfig.agentsEndpoint}?id=${agentId}`);
+            const data = await response.json();
+
+            if (data.success && data.agent) {
+                ForgeState.currentAgent = data.agent;
+
+                // Update UI with agent info
+                ForgeConfig.agentName = data.agent.name;
+
+                // Update header
+                const headerTitle = document.querySelector('.forge-header__title');
+                if (headerTitle) {
+                    headerTitle.textContent = data.agent.name;
+                }
+
+                // Update active state in list
+                this.setActiveAgent(agentId);
+
+                // Settings placeholders show the new agent's defaults
+                ForgeSettings.render();
+
+                // Show switch message if switching mid-conversation
+                if (showSwitchMessage && previousAgent && ForgeState.messages.length > 0) {
+                    this.showAgentSwitchMessage(previousAgent.name, data.agent.name);
+                }
+            }
+        } catch (error) {
+            console.error('Could not load agent details:', error);
+        }
+    },
+
+    /**
+     * Show a system message when switching agents mid-conversation
+     */
+    showAgentSwitchMessage(fromName, toName) {
+        ForgeMessages.addSystemMessage(`Switched from ${fromName} to ${toName}`);
+    },
+
+    /**
+     * Show agent introduction message
+     */
+    showAgentIntro() {
+        if (!ForgeConfig.showAgentIntro) return;
+        if (!ForgeState.currentAgent) return;
+
+        const intro = ForgeState.currentAgent.intro || ForgeState.currentAgent.description;
+        if (!intro) return;
+
+        // Add as assistant message
+        const element = ForgeTemplates.getMessageTemplate('assistant');
+        element.querySelector('.forge-message__role').textContent = ForgeConfig.agentName;
+        element.querySelector('.forge-message__body').textContent = intro;
+
+        ForgeElements.messagesContainer.appendChild(element);
+        ForgeMessages.scrollToBottom();
+
+        // Note: Don't add to state.messages - this is just UI, not history
+    },
+
+    /**
+     * Render agent list in sidebar
+     */
+    renderAgentList() {
+        const list = ForgeElements.agentList;
+        if (!list) return;
+
+        if (ForgeState.agents.length === 0) {
+            list.innerHTML = '<li class="forge-agent-list__empty">No agents found</li>';
+            return;
+        }
+
+        list.innerHTML = ForgeState.agents.map(agent => {
+            const isActive = ForgeState.currentAgent?.id === agent.id;
+            const initials = this.getInitials(agent.name);
+
+            return `
+                <li class="forge-agent-list__item${isActive ? ' forge-agent-list__item--active' : ''}"
+                    data-id="${agent.id}" title="${this.escapeHtml(agent.description)}">
+                    <div class="forge-agent-list__icon">${initials}</div>
+                    <div class="forge-agent-list__info">
+                        <span class="forge-agent-list__name">${this.escapeHtml(agent.name)}</span>
+                        <span class="forge-agent-list__source">${agent.source}</span>
+                    </div>
+                    ${ForgeStandards.renderBadge(agent)}
+                    <button class="forge-agent-list__edit" title="${agent.source === 'workspace' ? 'Edit agent' : 'Copy into a new agent'}">&#9998;</button>
+                </li>
+            `;
+        }).join('');
+
+        // Add click handlers
+        list.querySelectorAll('.forge-agent-list__item').forEach(item => {
+            item.addEventListener('click', () => {
+                const id = item.dataset.id;
+                this.selectAgent(id, true);
+            });
+            item.querySelector('.forge-agent-list__badge')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                ForgeStandards.open(item.dataset.id);
+            });
+            item.querySelector('.forge-agent-list__edit').addEventListener('click', (e) => {
+                e.stopPropagation();
+                ForgeAgentBuilder.open(item.dataset.id);
+            });
+        });
+    },
+
+    /**
+     * Set active agent in list
+     */
+    setActiveAgent(id) {
+        const items = ForgeElements.agentList?.querySelectorAll('.forge-agent-list__item');
+        items?.forEach(item => {
+            item.classList.toggle('forge-agent-list__item--active', item.dataset.id === id);
+        });
+    },
+
+    /**
+     * Get initials from name
+     */
+    getInitials(name) {
+        return name
+            .split(/[\s-]+/)
+            .map(word => word[0])
+            .join('')
+            .toUpperCase()
+            .slice(0, 2);
+    },
+
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
+
+
+/* ============================================
+   MODEL SETTINGS
+   Per-conversation model, max_tokens, temperature,
+   extended thinking and system prompt addendum.
+   Unset fields fall back to the agent's defaults
+   in api.php.
+   ============================================ */
+
+const ForgeSettings = {
+    /**
+     * Fill the model suggestions in the settings popover
+     */
+    renderModels() {
+        const list = document.getElementById('settingsModels');
+        if (!list) return;
+
+        list.innerHTML = '';
+        for (const model of ForgeConfig.models) {
+            const option = document.createElement('option');
+            option.value = model;
+            list.appendChild(option);
+        }
+    },
+
+    /**
+     * Show the conversation's settings; placeholders show the defaults
+     */
+    render() {
+        const form = ForgeElements.settingsPanel;
+        if (!form) return;
+
+        const defaults = this.getDefaults();
+        form.elements.model.value = ForgeState.settings.model ?? '';
+        form.elements.model.placeholder = defaults.model ?? '';
+        form.elements.maxTokens.value = ForgeState.settings.maxTokens ?? '';
+        form.elements.maxTokens.placeholder = defaults.maxTokens ?? '';
+        form.elements.temperature.value = ForgeState.settings.temperature ?? '';
+        form.elements.temperature.placeholder = defaults.temperature ?? 'default';
+        form.elements.thinking.checked = ForgeState.settings.thinking ?? defaults.thinking ?? false;
+        form.elements.thinkingBudget.value = ForgeState.settings.thinkingBudget ?? '';
+        form.elements.thinkingBudget.placeholder = defaults.thinkingBudget ?? ForgeConfig.thinkingBudget;
+        form.elements.systemAddendum.value = ForgeState.settings.systemAddendum ?? '';
+
+        ForgeElements.settingsButton.classList.toggle('forge-button--active', Object.keys(ForgeState.settings).length > 0);
+    },
+
+    /**
+     * Get the current agent's defaults (agent.json "modelSettings", then config.php)
+     */
+    getDefaults() {
+        return { ...ForgeConfig.modelDefaults, ...(ForgeState.currentAgent?.modelSettings || {}) };
+    },
+
+    /**
+     * Store the popover's values as the conversation's settings
+     * Empty or invalid fields are left out, so the defaults apply.
+     */
+    update() {
+        const form = ForgeElements.settingsPanel;
+        const settings = {};
+
+        const model = form.elements.model.value.trim();
+        if (model) {
+            settings.model = model;
+        }
+
+        const maxTokens = parseInt(form.elements.maxTokens.value, 10);
+        if (maxTokens > 0) {
+            settings.maxTokens = maxTokens;
+        }
+
+        const temperature = parseFloat(form.elements.temperature.value);
+        if (!Number.isNaN(temperature)) {
+            settings.temperature = Math.min(1, Math.max(0, temperature));
+        }
+
+        // Only a change from the agent's default is stored
+        const thinking = form.elements.thinking.checked;
+        if (thinking !== Boolean(this.getDefaults().thinking)) {
+            settings.thinking = thinking;
+        }
+
+        const thinkingBudget = parseInt(form.elements.thinkingBudget.value, 10);
+        if (thinkingBudget > 0) {
+            settings.thinkingBudget = Math.max(1024, thinkingBudget);
+        }
+
+        const systemAddendum = form.elements.systemAddendum.value.trim();
+        if (systemAddendum) {
+            settings.systemAddendum = systemAddendum;
+        }
+
+        ForgeState.settings = settings;
+        this.render();
+        ForgeHistory.saveConversation();
+    },
+
+    /**
+     * Go back to the agent's defaults
+     */
+    reset() {
+        ForgeState.settings = {};
+        this.render();
+        ForgeHistory.saveConversation();
+    }
+};
+
+
+/* ============================================
+   TOKEN USAGE
+   api.php sends a usage event (tokens and cost)
+   after every API call. Each response gets a
+   footer; the conversation keeps a running total.
+   ============================================ */
+
+const ForgeUsage = {
+    /**
+     * Get an empty usage total
+     */
+    empty() {
+        return { inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, cost: 0, cacheHits: 0, cacheMisses: 0 };
+    },
+
+    /**
+     * Add one API call's usage to the conversation total
+     */
+    record(usage) {
+        const total = ForgeState.usage || this.empty();
+
+        for (const key of ['inputTokens', 'outputTokens', 'cacheWriteTokens', 'cacheReadTokens']) {
+            total[key] += usage[key] || 0;
+        }
+        total.cost += usage.cost || 0;
+
+        // Prompt cache hit/miss counts (calls made with caching off count as neither)
+        if (usage.cache === 'hit') {
+            total.cacheHits = (total.cacheHits || 0) + 1;
+        } else if (usage.cache === 'miss') {
+            total.cacheMisses = (total.cacheMisses || 0) + 1;
+        }
+
+        ForgeState.usage = total;
+        ForgeState.currentUsage = usage;
+        this.renderTotal();
+    },
+
+    /**
+     * Add a usage footer under the response it belongs to
+     */
+    addFooter(usage) {
+        const element = ForgeTemplates.clone('template-usage-footer');
+        if (!element) return;
+
+        element.textContent = this.format(usage);
+        element.title = [usage.model, usage.cache && usage.cache !== 'off' ? `prompt cache ${usage.cache}` : '']
+            .filter(Boolean)
+            .join(' · ');
+
+        ForgeMessages.appendBeforePlaceholder(element);
+    },
+
+    /**
+     * Show the conversation total in the sidebar
+     */
+    renderTotal() {
+        const element = ForgeElements.usageTotal;
+        if (!element) return;
+
+        const total = ForgeState.usage;
+        if (!total || !(total.inputTokens || total.outputTokens)) {
+            element.textContent = 'No usage yet';
+            return;
+        }
+
+        const calls = (total.cacheHits || 0) + (total.cacheMisses || 0);
+        element.textContent = calls > 0
+            ? `${this.format(total)} · cache ${total.cacheHits || 0}/${calls} hits`
+            : this.format(total);
+    },
+
+    /**
+     * Format token counts and cost, e.g. "1,204 in · 312 out · 2,048 cached · $0.0081"
+     */
+    format(usage) {
+        const parts = [
+            `${this.formatNumber(usage.inputTokens)} in`,
+            `${this.formatNumber(usage.outputTokens)} out`
+        ];
+
+        if (usage.cacheReadTokens) {
+            parts.push(`${this.formatNumber(usage.cacheReadTokens)} cached`);
+        }
+        if (usage.cacheWriteTokens) {
+            parts.push(`${this.formatNumber(usage.cacheWriteTokens)} cache write`);
+        }
+        if (usage.cost !== null && usage.cost !== undefined) {
+            parts.push(this.formatCost(usage.cost));
+        }
+
+        return parts.join(' · ');
+    },
+
+    /**
+     * Format a token count with thousands separators
+     */
+    formatNumber(count) {
+        return (count || 0).toLocaleString('en-US');
+    },
+
+    /**
+     * Format a cost in USD (more digits for small amounts)
+     */
+    formatCost(cost) {
+        return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+    }
+};
+
+
+/* ============================================
+   BRANCHES
+   Editing a user message starts a new branch.
+   ForgeState.messages stays the active path;
+   every other version lives in messageBranches.
+   All messages link to their parent by id.
+   ============================================ */
+
+const ForgeBranches = {
+    /**
+     * Give messages on the active path an id and a parent link
+     * (new messages are appended without them)
+     */
+    link() {
+        let parentId = null;
+
+        for (const message of ForgeState.messages) {
+            if (!message.id) {
+                message.id = this.createId();
+            }
+            message.parentId = parentId;
+            parentId = message.id;
+        }
+    },
+
+    /**
+     * Create a message id (sorts by creation time)
+     */
+    createId() {
+        return 'm' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    },
+
+    /**
+     * Get all versions of the message at an index on the active path, oldest first
+     */
+    getSiblings(index) {
+        this.link();
+        const message = ForgeState.messages[index];
+
+        return [message, ...ForgeState.messageBranches]
+            .filter(node => node.parentId === message.parentId && node.role === message.role)
+            .sort((a, b) => a.id.localeCompare(b.id));
+    },
+
+    /**
+     * Check whether branches can be changed right now
+     */
+    isLocked() {
+        return ForgeState.isStreaming || ForgePermissions.awaitingDecision();
+    },
+
+    /**
+     * Add the edit action and version switcher to a rendered user message
+     */
+    decorate(element, index) {
+        const controls = ForgeTemplates.clone('template-branch-controls');
+        if (!controls) return;
+
+        element.dataset.messageIndex = index;
+
+        const siblings = this.getSiblings(index);
+        if (siblings.length > 1) {
+            const position = siblings.indexOf(ForgeState.messages[index]) + 1;
+            controls.querySelector('.forge-branch__label').textContent = `${position} / ${siblings.length}`;
+            controls.querySelector('.forge-branch__switcher').classList.remove('forge-hidden');
+            controls.querySelector('[data-step="-1"]').disabled = position === 1;
+            controls.querySelector('[data-step="1"]').disabled = position === siblings.length;
+        }
+
+        controls.querySelectorAll('[data-step]').forEach(button => {
+            button.addEventListener('click', () => this.switchTo(index, parseInt(button.dataset.step, 10)));
+        });
+        controls.querySelector('.forge-branch__edit').addEventListener('click', () => this.startEdit(element, index));
+
+        element.querySelector('.forge-message__header').appendChild(controls);
+    },
+
+    /**
+     * Replace a user message's body with an inline editor
+     */
+    startEdit(element, index) {
+        if (this.isLocked() || element.querySelector('.forge-message-edit')) return;
+
+        const editor = ForgeTemplates.clone('template-message-edit');
+        const body = element.querySelector('.forge-message__body');
+        const input = editor.querySelector('.forge-message-edit__input');
+
+        input.value = body.textContent;
+        body.classList.add('forge-hidden');
+        body.after(editor);
+        input.focus();
+
+        const close = () => {
+            editor.remove();
+            body.classList.remove('forge-hidden');
+        };
+
+        editor.querySelector('[data-action="cancel"]').addEventListener('click', close);
+        editor.querySelector('[data-action="send"]').addEventListener('click', () => {
+            const text = input.value.trim();
+            if (!text || this.isLocked()) return;
+            close();
+            this.edit(index, text);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                close();
+            } else if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                editor.querySelector('[data-action="send"]').click();
+            }
+        });
+    },
+
+    /**
+     * Send an edited version of the user message at an index
+     * The old message and everything after it move to messageBranches.
+     */
+    async edit(index, text) {
+        if (this.isLocked()) return;
+
+        this.link();
+        const attachments = ForgeAttachments.fromMessage(ForgeState.messages[index]);
+        ForgeState.messageBranches.push(...ForgeState.messages.splice(index));
+        ForgeHistory.renderLoadedMessages();
+
+        await ForgeAPI.sendMessage(text, attachments);
+    },
+
+    /**
+     * Switch the message at an index to its previous (-1) or next (+1) version
+     * The active path then follows the newest reply below that version.
+     */
+    switchTo(index, step) {
+        if (this.isLocked()) return;
+
+        const siblings = this.getSiblings(index);
+        const target = siblings[siblings.indexOf(ForgeState.messages[index]) + step];
+        if (!target) return;
+
+        ForgeState.messageBranches.push(...ForgeState.messages.splice(index));
+
+        let node = target;
+        while (node) {
+            ForgeState.messageBranches.splice(ForgeState.messageBranches.indexOf(node), 1);
+            ForgeState.messages.push(node);
+
+            const parentId = node.id;
+            node = ForgeState.messageBranches
+                .filter(child => child.parentId === parentId)
+                .sort((a, b) => b.id.localeCompare(a.id))[0];
+        }
+
+        ForgeHistory.renderLoadedMessages();
+        ForgeHistory.saveConversation();
+    }
+};
+
+
+/* ============================================
+   EXPORT / IMPORT
+   ============================================ */
+
+const ForgeExport = {
+    // Export formats: extension and MIME type
+    formats: {
+        markdown: { extension: 'md', type: 'text/markdown' },
+        html: { extension: 'html', type: 'text/html' },
+        json: { extension: 'json', type: 'application/json' },
+    },
+
+    /**
+     * Export the current conversation in a format (markdown, html, json)
+     */
+    export(format) {
+        const conversation = this.getConversation();
+        if (conversation.messages.length === 0) {
+            alert('Nothing to export yet');
+            return;
+        }
+
+        const builders = {
+            markdown: () => this.toMarkdown(conversation),
+            html: () => this.toHtml(conversation),
+            json: () => JSON.stringify(conversation, null, 2),
+        };
+        const { extension, type } = this.formats[format];
+
+        ForgeUtils.downloadFile(`${this.slugify(conversation.title)}.${extension}`, builders[format](), type);
+    },
+
+    /**
+     * Get the current conversation in its saved (canonical) shape
+     */
+    getConversation() {
+        return {
+            id: ForgeState.currentConversation.id,
+            title: ForgeState.currentConversation.title || 'Conversation',
+            created: ForgeState.currentConversation.created,
+            updated: ForgeState.currentConversation.updated,
+            agentId: ForgeState.currentAgent?.id || null,
+            settings: ForgeState.settings,
+            usage: ForgeState.usage,
+            messages: ForgeState.messages,
+            branches: ForgeState.messageBranches
+        };
+    },
+
+    /**
+     * Build a Markdown transcript (tool calls and results as fenced blocks)
+     */
+    toMarkdown(conversation) {
+        const lines = [`# ${conversation.title}`, ''];
+        lines.push(`- Exported: ${new Date().toISOString()}`);
+        if (conversation.agentId) {
+            lines.push(`- Agent: ${conversation.agentId}`);
+        }
+        lines.push('', '---', '');
+
+        // Tool results are rendered right after their call
+        const toolResults = {};
+        for (const msg of conversation.messages) {
+            if (Array.isArray(msg.content)) {
+                msg.content
+                    .filter(block => block.type === 'tool_result')
+                    .forEach(block => { toolResults[block.tool_use_id] = block; });
+            }
+        }
+
+        for (const msg of conversation.messages) {
+            if (msg.role === 'compaction') {
+                lines.push('---', '', msg.strategy === 'summarize'
+                    ? `_Earlier messages were summarized to save context:_\n\n${(msg.summary || '').trim()}`
+                    : '_Old tool outputs were dropped to save context._', '', '---', '');
+                continue;
+            }
+
+            const blocks = typeof msg.content === 'string'
+                ? [{ type: 'text', text: msg.content }]
+                : (msg.content || []);
+            const visible = blocks.filter(block => block.type === 'text' || block.type === 'tool_use');
+            const attachments = ForgeAttachments.fromMessage(msg);
+            if (visible.length === 0 && attachments.length === 0) continue;
+
+            lines.push(`### ${msg.role === 'user' ? 'You' : ForgeConfig.agentName}`, '');
+
+            if (attachments.length > 0) {
+                lines.push(`_Attached: ${attachments.map(block => ForgeAttachments.getName(block)).join(', ')}_`, '');
+            }
+
+            for (const block of visible) {
+                if (block.type === 'text') {
+                    lines.push(block.text.trim(), '');
+                    continue;
+                }
+
+                lines.push(`**Tool call:** \`${block.name}\``, '');
+                lines.push(...this.fence(JSON.stringify(block.input, null, 2), 'json'), '');
+
+                const result = toolResults[block.id];
+                if (result) {
+                    const content = ForgeMessages.toolResultFromBlock(result).content;
+                    lines.push(`**Tool result${result.is_error ? ' (error)' : ''}:**`, '');
+                    lines.push(...this.fence(content), '');
+                    if (result.diff) {
+                        lines.push(...this.fence(result.diff, 'diff'), '');
+                    }
+                }
+            }
+
+            if (msg.interrupted) {
+                lines.push('_Response interrupted_', '');
+            }
+        }
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Wrap text in a code fence longer than any backtick run inside it
+     */
+    fence(text, language = '') {
+        const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const marker = '`'.repeat(Math.max(3, longest + 1));
+        return [marker + language, text, marker];
+    },
+
+    /**
+     * Build a self-contained HTML snapshot of the rendered chat
+     * (current theme CSS inlined, no scripts)
+     */
+    toHtml(conversation) {
+        const css = Array.from(document.styleSheets).map(sheet => {
+            try {
+                return Array.from(sheet.cssRules, rule => rule.cssText).join('\n');
+            } catch (error) {
+                return ''; // Cross-origin stylesheet
+            }
+        }).join('\n');
+
+        const snapshot = ForgeElements.messagesContainer.cloneNode(true);
+        snapshot.removeAttribute('id');
+        snapshot.classList.remove('forge-tools-collapsed');
+        snapshot.querySelectorAll('button, .forge-permission, .forge-loading').forEach(el => el.remove());
+        snapshot.querySelectorAll('[onclick]').forEach(el => el.removeAttribute('onclick'));
+
+        const theme = ForgeState.isLightMode ? ' forge-light' : '';
+        const title = ForgeMessages.escapeHtml(conversation.title);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+${css}
+.forge-app.forge-export { height: auto; max-height: none; overflow: visible; min-height: 100vh; }
+.forge-export .forge-messages { overflow: visible; }
+.forge-export__title { padding: var(--forge-spacing-lg) var(--forge-spacing-lg) 0; color: var(--forge-text-primary); font-size: var(--forge-font-size-xl); }
+    </style>
+</head>
+<body>
+    <div class="forge-app forge-export${theme}">
+        <h1 class="forge-export__title">${title}</h1>
+        ${snapshot.outerHTML}
+    </div>
+</body>
+</html>
+`;
+    },
+
+    /**
+     * Turn a title into a safe filename
+     */
+    slugify(title) {
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+        return slug || 'conversation';
+    },
+
+    /**
+     * Import a JSON transcript file into the history list
+     */
+    async importFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+
+            const error = this.validate(data);
+            if (error) {
+                throw new Error(error);
+            }
+
+            // Always import as a new conversation (never overwrite an existing one)
+            const payload = {
+                title: typeof data.title === 'string' ? data.title : null,
+                created: Number.isInteger(data.created) ? data.created : null,
+                agentId: typeof data.agentId === 'string' ? data.agentId : null,
+                settings: data.settings && typeof data.settings === 'object' ? data.settings : {},
+                usage: data.usage && typeof data.usage === 'object' ? data.usage : null,
+                messages: data.messages,
+                branches: Array.isArray(data.branches) ? data.branches : []
+            };
+
+            const response = await fetch(ForgeConfig.historyEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Could not save conversation');
+            }
+
+            await ForgeHistory.loadConversations();
+            await ForgeHistory.loadConversation(result.id);
+        } catch (error) {
+            console.error('Could not import conversation:', error);
+            ForgeMessages.addErrorMessage(`Import failed: ${error.message}`);
+        }
+    },
+
+    /**
+     * Validate an imported transcript; returns an error message or null
+     */
+    validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return 'Expected a conversation object';
+        }
+        if (!Array.isArray(data.messages) || data.messages.length === 0) {
+            return 'Conversation has no messages';
+        }
+        if (data.title !== undefined && data.title !== null && typeof data.title !== 'string') {
+            return 'Title must be a string';
+        }
+
+        for (const [index, msg] of data.messages.entries()) {
+            const where = `Message ${index + 1}`;
+
+            if (msg?.role === 'compaction') {
+                continue;
+            }
+            if (!msg || !['user', 'assistant'].includes(msg.role)) {
+                return `${where}: role must be "user" or "assistant"`;
+            }
+            if (typeof msg.content === 'string') {
+                continue;
+            }
+            if (!Array.isArray(msg.content)) {
+                return `${where}: content must be a string or an array of blocks`;
+            }
+
+            for (const block of msg.content) {
+                if (!block || typeof block.type !== 'string') {
+                    return `${where}: every content block needs a type`;
+                }
+                if (block.type === 'text' && typeof block.text !== 'string') {
+                    return `${where}: text block without text`;
+                }
+                if (block.type === 'tool_use' && (typeof block.id !== 'string' || typeof block.name !== 'string')) {
+                    return `${where}: tool_use block needs an id and a name`;
+                }
+                if (block.type === 'tool_result' && typeof block.tool_use_id !== 'string') {
+                    return `${where}: tool_result block needs a tool_use_id`;
+                }
+            }
+        }
+
+        return null;
+    }
+};
+
+
+/* ============================================
+   TOOL PERMISSIONS
+   ============================================ */
+
+const ForgePermissions = {
+    /**
+     * Show the tool calls from a permission request
+     * Calls that need approval get an Approve / Deny / Always allow card;
+     * the rest wait as regular tool calls until the user decides.
+     */
+    handleRequest(tools) {
+        ForgeMessages.finalizeAssistantMessage();
+
+        for (const tool of tools) {
+            ForgeMessages.recordToolUse(tool.id, tool.name, tool.input);
+            const element = ForgeMessages.addToolUseMessage(tool.name, tool.input);
+
+            ForgeState.pendingToolCalls[tool.id] = {
+                name: tool.name,
+                needsApproval: tool.needsApproval,
+                decision: null,
+                element
+            };
+
+            if (tool.needsApproval) {
+                this.addActions(element, tool.id);
+            }
+        }
+
+        ForgeMessages.scrollToBottom();
+    },
+
+    /**
+     * Turn a tool-use message into a permission card
+     */
+    addActions(element, id) {
+        const actions = ForgeTemplates.clone('template-permission-actions');
+        if (!actions) return;
+
+        actions.querySelectorAll('[data-decision]').forEach(button => {
+            button.addEventListener('click', () => this.decide(id, button.dataset.decision));
+        });
+
+        element.classList.add('forge-message--permission');
+        element.querySelector('.forge-message__body').appendChild(actions);
+    },
+
+    /**
+     * Handle an Approve / Deny / Always allow click
+     */
+    decide(id, decision) {
+        const call = ForgeState.pendingToolCalls[id];
+        if (!call || call.decision) return;
+
+        if (decision === 'always') {
+            if (!ForgeState.sessionAllowedTools.includes(call.name)) {
+                ForgeState.sessionAllowedTools.push(call.name);
+            }
+
+            // Covers every waiting call to the same tool
+            for (const [otherId, other] of Object.entries(ForgeState.pendingToolCalls)) {
+                if (other.needsApproval && !other.decision && other.name === call.name) {
+                    this.setDecision(otherId, 'approve', 'Always allowed');
+                }
+            }
+        } else {
+            this.setDecision(id, decision, decision === 'approve' ? 'Approved' : 'Denied');
+        }
+
+        if (!this.awaitingDecision()) {
+            this.resume();
+        }
+    },
+
+    /**
+     * Record a decision and replace the card's buttons with it
+     */
+    setDecision(id, decision, label) {
+        const call = ForgeState.pendingToolCalls[id];
+        call.decision = decision;
+
+        call.element.classList.remove('forge-message--permission');
+        const actions = call.element.querySelector('.forge-permission');
+        if (actions) {
+            actions.innerHTML = '';
+            const status = document.createElement('span');
+            status.className = `forge-permission__status forge-permission__status--${decision}`;
+            status.textContent = label;
+            actions.appendChild(status);
+        }
+    },
+
+    /**
+     * Check whether any held tool call still needs an answer
+     */
+    awaitingDecision() {
+        return Object.values(ForgeState.pendingToolCalls).some(call =>
+            call.needsApproval && !call.decision
+        );
+    },
+
+    /**
+     * Send the decisions back; api.php runs the held calls and continues
+     */
+    resume() {
+        const approvals = {};
+        for (const [id, call] of Object.entries(ForgeState.pendingToolCalls)) {
+            if (call.needsApproval) {
+                approvals[id] = call.decision;
+            }
+        }
+
+        ForgeAPI.streamResponse({ approvals });
+    },
+
+    /**
+     * Abandon the held tool calls (Stop while waiting for approval)
+     * api.php gives them "cancelled" results on the next request.
+     */
+    cancel() {
+        for (const [id, call] of Object.entries(ForgeState.pendingToolCalls)) {
+            if (call.needsApproval && !call.decision) {
+                this.setDecision(id, 'deny', 'Cancelled');
+            }
+        }
+        ForgeState.pendingToolCalls = {};
+
+        const last = ForgeState.messages[ForgeState.messages.length - 1];
+        if (last && last.role === 'assistant') {
+            last.interrupted = true;
+        }
+
+        ForgeMessages.addSystemMessage('Response interrupted');
+        ForgeMessages.showTurnActions();
+        ForgeUI.setStatus('ready', 'Ready');
+        ForgeUI.disableInput(false);
+
+        ForgeHistory.saveConversation();
+    }
+};
+
+
+/* ============================================
+   ATTACHMENTS
+   Files dropped, pasted or picked in the composer.
+   Images go to the API as image blocks, text and
+   PDF files as document blocks; both are stored in
+   the user message, so history shows them again.
+   ============================================ */
+
+const ForgeAttachments = {
+    // Media types the API accepts for image blocks
+    imageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+
+    // Extensions read as text even when the browser reports no type
+    textExtensions: [
+        'txt', 'md', 'markdown', 'json', 'jsonl', 'yaml', 'yml', 'xml', 'csv', 'tsv', 'log', 'ini', 'toml', 'env',
+        'js', 'mjs', 'ts', 'jsx', 'tsx', 'php', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp', 'cs',
+        'sh', 'bash', 'sql', 'html', 'htm', 'css', 'scss', 'vue', 'svelte'
+    ],
+
+    /**
+     * Read files and add them to the composer
+     */
+    async addFiles(files) {
+        for (const file of files) {
+            try {
+                ForgeState.pendingAttachments.push(await this.read(file));
+            } catch (error) {
+                ForgeMessages.addErrorMessage(`Could not attach ${file.name}: ${error.message}`);
+            }
+        }
+
+        this.renderPending();
+    },
+
+    /**
+     * Turn a file into an image or document content block
+     */
+    async read(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+
+        if (this.imageTypes.includes(file.type)) {
+            this.checkSize(file, ForgeConfig.maxImageSize);
+            return {
+                type: 'image',
+                source: { type: 'base64', media_type: file.type, data: await this.readBase64(file) },
+                name: file.name
+            };
+        }
+
+        if (file.type === 'application/pdf') {
+            this.checkSize(file, ForgeConfig.maxImageSize);
+            return {
+                type: 'document',
+                source: { type: 'base64', media_type: 'application/pdf', data: await this.readBase64(file) },
+                title: file.name
+            };
+        }
+
+        if (file.type.startsWith('text/') || file.type === 'application/json' || this.textExtensions.includes(extension)) {
+            this.checkSize(file, ForgeConfig.maxFileSize);
+            return {
+                type: 'document',
+                source: { type: 'text', media_type: 'text/plain', data: await file.text() },
+                title: file.name
+            };
+        }
+
+        throw new Error('unsupported file type');
+    },
+
+    /**
+     * Reject files over a size limit
+     */
+    checkSize(file, limit) {
+        if (file.size > limit) {
+            throw new Error(`file is larger than ${Math.round(limit / 1024)} KB`);
+        }
+    },
+
+    /**
+     * Read a file as base64 (without the data: URL prefix)
+     */
+    readBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    },
+
+    /**
+     * Get the attachment blocks of a message
+     */
+    fromMessage(message) {
+        if (!message || !Array.isArray(message.content)) return [];
+        return message.content.filter(block => block.type === 'image' || block.type === 'document');
+    },
+
+    /**
+     * Get the display name of an attachment block
+     */
+    getName(block) {
+        return block.type === 'image' ? (block.name || 'image') : (block.title || 'document');
+    },
+
+    /**
+     * Build a chip (thumbnail for images) for an attachment block
+     */
+    createChip(block) {
+        const chip = ForgeTemplates.clone('template-attachment-chip');
+        const name = this.getName(block);
+
+        chip.title = name;
+        chip.querySelector('.forge-attachment__name').textContent = name;
+
+        if (block.type === 'image') {
+            const thumb = chip.querySelector('.forge-attachment__thumb');
+            thumb.src = `data:${block.source.media_type};base64,${block.source.data}`;
+            thumb.alt = name;
+            thumb.classList.remove('forge-hidden');
+            chip.classList.add('forge-attachment--image');
+        }
+
+        return chip;
+    },
+
+    /**
+     * Show a message's attachments above its text
+     */
+    decorate(element, attachments) {
+        if (attachments.length === 0) return;
+
+        const list = document.createElement('div');
+        list.className = 'forge-attachments';
+        attachments.forEach(block => {
+            const chip = this.createChip(block);
+            chip.querySelector('.forge-attachment__remove').remove();
+            list.appendChild(chip);
+        });
+
+        const body = element.querySelector('.forge-message__body');
+        body.before(list);
+        body.classList.toggle('forge-hidden', !body.textContent);
+    },
+
+    /**
+     * Show the composer's pending attachments (each with a remove button)
+     */
+    renderPending() {
+        const list = ForgeElements.attachmentList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        ForgeState.pendingAttachments.forEach((block, index) => {
+            const chip = this.createChip(block);
+            chip.querySelector('.forge-attachment__remove').addEventListener('click', () => {
+                ForgeState.pendingAttachments.splice(index, 1);
+                this.renderPending();
+            });
+            list.appendChild(chip);
+        });
+
+        list.classList.toggle('forge-hidden', ForgeState.pendingAttachments.length === 0);
+    },
+
+    /**
+     * Take the pending attachments for sending (clears the composer)
+     */
+    take() {
+        const attachments = ForgeState.pendingAttachments;
+        ForgeState.pendingAttachments = [];
+        this.renderPending();
+        return attachments;
+    }
+};
+
+
+/* ============================================
+   FILES
+   Sidebar tree of the framework (read-only) and
+   workspace roots, loaded one directory at a time
+   from files.php. Files the conversation's tools
+   touched are highlighted.
+   ============================================ */
+
+const ForgeFiles = {
+    // Tools whose "path" input names a file or directory they change
+    writeTools: ['write_file', 'edit_file', 'create_directory'],
+
+    // Tools whose "path" input names something they only read
+    readTools: ['read_file', 'list_directory'],
+
+    /**
+     * Fetch a directory listing, file preview or search from files.php
+     */
+    async fetch(root, path, query = null) {
+        const params = new URLSearchParams({ root, path, ...(query !== null ? { q: query } : {}) });
+        const response = await fetch(`${ForgeConfig.filesEndpoint}?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    },
+
+    /**
+     * Load a directory's entries into its list
+     * Directories listed in openPaths are reopened (used by refresh).
+     */
+    async loadDirectory(details, openPaths = new Set()) {
+        const root = details.dataset.root;
+        const list = details.querySelector(':scope > .forge-file-tree__list');
+
+        try {
+            const data = await this.fetch(root, details.dataset.path);
+            list.innerHTML = '';
+
+            for (const entry of data.entries) {
+                list.appendChild(this.renderEntry(root, entry, openPaths));
+            }
+            if (data.entries.length === 0) {
+                list.innerHTML = '<li class="forge-file-tree__empty">Empty</li>';
+            }
+        } catch (error) {
+            list.innerHTML = '';
+            const item = document.createElement('li');
+            item.className = 'forge-file-tree__empty';
+            item.textContent = `Could not load: ${error.message}`;
+            list.appendChild(item);
+        }
+
+        details.dataset.loaded = 'true';
+        this.highlightTouched();
+    },
+
+    /**
+     * Build the tree item for a directory listing entry
+     */
+    renderEntry(root, entry, openPaths) {
+        if (entry.type === 'directory') {
+            const item = ForgeTemplates.clone('template-file-tree-dir');
+            const details = item.querySelector('.forge-file-tree__dir');
+
+            details.dataset.root = root;
+            details.dataset.path = entry.path;
+            item.querySelector('.forge-file-tree__name').textContent = entry.name;
+            this.bindDirectory(details);
+
+            if (openPaths.has(`${root}:${entry.path}`)) {
+                details.open = true;
+                this.loadDirectory(details, openPaths);
+            }
+            return item;
+        }
+
+        const item = ForgeTemplates.clone('template-file-tree-file');
+        const name = item.querySelector('.forge-file-tree__name');
+
+        item.dataset.root = root;
+        item.dataset.path = entry.path;
+        name.textContent = entry.name;
+        name.title = `${entry.path} (${ForgeUtils.formatBytes(entry.size)})`;
+        name.addEventListener('click', () => this.preview(root, entry.path));
+        item.querySelector('.forge-file-tree__insert').addEventListener('click', () => this.insertPath(entry.path));
+
+        return item;
+    },
+
+    /**
+     * Load a directory the first time it is opened
+     */
+    bindDirectory(details) {
+        details.addEventListener('toggle', () => {
+            if (details.open && !details.dataset.loaded) {
+                this.loadDirectory(details);
+            }
+        });
+    },
+
+    /**
+     * Reload every open directory, keeping the tree's open state
+     */
+    async refresh() {
+        if (!ForgeElements.fileTree) return;
+
+        const openPaths = new Set();
+        ForgeElements.fileTree.querySelectorAll('details[open]').forEach(details => {
+            openPaths.add(`${details.dataset.root}:${details.dataset.path}`);
+        });
+
+        const roots = ForgeElements.fileTree.querySelectorAll('.forge-file-tree__root');
+        await Promise.all(Array.from(roots)
+            .filter(details => details.dataset.loaded)
+            .map(details => this.loadDirectory(details, openPaths)));
+    },
+
+    /**
+     * Show a file in the preview panel (Markdown rendered, code highlighted)
+     */
+    async preview(root, path) {
+        const panel = ForgeElements.filePreview;
+        if (!panel) return;
+
+        ForgeState.previewFile = { root, path };
+        ForgeElements.filePreviewPath.textContent = path;
+        ForgeElements.filePreviewMeta.textContent = root === 'framework' ? 'framework (read-only)' : 'workspace';
+        ForgeElements.filePreviewBody.innerHTML = '';
+        panel.classList.remove('forge-hidden');
+
+        try {
+            const file = await this.fetch(root, path);
+            if (ForgeState.previewFile?.path !== path) return;
+
+            const meta = [ForgeElements.filePreviewMeta.textContent, ForgeUtils.formatBytes(file.size)];
+            if (file.truncated) meta.push('preview truncated');
+            ForgeElements.filePreviewMeta.textContent = meta.join(' · ');
+
+            if (file.binary) {
+                ForgeElements.filePreviewBody.textContent = 'Binary file - no preview.';
+                return;
+            }
+
+            const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+            // Code goes through a fence named after the file, so Download and Save keep its name
+            const info = /\s/.test(path) ? extension : `${extension || 'text'} ${path}`;
+            const source = ['md', 'markdown'].includes(extension)
+                ? file.content
+                : ForgeExport.fence(file.content, info).join('\n');
+            ForgeElements.filePreviewBody.innerHTML = ForgeMessages.formatMessageContent(source);
+        } catch (error) {
+            ForgeElements.filePreviewBody.textContent = `Could not load file: ${error.message}`;
+        }
+    },
+
+    /**
+     * Close the preview panel
+     */
+    closePreview() {
+        ForgeState.previewFile = null;
+        ForgeElements.filePreview?.classList.add('forge-hidden');
+    },
+
+    /**
+     * Insert a path into the prompt at the cursor
+     */
+    insertPath(path) {
+        const input = ForgeElements.userInput;
+        const before = input.value.slice(0, input.selectionStart);
+        const after = input.value.slice(input.selectionEnd);
+        const text = (before && !/\s$/.test(before) ? ' ' : '') + path + (/^\s/.test(after) ? '' : ' ');
+
+        input.value = before + text + after;
+        input.selectionStart = input.selectionEnd = before.length + text.length;
+        input.focus();
+        ForgeUtils.autoResizeTextarea(input);
+    },
+
+    /**
+     * Collect the paths tool calls in this conversation used: path -> 'write' | 'read'
+     */
+    getTouchedPaths() {
+        const touched = new Map();
+        const blocks = [
+            ...ForgeState.messages.flatMap(msg => Array.isArray(msg.content) ? msg.content : []),
+            ...ForgeState.currentTurnBlocks
+        ];
+
+        for (const block of blocks) {
+            if (block.type !== 'tool_use' || typeof block.input?.path !== 'string') continue;
+
+            const path = block.input.path.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+            if (this.writeTools.includes(block.name)) {
+                touched.set(path, 'write');
+            } else if (this.readTools.includes(block.name) && !touched.has(path)) {
+                touched.set(path, 'read');
+            }
+        }
+
+        return touched;
+    },
+
+    /**
+     * Make a touched path relative to a root, or null if it can't be in it
+     * Writes always land in the workspace; reads may resolve to either root.
+     * Absolute paths match when they run through the root's directory name.
+     */
+    relativeTo(root, path, kind) {
+        if (kind === 'write' && root !== 'workspace') return null;
+        if (!path.startsWith('/') && !/^[A-Za-z]:/.test(path)) return path;
+
+        const marker = `/${ForgeConfig.rootDirectories[root]}/`;
+        const index = ForgeConfig.rootDirectories[root] ? path.lastIndexOf(marker) : -1;
+        return index === -1 ? null : path.slice(index + marker.length);
+    },
+
+    /**
+     * Mark touched files (and the folders that contain them) in the tree
+     */
+    highlightTouched() {
+        if (!ForgeElements.fileTree) return;
+
+        const touched = this.getTouchedPaths();
+
+        ForgeElements.fileTree.querySelectorAll('[data-path]').forEach(element => {
+            const root = element.dataset.root;
+            const path = element.dataset.path;
+            if (!path) return;
+
+            const relative = [...touched].map(([touchedPath, kind]) => [this.relativeTo(root, touchedPath, kind), kind]);
+            const file = relative.find(([touchedPath]) => touchedPath === path);
+            const inside = !file && relative.some(([touchedPath]) => touchedPath?.startsWith(path + '/'));
+            const target = element.classList.contains('forge-file-tree__dir') ? element.querySelector('summary') : element;
+
+            target.classList.toggle('forge-file-tree__touched--write', file?.[1] === 'write');
+            target.classList.toggle('forge-file-tree__touched--read', file?.[1] === 'read');
+            target.classList.toggle('forge-file-tree__touched--inside', inside);
+        });
+    }
+};
+
+
+/* ============================================
+   MENTIONS
+   Typing @ in the composer suggests agents and
+   files. A file's contents are attached (Tab
+   inserts just its path); an @agent routes that
+   one message to the agent's system prompt.
+   ============================================ */
+
+const ForgeMentions = {
+    // Suggestions shown per kind
+    maxAgents: 5,
+    maxFiles: 10,
+
+    // Delay before searching files after a keystroke (ms)
+    searchDelay: 150,
+
+    hint: '↑↓ choose · Enter attach file / route to agent · Tab insert path · Esc close',
+
+    searchTimer: null,
+
+    /**
+     * Open, update or close the menu for the @token before the cursor
+     */
+    update() {
+        const input = ForgeElements.userInput;
+        const before = input.value.slice(0, input.selectionStart);
+        const match = before.match(/(?:^|\s)@([\w./-]*)$/);
+
+        if (!match) {
+            this.close();
+            return;
+        }
+
+        const query = match[1];
+        if (ForgeState.mention?.query === query) return;
+
+        ForgeState.mention = {
+            start: before.length - query.length - 1,
+            query,
+            items: this.findAgents(query),
+            index: 0
+        };
+        this.render();
+
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.searchFiles(query), this.searchDelay);
+    },
+
+    /**
+     * Agents whose id or name contains the query
+     */
+    findAgents(query) {
+        const term = query.toLowerCase();
+        return ForgeState.agents
+            .filter(agent => agent.id.toLowerCase().includes(term) || agent.name.toLowerCase().includes(term))
+            .slice(0, this.maxAgents)
+            .map(agent => ({ kind: 'agent', id: agent.id, name: agent.name, detail: agent.description || '' }));
+    },
+
+    /**
+     * Add matching workspace and framework files to the open menu
+     */
+    async searchFiles(query) {
+        if (!query) return;
+
+        const results = await Promise.all(['workspace', 'framework'].map(root =>
+            ForgeFiles.fetch(root, '', query)
+                .then(data => data.entries.map(entry => ({ kind: 'file', root, path: entry.path, name: entry.path, detail: root })))
+                .catch(() => [])
+        ));
+
+        // Ignore results for a query the user has typed past
+        if (ForgeState.mention?.query !== query) return;
+
+        ForgeState.mention.items = [
+            ...ForgeState.mention.items.filter(item => item.kind === 'agent'),
+            ...results.flat().slice(0, this.maxFiles)
+        ];
+        this.render();
+    },
+
+    /**
+     * Show the suggestions
+     */
+    render() {
+        const menu = ForgeElements.suggestMenu;
+        const mention = ForgeState.mention;
+        if (!menu || !mention) return;
+
+        const list = menu.querySelector('.forge-suggest-menu__list');
+        list.innerHTML = '';
+        menu.querySelector('.forge-suggest-menu__hint').textContent = this.hint;
+
+        mention.items.forEach((item, index) => {
+            const element = ForgeTemplates.clone('template-suggest-item');
+            element.classList.toggle('forge-suggest-menu__item--active', index === mention.index);
+            element.querySelector('.forge-suggest-menu__kind').textContent = item.kind === 'agent' ? 'Agent' : 'File';
+            element.querySelector('.forge-suggest-menu__name').textContent = item.kind === 'agent' ? `@${item.id}` : item.name;
+            element.querySelector('.forge-suggest-menu__detail').textContent = item.kind === 'agent' ? item.name : item.detail;
+            element.title = item.detail;
+
+            // mousedown keeps the focus in the textarea
+            element.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.pick(item, e.altKey ? 'path' : 'content');
+            });
+            list.appendChild(element);
+        });
+
+        menu.classList.toggle('forge-hidden', mention.items.length === 0);
+    },
+
+    /**
+     * Handle menu navigation keys (returns true if the key was used)
+     */
+    handleKeydown(e) {
+        const mention = ForgeState.mention;
+        if (!mention || mention.items.length === 0) return false;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                mention.index = (mention.index + (e.key === 'ArrowDown' ? 1 : -1) + mention.items.length) % mention.items.length;
+                this.render();
+                break;
+            case 'Enter':
+            case 'Tab':
+                this.pick(mention.items[mention.index], e.key === 'Tab' ? 'path' : 'content');
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                return false;
+        }
+
+        e.preventDefault();
+        return true;
+    },
+
+    /**
+     * Replace the @token with the choice; files in "content" mode are also attached
+     */
+    async pick(item, mode) {
+        const mention = ForgeState.mention;
+        if (!mention) return;
+
+        const input = ForgeElements.userInput;
+        const token = item.kind === 'agent' ? `@${item.id} ` : `${mode === 'path' ? '' : '@'}${item.path} `;
+        const end = mention.start + 1 + mention.query.length;
+
+        input.value = input.value.slice(0, mention.start) + token + input.value.slice(end);
+        input.selectionStart = input.selectionEnd = mention.start + token.length;
+        this.close();
+        input.focus();
+        ForgeUtils.autoResizeTextarea(input);
+
+        if (item.kind === 'file' && mode === 'content') {
+            await this.attachFile(item.root, item.path);
+        }
+    },
+
+    /**
+     * Attach a workspace or framework file as a document block
+     * (binary and oversized files stay as a path the agent can read)
+     */
+    async attachFile(root, path) {
+        try {
+            const file = await ForgeFiles.fetch(root, path);
+            if (file.binary || file.truncated) {
+                const reason = file.binary ? 'is a binary file' : 'is too large to attach';
+                ForgeMessages.addErrorMessage(`${path} ${reason}; the agent will get its path`);
+                return;
+            }
+
+            ForgeState.pendingAttachments.push({
+                type: 'document',
+                source: { type: 'text', media_type: 'text/plain', data: file.content },
+                title: path
+            });
+            ForgeAttachments.renderPending();
+        } catch (error) {
+            ForgeMessages.addErrorMessage(`Could not attach ${path}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Close the menu
+     */
+    close() {
+        clearTimeout(this.searchTimer);
+        ForgeState.mention = null;
+        ForgeElements.suggestMenu?.classList.add('forge-hidden');
+    },
+
+    /**
+     * Find the first @agent-id in a message (only known agents count)
+     */
+    getMentionedAgent(text) {
+        for (const match of (text || '').matchAll(/(?:^|\s)@([\w-]+)/g)) {
+            const agent = ForgeState.agents.find(a => a.id === match[1]);
+            if (agent) return agent;
+        }
+        return null;
+    },
+
+    /**
+     * Get the agent for the current turn: the one its user message was
+     * routed to, else the selected agent
+     */
+    getTurnAgentId() {
+        const message = ForgeState.messages.findLast(msg => ForgeMessages.isUserTurn(msg));
+        return message?.agentId || ForgeState.currentAgent?.id || null;
+    },
+
+    /**
+     * Show which agent a user message was routed to
+     */
+    decorate(element, agentId) {
+        if (!agentId) return;
+
+        const agent = ForgeState.agents.find(a => a.id === agentId);
+        const badge = ForgeTemplates.clone('template-message-route');
+        if (!badge) return;
 
-                // Render messages in UI
-                this.renderLoadedMessages();
+        badge.textContent = `→ ${agent?.name || agentId}`;
+        badge.title = 'This message was sent to this agent only';
+        element.querySelector('.forge-message__header').appendChild(badge);
+    }
+};
 
-                // Update active state in list
-                this.setActiveConversation(id);
 
-                return data.conversation;
+/* ============================================
+   ROUTING
+   Optional auto-routing: each message is scored
+   against every agent's skill triggers and signals
+   and sent to the best match. Weak or tied matches
+   go to the default agent.
+   ============================================ */
+
+const ForgeRouting = {
+    /**
+     * Turn auto-routing on or off (saved in localStorage)
+     */
+    toggle() {
+        ForgeState.autoRoute = !ForgeState.autoRoute;
+        ForgeElements.autoRouteButton?.classList.toggle('forge-button--active', ForgeState.autoRoute);
+
+        localStorage.setItem('forge-auto-route', ForgeState.autoRoute);
+    },
+
+    /**
+     * Restore the saved auto-routing preference
+     */
+    loadPreference() {
+        if (localStorage.getItem('forge-auto-route') === 'true') {
+            this.toggle();
+        }
+    },
+
+    /**
+     * Normalize text for matching: lowercase words separated by single spaces
+     * (@mentions are left out)
+     */
+    normalize(text) {
+        return text.toLowerCase()
+            .replace(/@[\w-]+/g, ' ')
+            .replace(/[^\p{L}\p{N}']+/gu, ' ')
+            .trim();
+    },
+
+    /**
+     * Whether a phrase occurs in normalized text as whole words
+     * (the last word may take an ending: "wash" matches "washing")
+     */
+    matches(text, phrase) {
+        const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?:^| )${escaped}(?:s|es|ed|ing)?(?= |$)`).test(text);
+    },
+
+    /**
+     * Score a message against every agent
+     * Each matched trigger or signal is worth its word count (longer phrases
+     * are more specific). Triggers count for the agent the skillIndex maps
+     * their skill to. Returns [{agent, score, matched}], best first.
+     */
+    score(text) {
+        const normalized = this.normalize(text);
+        const skillIndex = ForgeState.routing.skillIndex || {};
+        const scores = new Map();
+
+        const credit = (agentId, phrase) => {
+            const agent = ForgeState.agents.find(a => a.id === agentId);
+            const words = this.normalize(phrase);
+            if (!agent || !words || !this.matches(normalized, words)) return;
+
+            const entry = scores.get(agentId) || { agent, score: 0, matched: [] };
+            if (entry.matched.includes(words)) return;
+
+            entry.matched.push(words);
+            entry.score += words.split(' ').length;
+            scores.set(agentId, entry);
+        };
+
+        for (const agent of ForgeState.agents) {
+            for (const skill of agent.skills || []) {
+                (skill.triggers || []).forEach(trigger => credit(skillIndex[skill.id] || agent.id, trigger));
             }
-        } catch (error) {
-            console.error('Could not load conversation:', error);
+            (agent.signals || []).forEach(signal => credit(agent.id, signal));
         }
-        return null;
+
+        return [...scores.values()].sort((a, b) => b.score - a.score);
     },
 
     /**
-     * Save current conversation
+     * Pick the agent for a message
+     * Confidence is the best score's share of the top two (0.5 is a tie);
+     * below ForgeConfig.autoRouteThreshold, or with no match, the default
+     * agent gets the message. Returns {agent, matched, confidence, fallback}.
      */
-    async saveConversation() {
-        if (!ForgeConfig.autoSave) return;
-        if (ForgeState.messages.length === 0) return;
+    route(text) {
+        const [best, second] = this.score(text);
+        const confidence = best ? best.score / (best.score + (second?.score || 0)) : 0;
+
+        if (best && confidence >= ForgeConfig.autoRouteThreshold) {
+            return { agent: best.agent, matched: best.matched, confidence, fallback: false };
+        }
+        return { agent: this.getDefaultAgent(), matched: [], confidence, fallback: true };
+    },
+
+    /**
+     * The agent unmatched messages go to (registry routing.defaultAgent, else Forge)
+     */
+    getDefaultAgent() {
+        const id = ForgeState.routing.defaultAgent;
+        return ForgeState.agents.find(a => a.id === id) || ForgeState.agents[0] || null;
+    },
+
+    /**
+     * Note where a message was routed, with a button to send it to the default agent instead
+     */
+    showNote(route) {
+        const matched = route.matched.map(phrase => `'${phrase}'`).join(', ');
+        const note = ForgeMessages.addSystemMessage(`Routed to ${route.agent.name} (matched: ${matched})`);
+        const fallback = this.getDefaultAgent();
+        if (!note || !fallback || fallback.id === route.agent.id) return;
+
+        const button = ForgeTemplates.clone('template-route-override');
+        button.textContent = `Send to ${fallback.name} instead`;
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            this.override(fallback.id);
+        });
+        note.querySelector('.forge-message__body').appendChild(button);
+    },
+
+    /**
+     * Send the last message again to another agent (stops the routed response first)
+     */
+    async override(agentId) {
+        if (ForgeState.isStreaming || ForgePermissions.awaitingDecision()) {
+            ForgeAPI.stopMessage();
+            while (ForgeState.isStreaming) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+        }
+
+        await ForgeAPI.regenerate(agentId === ForgeState.currentAgent?.id ? null : agentId);
+    }
+};
+
+
+/* ============================================
+   SLASH COMMANDS
+   "/name args" in the composer runs a command
+   instead of sending a message. The current
+   agent's skills (agent.json "skills") become
+   commands that invoke the skill explicitly.
+   ============================================ */
+
+const ForgeCommands = {
+    // Built-in commands (shown in this order)
+    builtins: [
+        { name: 'new', args: '', description: 'Start a new conversation' },
+        { name: 'agent', args: '<name>', description: 'Switch to an agent' },
+        { name: 'model', args: '<id>', description: 'Set the model for this conversation ("default" to reset)' },
+        { name: 'export', args: 'md|html|json', description: 'Download the conversation' },
+        { name: 'clear-tools', args: '', description: 'Drop earlier tool outputs from the context' },
+        { name: 'search', args: '<query>', description: 'Search saved conversations' },
+        { name: 'retry', args: '', description: 'Send the last message again' },
+        { name: 'compact', args: '', description: 'Summarize older turns to save context' },
+        { name: 'help', args: '', description: 'List commands' }
+    ],
+
+    // Commands that don't change the conversation (allowed while a response streams)
+    anytime: ['export', 'search', 'help'],
+
+    // Export format names accepted by /export
+    exportFormats: { md: 'markdown', markdown: 'markdown', html: 'html', json: 'json' },
+
+    hint: '↑↓ choose · Tab complete · Enter run · Esc close',
+
+    /**
+     * Get all commands: built-ins, then the current agent's skills
+     */
+    getCommands() {
+        const names = this.builtins.map(command => command.name);
+        const skills = (ForgeState.currentAgent?.skills || [])
+            .filter(skill => !names.includes(skill.id))
+            .map(skill => ({ name: skill.id, args: '[details]', description: skill.description || skill.name, skill }));
+
+        return [...this.builtins, ...skills];
+    },
+
+    /**
+     * Open, update or close the menu while the command name is typed
+     * Returns true while the composer holds a command (so @-mentions stay off).
+     */
+    update() {
+        const input = ForgeElements.userInput;
+        const before = input.value.slice(0, input.selectionStart);
+        const match = before.match(/^\/([\w-]*)$/);
+
+        if (!match) {
+            this.close();
+            return input.value.startsWith('/') && !input.value.startsWith('//') && !/\s@/.test(before);
+        }
+
+        const query = match[1].toLowerCase();
+        const items = this.getCommands().filter(command => command.name.startsWith(query));
+        ForgeState.command = { query, items, index: 0 };
+        this.render();
+        return true;
+    },
+
+    /**
+     * Show the matching commands
+     */
+    render() {
+        const menu = ForgeElements.suggestMenu;
+        const command = ForgeState.command;
+        if (!menu || !command) return;
+
+        const list = menu.querySelector('.forge-suggest-menu__list');
+        list.innerHTML = '';
+        menu.querySelector('.forge-suggest-menu__hint').textContent = this.hint;
+
+        command.items.forEach((item, index) => {
+            const element = ForgeTemplates.clone('template-suggest-item');
+            element.classList.toggle('forge-suggest-menu__item--active', index === command.index);
+            element.querySelector('.forge-suggest-menu__kind').textContent = item.skill ? 'Skill' : 'Command';
+            element.querySelector('.forge-suggest-menu__name').textContent = `/${item.name}${item.args ? ' ' + item.args : ''}`;
+            element.querySelector('.forge-suggest-menu__detail').textContent = item.description;
+
+            element.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.complete(item);
+            });
+            list.appendChild(element);
+        });
+
+        menu.classList.toggle('forge-hidden', command.items.length === 0);
+    },
+
+    /**
+     * Handle menu navigation keys (returns true if the key was used)
+     * Enter runs the command once its full name is typed.
+     */
+    handleKeydown(e) {
+        const command = ForgeState.command;
+        if (!command || command.items.length === 0) return false;
+
+        const item = command.items[command.index];
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                command.index = (command.index + (e.key === 'ArrowDown' ? 1 : -1) + command.items.length) % command.items.length;
+                this.render();
+                break;
+            case 'Enter':
+                if (e.shiftKey || (item.name === command.query && !item.args)) return false;
+                this.complete(item);
+                break;
+            case 'Tab':
+                this.complete(item);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                return false;
+        }
+
+        e.preventDefault();
+        return true;
+    },
+
+    /**
+     * Put the full command name in the composer
+     */
+    complete(item) {
+        const input = ForgeElements.userInput;
+        input.value = `/${item.name}${item.args ? ' ' : ''}`;
+        input.selectionStart = input.selectionEnd = input.value.length;
+        this.close();
+        input.focus();
+    },
+
+    /**
+     * Close the menu
+     */
+    close() {
+        if (!ForgeState.command) return;
+        ForgeState.command = null;
+        ForgeElements.suggestMenu?.classList.add('forge-hidden');
+    },
+
+    /**
+     * Run a command line ("/name args")
+     */
+    async run(text) {
+        this.close();
+
+        const [, name, args = ''] = text.match(/^\/([\w-]*)\s*([\s\S]*)$/) || [];
+        const command = this.getCommands().find(item => item.name === name?.toLowerCase());
+
+        if (!command) {
+            this.showHelp(`Unknown command: /${name || ''}`);
+            return;
+        }
+
+        if (!this.anytime.includes(command.name) && ForgeBranches.isLocked()) {
+            ForgeMessages.addSystemMessage(`/${command.name} is unavailable until the response finishes`);
+            return;
+        }
+
+        if (command.skill) {
+            await this.invokeSkill(command.skill, args.trim());
+            return;
+        }
+
+        await this.execute(command.name, args.trim());
+    },
+
+    /**
+     * Run a built-in command
+     */
+    async execute(name, args) {
+        switch (name) {
+            case 'new':
+                ForgeHistory.startNewConversation();
+                break;
+
+            case 'agent':
+                await this.switchAgent(args);
+                break;
+
+            case 'model':
+                this.setModel(args);
+                break;
+
+            case 'export': {
+                const format = this.exportFormats[(args || 'md').toLowerCase()];
+                if (format) {
+                    ForgeExport.export(format);
+                } else {
+                    ForgeMessages.addSystemMessage('Usage: /export md|html|json');
+                }
+                break;
+            }
+
+            case 'clear-tools':
+                this.clearToolOutputs();
+                break;
+
+            case 'search':
+                if (ForgeElements.searchInput) {
+                    ForgeElements.searchInput.value = args;
+                    ForgeElements.searchInput.focus();
+                    ForgeHistory.search();
+                }
+                break;
+
+            case 'retry':
+                await ForgeAPI.regenerate();
+                break;
+
+            case 'compact':
+                if (ForgeState.messages.length === 0) {
+                    ForgeMessages.addSystemMessage('Nothing to compact yet');
+                    return;
+                }
+                await ForgeAPI.streamResponse({ compact: true });
+                break;
+
+            case 'help':
+                this.showHelp();
+                break;
+        }
+    },
+
+    /**
+     * Switch agents by id or name (prefix match); no name lists them
+     */
+    async switchAgent(name) {
+        const term = name.toLowerCase();
+        const agent = term && (
+            ForgeState.agents.find(a => a.id.toLowerCase() === term || a.name.toLowerCase() === term)
+            || ForgeState.agents.find(a => a.id.toLowerCase().startsWith(term) || a.name.toLowerCase().startsWith(term))
+        );
+
+        if (!agent) {
+            const list = ForgeState.agents.map(a => a.id).join(', ') || 'none loaded';
+            ForgeMessages.addSystemMessage(`${name ? `No agent matches "${name}". ` : ''}Agents: ${list}`);
+            return;
+        }
+
+        await ForgeAgents.selectAgent(agent.id, true);
+    },
+
+    /**
+     * Set (or with "default", clear) the conversation's model
+     */
+    setModel(model) {
+        if (!model) {
+            const current = ForgeState.settings.model || ForgeSettings.getDefaults().model || 'server default';
+            ForgeMessages.addSystemMessage(`Model: ${current}`);
+            return;
+        }
+
+        ForgeElements.settingsPanel.elements.model.value = model === 'default' ? '' : model;
+        ForgeSettings.update();
+        ForgeMessages.addSystemMessage(model === 'default' ? 'Model reset to the default' : `Model set to ${model}`);
+    },
+
+    /**
+     * Hide every tool output so far from the model (the transcript keeps them)
+     */
+    clearToolOutputs() {
+        const hasOutputs = ForgeState.messages.some(msg =>
+            Array.isArray(msg.content) && msg.content.some(block => block.type === 'tool_result'));
+
+        if (!hasOutputs) {
+            ForgeMessages.addSystemMessage('No tool outputs to clear');
+            return;
+        }
+
+        ForgeState.messages.push({ role: 'compaction', strategy: 'trim' });
+        ForgeHistory.renderLoadedMessages();
+        ForgeHistory.saveConversation();
+    },
+
+    /**
+     * Send a message that invokes one of the agent's skills
+     */
+    async invokeSkill(skill, details) {
+        const text = `Run skill \`${skill.id}\` (${skill.name})${details ? `: ${details}` : ''}`;
+        // Skills belong to the selected agent, so this skips auto-routing
+        await ForgeAPI.sendMessage(text, ForgeAttachments.take(), null);
+    },
+
+    /**
+     * Show the command list (unknown commands are never sent to the model)
+     */
+    showHelp(error = '') {
+        const lines = this.getCommands().map(command =>
+            `- \`/${command.name}${command.args ? ' ' + command.args : ''}\` - ${command.description}`);
+
+        const element = ForgeMessages.addSystemMessage('');
+        element.querySelector('.forge-message__body').innerHTML = ForgeMessages.formatMessageContent(
+            `${error ? `${error}\n\n` : ''}**Commands**\n\n${lines.join('\n')}\n\nStart a message with \`//\` to send text that begins with \`/\`.`
+        );
+    }
+};
+
+
+/* ============================================
+   STANDARDS
+   Compliance badges in the agent list and the
+   report panel. agents.php lints each agent
+   against the framework schemas and standards
+   (see standards.php).
+   ============================================ */
+
+const ForgeStandards = {
+    // Badge text per status
+    badges: { pass: '✓', warn: '!', fail: '✗' },
+
+    /**
+     * Badge HTML for an agent list item ('' when the agent has no summary)
+     */
+    renderBadge(agent) {
+        const compliance = agent.compliance;
+        if (!compliance || !this.badges[compliance.status]) return '';
+
+        const title = compliance.status === 'pass'
+            ? 'Meets the framework standards'
+            : this.summarize(compliance);
+
+        return `<button class="forge-agent-list__badge forge-agent-list__badge--${compliance.status}"
+            title="${title} - show report">${this.badges[compliance.status]}</button>`;
+    },
+
+    /**
+     * "2 errors, 1 warning"
+     */
+    summarize(counts) {
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        return `${plural(counts.errors, 'error')}, ${plural(counts.warnings, 'warning')}`;
+    },
+
+    /**
+     * Lint an agent and show its report
+     */
+    async open(agentId) {
+        const panel = ForgeElements.standardsReport;
+        if (!panel) return;
+
+        ForgeState.standardsAgent = agentId;
+        ForgeElements.standardsReportTitle.textContent = `Standards: ${agentId}`;
+        ForgeElements.standardsReportSummary.textContent = 'Checking...';
+        ForgeElements.standardsReportSummary.className = 'forge-standards-report__summary';
+        ForgeElements.standardsReportIssues.innerHTML = '';
+        panel.classList.remove('forge-hidden');
 
         try {
-            const payload = {
-                id: ForgeState.currentConversation.id,
-                title: ForgeState.currentConversation.title,
-                created: ForgeState.currentConversation.created,
-                messages: ForgeState.messages
-            };
+            const response = await fetch(`${ForgeConfig.agentsEndpoint}?lint=1&id=${encodeURIComponent(agentId)}`);
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            if (ForgeState.standardsAgent !== agentId) return;
+
+            this.render(agentId, data.report);
+        } catch (error) {
+            ForgeElements.standardsReportSummary.textContent = `Could not check agent: ${error.message}`;
+        }
+    },
+
+    /**
+     * Show a report and refresh the agent's badge
+     */
+    render(agentId, report) {
+        const summary = ForgeElements.standardsReportSummary;
+        summary.textContent = report.status === 'pass' ? 'All checks passed' : this.summarize(report);
+        summary.classList.add(`forge-standards-report__summary--${report.status}`);
+
+        const list = ForgeElements.standardsReportIssues;
+        list.innerHTML = '';
+        report.issues.forEach(issue => {
+            const item = ForgeTemplates.clone('template-standards-issue');
+            item.classList.add(`forge-standards-report__issue--${issue.level}`);
+            item.querySelector('.forge-standards-report__level').textContent = issue.level;
+            item.querySelector('.forge-standards-report__rule').textContent = issue.rule;
+            item.querySelector('.forge-standards-report__message').textContent = issue.message;
+            list.appendChild(item);
+        });
+
+        const agent = ForgeState.agents.find(a => a.id === agentId);
+        if (agent) {
+            agent.compliance = { status: report.status, errors: report.errors, warnings: report.warnings };
+            ForgeAgents.renderAgentList();
+        }
+    },
+
+    /**
+     * Close the report panel
+     */
+    close() {
+        ForgeState.standardsAgent = null;
+        ForgeElements.standardsReport?.classList.add('forge-hidden');
+    }
+};
+
+
+/* ============================================
+   AGENT BUILDER
+   Form for creating and editing workspace agents.
+   Fields map onto agent.json; keys the form does
+   not show are kept as they were. agents.php checks
+   the result against agent.schema.json.
+   ============================================ */
+
+const ForgeAgentBuilder = {
+    // Starting point for a new agent (key order is the order written to agent.json)
+    template: {
+        name: '',
+        displayName: '',
+        version: '1.0.0',
+        description: '',
+        role: '',
+        personality: '',
+        skills: [],
+        signals: [],
+        context: '',
+        invocation: { type: 'claude-subprocess', systemPrompt: './CLAUDE.md', knowledgePath: './knowledge' },
+        observability: { traceEnabled: true, spanName: '' }
+    },
+
+    // Top-level string fields that have a form input of the same name
+    textFields: ['name', 'displayName', 'version', 'description', 'role', 'personality', 'context'],
+
+    // Delay before live validation after an edit (ms)
+    validateDelay: 400,
+    validateTimer: null,
+
+    /**
+     * Open the builder: empty, on a workspace agent, or on a copy of a framework agent
+     */
+    async open(agentId = null) {
+        let config = JSON.parse(JSON.stringify(this.template));
+        let claudeMd = '';
+        let originalName = null;
+        let title = 'New agent';
+
+        if (agentId) {
+            try {
+                const response = await fetch(`${ForgeConfig.agentsEndpoint}?id=${encodeURIComponent(agentId)}`);
+                const data = await response.json();
+                if (!data.success) {
+                    throw new Error(data.error || `HTTP ${response.status}`);
+                }
+
+                config = data.agent.config || config;
+                claudeMd = data.agent.systemPrompt || '';
+                if (data.agent.editable) {
+                    originalName = config.name;
+                    title = `Edit ${data.agent.name}`;
+                } else {
+                    // Framework agents are read-only: start a workspace copy
+                    config.name = `${config.name}-copy`;
+                    title = `New agent (copy of ${data.agent.name})`;
+                }
+            } catch (error) {
+                ForgeMessages.addErrorMessage(`Could not load agent: ${error.message}`);
+                return;
+            }
+        }
+
+        ForgeState.agentBuilder = { config, originalName };
+        ForgeElements.agentBuilderTitle.textContent = title;
+        this.fill(config, claudeMd);
+        ForgeElements.agentBuilder.classList.remove('forge-hidden');
+        this.validate();
+    },
+
+    /**
+     * Close the builder (unsaved changes are dropped)
+     */
+    close() {
+        clearTimeout(this.validateTimer);
+        ForgeState.agentBuilder = null;
+        ForgeElements.agentBuilder?.classList.add('forge-hidden');
+    },
+
+    /**
+     * Get a form control by name
+     */
+    field(name) {
+        return ForgeElements.agentBuilderForm.elements.namedItem(name);
+    },
+
+    /**
+     * Put an agent.json and its CLAUDE.md into the form
+     */
+    fill(config, claudeMd) {
+        this.textFields.forEach(key => {
+            this.field(key).value = typeof config[key] === 'string' ? config[key] : '';
+        });
 
-            const response = await fetch(ForgeConfig.historyEndpoint, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+        this.field('invocationType').value = config.invocation?.type || '';
+        this.field('systemPrompt').value = config.invocation?.systemPrompt || '';
+        this.field('knowledgePath').value = config.invocation?.knowledgePath || '';
+        this.field('spanName').value = config.observability?.spanName || '';
+        this.field('traceEnabled').checked = config.observability?.traceEnabled !== false;
+        this.field('claudeMd').value = claudeMd;
 
-            const data = await response.json();
+        const signals = ForgeElements.agentBuilderForm.querySelector('[data-field="signals"]');
+        this.setChips(signals, Array.isArray(config.signals) ? config.signals : []);
 
-            if (data.success) {
-                // Update current conversation with server response
-                ForgeState.currentConversation.id = data.id;
-                ForgeState.currentConversation.title = data.title;
-                ForgeState.currentConversation.updated = data.updated;
+        ForgeElements.agentBuilderSkills.innerHTML = '';
+        (Array.isArray(config.skills) ? config.skills : []).forEach(skill => this.addSkill(skill));
 
-                // Refresh conversation list
-                await this.loadConversations();
-            }
-        } catch (error) {
-            console.warn('Could not save conversation:', error);
-        }
+        this.updateSpanPlaceholder();
     },
 
     /**
-     * Delete a conversation
+     * Add a skill row (the skill's other keys are kept for saving)
      */
-    async deleteConversation(id) {
-        try {
-            const response = await fetch(`${ForgeConfig.historyEndpoint}?id=${id}`, {
-                method: 'DELETE'
-            });
+    addSkill(skill = {}) {
+        const row = ForgeTemplates.clone('template-skill-row');
+        row.skill = skill;
 
-            const data = await response.json();
+        row.querySelector('[name="skillId"]').value = skill.id || '';
+        row.querySelector('[name="skillName"]').value = skill.name || '';
+        row.querySelector('[name="skillDescription"]').value = skill.description || '';
 
-            if (data.success) {
-                // If we deleted the current conversation, start a new one
-                if (ForgeState.currentConversation.id === id) {
-                    this.startNewConversation();
-                }
+        const triggers = row.querySelector('[data-field="triggers"]');
+        this.bindChipInput(triggers);
+        this.setChips(triggers, Array.isArray(skill.triggers) ? skill.triggers : []);
 
-                // Refresh list
-                await this.loadConversations();
-                return true;
-            }
-        } catch (error) {
-            console.error('Could not delete conversation:', error);
-        }
-        return false;
+        row.querySelector('.forge-skill-row__remove').addEventListener('click', () => {
+            row.remove();
+            this.scheduleValidate();
+        });
+
+        ForgeElements.agentBuilderSkills.appendChild(row);
+        return row;
     },
 
     /**
-     * Start a new conversation
+     * Make a chip input add chips on Enter or comma and drop the last on Backspace
      */
-    startNewConversation(showIntro = true) {
-        // Reset state
-        ForgeState.currentConversation = {
-            id: null,
-            title: null,
-            created: null,
-            updated: null
+    bindChipInput(container) {
+        const input = container.querySelector('.forge-chip-input__field');
+
+        const commit = () => {
+            if (!input.value.trim()) return;
+            this.addChip(container, input.value);
+            input.value = '';
+            this.scheduleValidate();
         };
-        ForgeState.messages = [];
 
-        // Clear UI messages (keep system message)
-        ForgeMessages.clearAll();
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                commit();
+            } else if (e.key === 'Backspace' && !input.value) {
+                const chips = container.querySelectorAll('.forge-chip');
+                if (chips.length > 0) {
+                    chips[chips.length - 1].remove();
+                    this.scheduleValidate();
+                }
+            }
+        });
+        input.addEventListener('blur', commit);
+        container.addEventListener('click', (e) => {
+            if (e.target === container) input.focus();
+        });
+    },
 
-        // Clear active state in list
-        this.setActiveConversation(null);
+    /**
+     * Add a chip before the input (duplicates are ignored)
+     */
+    addChip(container, value) {
+        const text = String(value).trim();
+        if (!text || this.getChips(container).includes(text)) return;
+
+        const chip = ForgeTemplates.clone('template-chip');
+        chip.querySelector('.forge-chip__text').textContent = text;
+        chip.querySelector('.forge-chip__remove').addEventListener('click', () => {
+            chip.remove();
+            this.scheduleValidate();
+        });
 
-        // Show agent intro for new conversations
-        if (showIntro && ForgeConfig.showAgentIntro && ForgeState.currentAgent) {
-            ForgeAgents.showAgentIntro();
-        }
+        container.insertBefore(chip, container.querySelector('.forge-chip-input__field'));
     },
 
     /**
-     * Render loaded messages to UI
+     * Replace a chip input's chips
      */
-    renderLoadedMessages() {
-        // Clear current messages (keep system message template for reference)
-        const systemMessage = ForgeElements.messagesContainer.querySelector('.forge-message--system');
-        ForgeElements.messagesContainer.innerHTML = '';
+    setChips(container, values) {
+        container.querySelectorAll('.forge-chip').forEach(chip => chip.remove());
+        values.forEach(value => this.addChip(container, value));
+    },
 
-        // Re-add system message
-        if (systemMessage) {
-            ForgeElements.messagesContainer.appendChild(systemMessage.cloneNode(true));
-        }
+    /**
+     * Get a chip input's values
+     */
+    getChips(container) {
+        return Array.from(container.querySelectorAll('.forge-chip__text'), chip => chip.textContent);
+    },
 
-        // Render each message
-        for (const msg of ForgeState.messages) {
-            if (msg.role === 'user') {
-                const element = ForgeTemplates.getMessageTemplate('user');
-                element.querySelector('.forge-message__body').textContent = msg.content;
-                ForgeElements.messagesContainer.appendChild(element);
-            } else if (msg.role === 'assistant') {
-                const element = ForgeTemplates.getMessageTemplate('assistant');
-                element.querySelector('.forge-message__role').textContent = ForgeConfig.agentName;
-                element.querySelector('.forge-message__body').innerHTML = ForgeMessages.formatMessageContent(msg.content);
-                ForgeElements.messagesContainer.appendChild(element);
-            }
-        }
+    /**
+     * Span name used when the field is left empty
+     */
+    getDefaultSpanName(name) {
+        return name ? `${name}.operation` : '';
+    },
 
-        ForgeMessages.scrollToBottom();
+    /**
+     * Show the default span name for the current agent name
+     */
+    updateSpanPlaceholder() {
+        const name = this.field('name').value.trim();
+        this.field('spanName').placeholder = this.getDefaultSpanName(name) || '{agent}.operation';
     },
 
     /**
-     * Render conversation list in sidebar
+     * Build agent.json from the form on top of the agent being edited
      */
-    renderConversationList() {
-        const list = ForgeElements.conversationList;
-        if (!list) return;
+    collect() {
+        const agent = JSON.parse(JSON.stringify(ForgeState.agentBuilder.config));
+        const value = name => this.field(name).value.trim();
 
-        if (ForgeState.conversations.length === 0) {
-            list.innerHTML = '<li class="forge-conversation-list__empty">No conversations yet</li>';
-            return;
-        }
+        this.textFields.forEach(key => this.setKey(agent, key, value(key)));
 
-        list.innerHTML = ForgeState.conversations.map(conv => {
-            const date = new Date(conv.updated * 1000);
-            const dateStr = this.formatDate(date);
-            const isActive = ForgeState.currentConversation.id === conv.id;
+        const skills = Array.from(ForgeElements.agentBuilderSkills.querySelectorAll('.forge-skill-row'));
+        this.setKey(agent, 'skills', skills.map(row => this.collectSkill(row)));
 
-            return `
-                <li class="forge-conversation-list__item${isActive ? ' forge-conversation-list__item--active' : ''}"
-                    data-id="${conv.id}">
-                    <div class="forge-conversation-list__info">
-                        <span class="forge-conversation-list__title">${this.escapeHtml(conv.title)}</span>
-                        <span class="forge-conversation-list__date">${dateStr}</span>
-                    </div>
-                    <button class="forge-conversation-list__delete" data-id="${conv.id}" title="Delete">&times;</button>
-                </li>
-            `;
-        }).join('');
+        const signals = ForgeElements.agentBuilderForm.querySelector('[data-field="signals"]');
+        this.setKey(agent, 'signals', this.getChips(signals));
 
-        // Add click handlers
-        list.querySelectorAll('.forge-conversation-list__item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                // Don't trigger if clicking delete button
-                if (e.target.classList.contains('forge-conversation-list__delete')) return;
+        const invocation = { ...agent.invocation };
+        this.setKey(invocation, 'type', value('invocationType'));
+        this.setKey(invocation, 'systemPrompt', value('systemPrompt'));
+        this.setKey(invocation, 'knowledgePath', value('knowledgePath'));
+        this.setKey(agent, 'invocation', invocation);
 
-                const id = item.dataset.id;
-                this.loadConversation(id);
-            });
-        });
+        const observability = { ...agent.observability, traceEnabled: this.field('traceEnabled').checked };
+        this.setKey(observability, 'spanName', value('spanName') || this.getDefaultSpanName(agent.name));
+        agent.observability = observability;
 
-        // Add delete handlers
-        list.querySelectorAll('.forge-conversation-list__delete').forEach(btn => {
-            btn.addEventListener('click', async (e) => {
-                e.stopPropagation();
-                const id = btn.dataset.id;
-                if (confirm('Delete this conversation?')) {
-                    await this.deleteConversation(id);
-                }
-            });
-        });
+        return agent;
     },
 
     /**
-     * Set active conversation in list
+     * Build one skill from its row
      */
-    setActiveConversation(id) {
-        const items = ForgeElements.conversationList?.querySelectorAll('.forge-conversation-list__item');
-        items?.forEach(item => {
-            item.classList.toggle('forge-conversation-list__item--active', item.dataset.id === id);
-        });
+    collectSkill(row) {
+        const skill = { ...row.skill };
+        const value = name => row.querySelector(`[name="${name}"]`).value.trim();
+
+        // id and description are required, so they stay even when empty
+        skill.id = value('skillId');
+        this.setKey(skill, 'name', value('skillName'));
+        skill.description = value('skillDescription');
+        this.setKey(skill, 'triggers', this.getChips(row.querySelector('[data-field="triggers"]')));
+
+        return skill;
     },
 
     /**
-     * Format date for display
+     * Set a key, or remove it when the value is empty ('', [] or {})
      */
-    formatDate(date) {
-        const now = new Date();
-        const diff = now - date;
-        const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+    setKey(target, key, value) {
+        const empty = value === ''
+            || (Array.isArray(value) && value.length === 0)
+            || (value && typeof value === 'object' && Object.keys(value).length === 0);
 
-        if (days === 0) {
-            return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        } else if (days === 1) {
-            return 'Yesterday';
-        } else if (days < 7) {
-            return date.toLocaleDateString([], { weekday: 'short' });
+        if (empty) {
+            delete target[key];
         } else {
-            return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+            target[key] = value;
         }
     },
 
     /**
-     * Escape HTML
+     * Validate shortly after the last edit
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    scheduleValidate() {
+        if (!ForgeState.agentBuilder) return;
+
+        this.updateSpanPlaceholder();
+        clearTimeout(this.validateTimer);
+        this.validateTimer = setTimeout(() => this.validate(), this.validateDelay);
+    },
+
+    /**
+     * Check the form's agent.json against the schema (server-side)
+     */
+    async validate() {
+        if (!ForgeState.agentBuilder) return;
+
+        try {
+            const response = await fetch(`${ForgeConfig.agentsEndpoint}?validate=1`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ agent: this.collect() })
+            });
+            const data = await response.json();
+
+            this.showErrors(data.success ? data.errors : [data.error || `HTTP ${response.status}`]);
+        } catch (error) {
+            this.showErrors([`Could not validate: ${error.message}`]);
+        }
+    },
+
+    /**
+     * List validation errors (Save is disabled while there are any)
+     */
+    showErrors(errors) {
+        const list = ForgeElements.agentBuilderErrors;
+        list.innerHTML = '';
+
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
+
+        const valid = errors.length === 0;
+        list.classList.toggle('forge-hidden', valid);
+        ForgeElements.agentBuilderStatus.textContent = valid
+            ? 'Valid agent.json'
+            : `${errors.length} problem${errors.length === 1 ? '' : 's'}`;
+        ForgeElements.agentBuilderStatus.classList.toggle('forge-agent-builder__status--error', !valid);
+        ForgeElements.agentBuilderSave.disabled = !valid;
+    },
+
+    /**
+     * Save agent.json and CLAUDE.md to workspace/agents/{name}/
+     */
+    async save() {
+        const builder = ForgeState.agentBuilder;
+        if (!builder) return;
+
+        clearTimeout(this.validateTimer);
+        const agent = this.collect();
+        ForgeElements.agentBuilderSave.disabled = true;
+
+        try {
+            const response = await fetch(ForgeConfig.agentsEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    agent,
+                    claudeMd: this.field('claudeMd').value,
+                    originalName: builder.originalName
+                })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showErrors(data.errors || [data.error || `HTTP ${response.status}`]);
+                return;
+            }
+
+            const wasCurrent = [builder.originalName, agent.name].includes(ForgeState.currentAgent?.id);
+            this.close();
+            await ForgeAgents.loadAgents();
+
+            // Reload the running agent so its new prompt and skills apply
+            if (wasCurrent) {
+                ForgeState.currentAgent = null;
+                await ForgeAgents.selectAgent(agent.name, false);
+            }
+
+            ForgeMessages.addSystemMessage(`Saved agent ${agent.name} to agents/${agent.name}/`);
+        } catch (error) {
+            this.showErrors([`Could not save: ${error.message}`]);
+        }
     }
 };
 
 
 /* ============================================
-   9. AGENTS
+   DELEGATION
+   delegate_task hands a task to another agent,
+   which works it inside the current response.
+   Its steps show as a collapsible sub-thread
+   under the tool call.
    ============================================ */
 
-const ForgeAgents = {
+const ForgeDelegation = {
+    statusLabels: {
+        running: 'Working...',
+        completed: 'Completed',
+        failed: 'Failed',
+        cancelled: 'Stopped'
+    },
+
     /**
-     * Load all agents from server
+     * Show the call when its delegated run starts, with an open sub-thread
+     * (a call held for approval is already on screen)
      */
-    async loadAgents() {
-        try {
-            const response = await fetch(ForgeConfig.agentsEndpoint);
-            const data = await response.json();
+    start(data) {
+        let element = ForgeState.pendingToolCalls[data.id]?.element;
+        if (!element) {
+            ForgeMessages.finalizeAssistantMessage();
+            ForgeMessages.recordToolUse(data.id, 'delegate_task', data.input);
+            element = ForgeMessages.addToolUseMessage('delegate_task', data.input);
+        }
 
-            if (data.success) {
-                ForgeState.agents = data.agents || [];
-                this.renderAgentList();
+        const thread = this.createThread(element.querySelector('.forge-message__body'), data.name, 'running');
+        thread.open = true;
 
-                // Set default agent (first one, usually Forge) - no switch message on init
-                if (ForgeState.agents.length > 0 && !ForgeState.currentAgent) {
-                    await this.selectAgent(ForgeState.agents[0].id, false); // false = no switch message
+        ForgeState.delegations[data.id] = { element, thread, name: data.name, text: null, source: '' };
+        ForgeUI.setStatus('loading', `${data.name}: working...`);
+        ForgeMessages.scrollToBottom();
+    },
+
+    /**
+     * Handle an event from inside a delegated run
+     * Runs nested deeper than one level show once their own call finishes.
+     */
+    handleEvent({ id, event, data }) {
+        const run = ForgeState.delegations[id];
+        if (!run) return;
+
+        if (event !== 'retry') {
+            ForgeUI.clearRetryCountdown();
+        }
+
+        const steps = run.thread.querySelector('.forge-delegation__thread');
+
+        switch (event) {
+            case 'content':
+                if (!run.text) {
+                    run.text = this.addText(steps, '');
+                    run.source = '';
                 }
+                run.source += data.text;
+                run.text.innerHTML = ForgeMarkdown.render(run.source);
+                break;
 
-                return data.agents;
+            case 'tool_use_start':
+                run.text = null;
+                ForgeUI.setStatus('loading', `${run.name}: using ${data.name}...`);
+                break;
+
+            case 'tool_result':
+                run.text = null;
+                steps.appendChild(this.createToolStep(data.name, data.input, data.result));
+                if (ForgeFiles.writeTools.includes(data.name) || data.name === 'execute_command') {
+                    ForgeFiles.refresh();
+                }
+                break;
+
+            // Counts toward the conversation total, not this response's footer
+            case 'usage': {
+                const current = ForgeState.currentUsage;
+                ForgeUsage.record(data);
+                ForgeState.currentUsage = current;
+                break;
+            }
+
+            case 'retry':
+                ForgeUI.showRetryCountdown(data);
+                break;
+
+            case 'error':
+                this.addText(steps, data.message).classList.add('forge-delegation__step--error');
+                break;
+        }
+
+        ForgeMessages.scrollToBottom();
+    },
+
+    /**
+     * Replace a live sub-thread with the finished run from the tool result
+     */
+    finish(id, delegation) {
+        const run = ForgeState.delegations[id];
+        if (!run) return;
+
+        this.render(run.element.querySelector('.forge-message__body'), delegation).open = run.thread.open;
+        delete ForgeState.delegations[id];
+    },
+
+    /**
+     * Mark runs cut off by Stop
+     */
+    abandon() {
+        for (const run of Object.values(ForgeState.delegations)) {
+            this.setStatus(run.thread, 'cancelled');
+        }
+        ForgeState.delegations = {};
+    },
+
+    /**
+     * Render a finished run (the tool result's delegation) into a container
+     */
+    render(container, delegation) {
+        const agent = ForgeState.agents.find(a => a.id === delegation.agent);
+        const thread = this.createThread(container, agent?.name || delegation.agent, delegation.status);
+        const steps = thread.querySelector('.forge-delegation__thread');
+
+        for (const step of delegation.thread || []) {
+            if (step.type === 'text') {
+                this.addText(steps, step.text);
+            } else if (step.type === 'tool') {
+                steps.appendChild(this.createToolStep(step.name, step.input, step.result));
             }
-        } catch (error) {
-            console.warn('Could not load agents:', error);
         }
-        return [];
+
+        return thread;
     },
 
     /**
-     * Select an agent (switches agent in current conversation)
+     * Add an empty sub-thread to a container (replacing any earlier one)
      */
-    async selectAgent(agentId, showSwitchMessage = true) {
-        const agent = ForgeState.agents.find(a => a.id === agentId);
-        if (!agent) return;
+    createThread(container, name, status) {
+        container.querySelector(':scope > .forge-delegation')?.remove();
 
-        // Don't do anything if already selected
-        if (ForgeState.currentAgent?.id === agentId) return;
+        const thread = ForgeTemplates.clone('template-delegation');
+        thread.querySelector('.forge-delegation__agent').textContent = `↳ ${name}`;
+        this.setStatus(thread, status);
 
-        const previousAgent = ForgeState.currentAgent;
+        container.appendChild(thread);
+        return thread;
+    },
 
-        // Load full agent details
-        try {
-            const response = await fetch(`${ForgeConfig.agentsEndpoint}?id=${agentId}`);
-            const data = await response.json();
+    /**
+     * Show a run's status in its summary line
+     */
+    setStatus(thread, status) {
+        const label = thread.querySelector('.forge-delegation__status');
+        label.className = `forge-delegation__status forge-delegation__status--${status}`;
+        label.textContent = this.statusLabels[status] || status;
+    },
 
-            if (data.success && data.agent) {
-                ForgeState.currentAgent = data.agent;
+    /**
+     * Add a step of the agent's text (Markdown)
+     */
+    addText(steps, text) {
+        const step = ForgeTemplates.clone('template-delegation-step');
+        step.innerHTML = ForgeMarkdown.render(text);
+        steps.appendChild(step);
+        return step;
+    },
 
-                // Update UI with agent info
-                ForgeConfig.agentName = data.agent.name;
+    /**
+     * Build a tool call step (a nested delegation shows its own sub-thread)
+     */
+    createToolStep(name, input, result) {
+        const step = ForgeTemplates.clone('template-delegation-tool');
+        step.querySelector('.forge-tool-name').textContent = name;
+        step.querySelector('.forge-delegation__input').textContent = JSON.stringify(input || {});
 
-                // Update header
-                const headerTitle = document.querySelector('.forge-header__title');
-                if (headerTitle) {
-                    headerTitle.textContent = data.agent.name;
-                }
+        const status = step.querySelector('.forge-tool-status');
+        status.textContent = result.success ? 'Success' : 'Error';
+        status.classList.add(result.success ? 'forge-tool-status--success' : 'forge-tool-status--error');
 
-                // Update active state in list
-                this.setActiveAgent(agentId);
+        step.querySelector('.forge-code').textContent = ForgeMessages.getToolResultContent(result);
 
-                // Show switch message if switching mid-conversation
-                if (showSwitchMessage && previousAgent && ForgeState.messages.length > 0) {
-                    this.showAgentSwitchMessage(previousAgent.name, data.agent.name);
-                }
-            }
-        } catch (error) {
-            console.error('Could not load agent details:', error);
+        if (result.delegation?.thread?.length) {
+            this.render(step, result.delegation);
         }
-    },
 
+        return step;
+    }
+};
+
+
+/* ============================================
+   TRACES
+   api.php traces each request (a root span, its
+   model calls, tool calls and delegated tasks) to
+   workspace/traces. The Trace button under a turn
+   opens the spans as a waterfall.
+   ============================================ */
+
+const ForgeTrace = {
     /**
-     * Show a system message when switching agents mid-conversation
+     * Add a Trace button to the footer at the end of the chat
      */
-    showAgentSwitchMessage(fromName, toName) {
-        const element = ForgeTemplates.clone('template-message-user');
-        if (!element) return;
+    addButton(traceId) {
+        const button = ForgeTemplates.clone('template-trace-button');
+        if (!button) return;
 
-        // Restyle as system message
-        element.classList.remove('forge-message--user');
-        element.classList.add('forge-message--system');
-        element.querySelector('.forge-message__role').textContent = 'System';
-        element.querySelector('.forge-message__body').textContent = `Switched from ${fromName} to ${toName}`;
+        button.addEventListener('click', () => this.open(traceId));
 
-        // Update icon
-        const icon = element.querySelector('.forge-icon');
-        if (icon) {
-            icon.classList.remove('forge-icon--user');
-            icon.classList.add('forge-icon--system');
+        const last = ForgeElements.messagesContainer.lastElementChild;
+        if (last?.classList.contains('forge-usage')) {
+            last.appendChild(button);
+            return;
         }
 
-        ForgeElements.messagesContainer.appendChild(element);
-        ForgeMessages.scrollToBottom();
+        const footer = ForgeTemplates.clone('template-usage-footer');
+        footer.appendChild(button);
+        ForgeMessages.appendBeforePlaceholder(footer);
     },
 
     /**
-     * Show agent introduction message
+     * Load a trace and show it in the viewer
      */
-    showAgentIntro() {
-        if (!ForgeConfig.showAgentIntro) return;
-        if (!ForgeState.currentAgent) return;
-
-        const intro = ForgeState.currentAgent.intro || ForgeState.currentAgent.description;
-        if (!intro) return;
+    async open(traceId) {
+        const panel = ForgeElements.traceViewer;
+        if (!panel) return;
 
-        // Add as assistant message
-        const element = ForgeTemplates.getMessageTemplate('assistant');
-        element.querySelector('.forge-message__role').textContent = ForgeConfig.agentName;
-        element.querySelector('.forge-message__body').textContent = intro;
+        ForgeState.openTrace = traceId;
+        ForgeElements.traceViewerTitle.textContent = `Trace ${traceId.slice(0, 8)}`;
+        ForgeElements.traceViewerSummary.textContent = 'Loading...';
+        ForgeElements.traceViewerSpans.innerHTML = '';
+        panel.classList.remove('forge-hidden');
 
-        ForgeElements.messagesContainer.appendChild(element);
-        ForgeMessages.scrollToBottom();
+        try {
+            const response = await fetch(`${ForgeConfig.tracesEndpoint}?id=${encodeURIComponent(traceId)}`);
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            if (ForgeState.openTrace !== traceId) return;
 
-        // Note: Don't add to state.messages - this is just UI, not history
+            this.render(this.readSpans(data.trace));
+        } catch (error) {
+            ForgeElements.traceViewerSummary.textContent = `Could not load trace: ${error.message}`;
+        }
     },
 
     /**
-     * Render agent list in sidebar
+     * Flatten OTLP/JSON into spans (times in ms, plain attributes), each
+     * after its parent and siblings in start order, with a nesting depth
      */
-    renderAgentList() {
-        const list = ForgeElements.agentList;
-        if (!list) return;
+    readSpans(trace) {
+        const spans = (trace.resourceSpans || [])
+            .flatMap(resource => (resource.scopeSpans || []).flatMap(scope => scope.spans || []))
+            .map(span => ({
+                id: span.spanId,
+                parent: span.parentSpanId || null,
+                name: span.name,
+                start: Number(span.startTimeUnixNano) / 1e6,
+                end: Number(span.endTimeUnixNano) / 1e6,
+                attributes: Object.fromEntries((span.attributes || []).map(attribute =>
+                    [attribute.key, Object.values(attribute.value || {})[0]]
+                )),
+                events: span.events || [],
+                error: span.status?.code === 2 ? (span.status.message || 'Error') : null
+            }))
+            .sort((a, b) => a.start - b.start);
+
+        const ids = new Set(spans.map(span => span.id));
+        const ordered = [];
+        const visit = (span, depth) => {
+            ordered.push({ ...span, depth });
+            spans.filter(child => child.parent === span.id).forEach(child => visit(child, depth + 1));
+        };
+        spans.filter(span => !span.parent || !ids.has(span.parent)).forEach(span => visit(span, 0));
 
-        if (ForgeState.agents.length === 0) {
-            list.innerHTML = '<li class="forge-agent-list__empty">No agents found</li>';
+        return ordered;
+    },
+
+    /**
+     * Show spans as a waterfall: one row each, with a bar placed on the
+     * request's timeline
+     */
+    render(spans) {
+        const list = ForgeElements.traceViewerSpans;
+        list.innerHTML = '';
+        if (spans.length === 0) {
+            ForgeElements.traceViewerSummary.textContent = 'No spans recorded';
             return;
         }
 
-        list.innerHTML = ForgeState.agents.map(agent => {
-            const isActive = ForgeState.currentAgent?.id === agent.id;
-            const initials = this.getInitials(agent.name);
-
-            return `
-                <li class="forge-agent-list__item${isActive ? ' forge-agent-list__item--active' : ''}"
-                    data-id="${agent.id}" title="${this.escapeHtml(agent.description)}">
-                    <div class="forge-agent-list__icon">${initials}</div>
-                    <div class="forge-agent-list__info">
-                        <span class="forge-agent-list__name">${this.escapeHtml(agent.name)}</span>
-                        <span class="forge-agent-list__source">${agent.source}</span>
-                    </div>
-                </li>
-            `;
-        }).join('');
+        const start = Math.min(...spans.map(span => span.start));
+        const end = Math.max(...spans.map(span => span.end));
+        const total = Math.max(end - start, 1);
+
+        const modelCalls = spans.filter(span => span.name.endsWith('.model_call')).length;
+        const toolCalls = spans.filter(span => span.attributes['tool.name']).length;
+        const errors = spans.filter(span => span.error).length;
+        ForgeElements.traceViewerSummary.textContent = [
+            this.formatDuration(end - start),
+            `${modelCalls} model call${modelCalls === 1 ? '' : 's'}`,
+            `${toolCalls} tool call${toolCalls === 1 ? '' : 's'}`,
+            errors ? `${errors} error${errors === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(' · ');
+
+        for (const span of spans) {
+            const item = ForgeTemplates.clone('template-trace-span');
+            item.classList.add(`forge-trace__span--${this.getKind(span)}`);
+            item.classList.toggle('forge-trace__span--error', Boolean(span.error));
+
+            const name = item.querySelector('.forge-trace__name');
+            name.textContent = span.name;
+            name.style.paddingLeft = `${span.depth * 12}px`;
+
+            const bar = item.querySelector('.forge-trace__bar');
+            const width = Math.max((span.end - span.start) / total * 100, 0.5);
+            bar.style.left = `${Math.min((span.start - start) / total * 100, 100 - width)}%`;
+            bar.style.width = `${width}%`;
+
+            item.querySelector('.forge-trace__duration').textContent = this.formatDuration(span.end - span.start);
+            item.title = this.describe(span);
+
+            list.appendChild(item);
+        }
+    },
 
-        // Add click handlers
-        list.querySelectorAll('.forge-agent-list__item').forEach(item => {
-            item.addEventListener('click', () => {
-                const id = item.dataset.id;
-                this.selectAgent(id, true);
-            });
-        });
+    /**
+     * Classify a span for its bar color
+     */
+    getKind(span) {
+        if (span.name.endsWith('.model_call') || span.name.endsWith('.compact')) return 'model';
+        if (span.attributes['tool.name']) return 'tool';
+        if (span.depth === 0) return 'root';
+        return 'task';
     },
 
     /**
-     * Set active agent in list
+     * Tooltip text: the span's attributes, events and error
      */
-    setActiveAgent(id) {
-        const items = ForgeElements.agentList?.querySelectorAll('.forge-agent-list__item');
-        items?.forEach(item => {
-            item.classList.toggle('forge-agent-list__item--active', item.dataset.id === id);
-        });
+    describe(span) {
+        const lines = [span.name];
+        for (const [key, value] of Object.entries(span.attributes)) {
+            lines.push(`${key}: ${value}`);
+        }
+        for (const event of span.events) {
+            lines.push(`event: ${event.name} (+${this.formatDuration(Number(event.timeUnixNano) / 1e6 - span.start)})`);
+        }
+        if (span.error) {
+            lines.push(`error: ${span.error}`);
+        }
+        return lines.join('\n');
     },
 
     /**
-     * Get initials from name
+     * Format milliseconds as "850 ms" or "2.40 s"
      */
-    getInitials(name) {
-        return name
-            .split(/[\s-]+/)
-            .map(word => word[0])
-            .join('')
-            .toUpperCase()
-            .slice(0, 2);
+    formatDuration(ms) {
+        return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
     },
 
     /**
-     * Escape HTML
+     * Hide the trace viewer
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    close() {
+        ForgeState.openTrace = null;
+        ForgeElements.traceViewer?.classList.add('forge-hidden');
     }
 };
 
@@ -1131,8 +5691,7 @@ const ForgeUtils = {
      * Copy text to clipboard
      */
     copyToClipboard(button) {
-        const codeBlock = button.closest('.forge-code-block');
-        const code = codeBlock.querySelector('code').textContent;
+        const code = this.getCodeBlockText(button.closest('.forge-code-block'));
 
         navigator.clipboard.writeText(code).then(() => {
             const originalText = button.textContent;
@@ -1143,12 +5702,127 @@ const ForgeUtils = {
         });
     },
 
+    /**
+     * Get the plain text of a code block (one line element per line)
+     */
+    getCodeBlockText(codeBlock) {
+        const lines = codeBlock.querySelectorAll('.forge-code__line');
+        if (!lines.length) {
+            return codeBlock.querySelector('code').textContent;
+        }
+        return Array.from(lines, line => line.textContent).join('\n');
+    },
+
+    /**
+     * Get a filename for a code block (fence filename or snippet.<ext>)
+     */
+    getCodeBlockFilename(codeBlock) {
+        if (codeBlock.dataset.filename) {
+            return codeBlock.dataset.filename;
+        }
+
+        const language = codeBlock.dataset.language || '';
+        const grammar = ForgeHighlight.resolveLanguage(language);
+        const extension = ForgeHighlight.extensions[grammar] || (/^\w+$/.test(language) && language !== 'code' ? language : 'txt');
+        return `snippet.${extension}`;
+    },
+
+    /**
+     * Toggle line wrapping for a code block
+     */
+    toggleCodeWrap(button) {
+        const codeBlock = button.closest('.forge-code-block');
+        const wrapped = codeBlock.classList.toggle('forge-code-block--wrap');
+        button.classList.toggle('forge-code-block__action--active', wrapped);
+    },
+
+    /**
+     * Download a code block as a file
+     */
+    downloadCode(button) {
+        const codeBlock = button.closest('.forge-code-block');
+        const filename = this.getCodeBlockFilename(codeBlock).split('/').pop();
+        this.downloadFile(filename, this.getCodeBlockText(codeBlock));
+    },
+
+    /**
+     * Download text content as a file
+     */
+    downloadFile(filename, content, type = 'text/plain') {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Save a code block into the workspace (same path rules as write_file)
+     */
+    async saveCodeToWorkspace(button) {
+        const codeBlock = button.closest('.forge-code-block');
+        const path = prompt('Save to workspace as:', this.getCodeBlockFilename(codeBlock));
+        if (!path || !path.trim()) {
+            return;
+        }
+
+        const originalText = button.textContent;
+
+        try {
+            const response = await fetch(ForgeConfig.saveEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ path: path.trim(), content: this.getCodeBlockText(codeBlock) })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error || 'Save failed');
+            }
+
+            button.textContent = 'Saved!';
+            button.title = data.path;
+        } catch (error) {
+            console.error('Could not save file:', error);
+            ForgeMessages.addErrorMessage(`Could not save file: ${error.message}`);
+            button.textContent = 'Failed';
+        }
+
+        setTimeout(() => {
+            button.textContent = originalText;
+        }, 2000);
+    },
+
+    /**
+     * Expand or collapse a long diff hunk
+     */
+    toggleDiffHunk(button) {
+        const hunk = button.closest('.forge-diff__hunk');
+        const collapsed = hunk.classList.toggle('forge-diff__hunk--collapsed');
+        const count = hunk.querySelectorAll('.forge-diff__line').length;
+        button.textContent = collapsed ? `Show all ${count} lines` : 'Show less';
+    },
+
     /**
      * Auto-resize textarea
      */
     autoResizeTextarea(textarea) {
         textarea.style.height = 'auto';
         textarea.style.height = Math.min(textarea.scrollHeight, 200) + 'px';
+    },
+
+    /**
+     * Format a file size (e.g. 12.3 KB)
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes || 0} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
     }
 };
 
@@ -1167,8 +5841,15 @@ const ForgeEvents = {
             this.handleSend();
         });
 
+        // Stop button click
+        ForgeElements.stopButton?.addEventListener('click', () => {
+            ForgeAPI.stopMessage();
+        });
+
         // Input keydown (Enter to send, Shift+Enter for new line)
         ForgeElements.userInput.addEventListener('keydown', (e) => {
+            if (ForgeCommands.handleKeydown(e) || ForgeMentions.handleKeydown(e)) return;
+
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 this.handleSend();
@@ -1178,6 +5859,52 @@ const ForgeEvents = {
         // Auto-resize textarea on input
         ForgeElements.userInput.addEventListener('input', () => {
             ForgeUtils.autoResizeTextarea(ForgeElements.userInput);
+            if (!ForgeCommands.update()) {
+                ForgeMentions.update();
+            }
+        });
+        ForgeElements.userInput.addEventListener('blur', () => {
+            // Let a click on a suggestion land first
+            setTimeout(() => {
+                ForgeCommands.close();
+                ForgeMentions.close();
+            }, 150);
+        });
+
+        // Attachments: paperclip button, pasted files, files dropped on the composer
+        ForgeElements.attachButton?.addEventListener('click', () => {
+            ForgeElements.attachFile.click();
+        });
+        ForgeElements.attachFile?.addEventListener('change', async () => {
+            const files = [...ForgeElements.attachFile.files];
+            ForgeElements.attachFile.value = '';
+            await ForgeAttachments.addFiles(files);
+        });
+        ForgeElements.userInput.addEventListener('paste', (e) => {
+            const files = [...(e.clipboardData?.files || [])];
+            if (files.length > 0) {
+                e.preventDefault();
+                ForgeAttachments.addFiles(files);
+            }
+        });
+        ForgeElements.inputArea?.addEventListener('dragover', (e) => {
+            if (e.dataTransfer?.types.includes('Files')) {
+                e.preventDefault();
+                ForgeElements.inputArea.classList.add('forge-input-area--dragover');
+            }
+        });
+        ForgeElements.inputArea?.addEventListener('dragleave', (e) => {
+            if (!ForgeElements.inputArea.contains(e.relatedTarget)) {
+                ForgeElements.inputArea.classList.remove('forge-input-area--dragover');
+            }
+        });
+        ForgeElements.inputArea?.addEventListener('drop', (e) => {
+            ForgeElements.inputArea.classList.remove('forge-input-area--dragover');
+            const files = [...(e.dataTransfer?.files || [])];
+            if (files.length > 0) {
+                e.preventDefault();
+                ForgeAttachments.addFiles(files);
+            }
         });
 
         // Clear chat button (starts a new conversation)
@@ -1187,6 +5914,56 @@ const ForgeEvents = {
             }
         });
 
+        // Export menu (Markdown / HTML / JSON)
+        ForgeElements.exportButton?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            ForgeElements.exportMenu.classList.toggle('forge-hidden');
+        });
+        ForgeElements.exportMenu?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-format]');
+            if (item) {
+                ForgeElements.exportMenu.classList.add('forge-hidden');
+                ForgeExport.export(item.dataset.format);
+            }
+        });
+
+        // Settings popover (model, max tokens, temperature, system addendum)
+        ForgeElements.settingsButton?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            ForgeElements.settingsPanel.classList.toggle('forge-hidden');
+        });
+        ForgeElements.settingsPanel?.addEventListener('change', () => ForgeSettings.update());
+        ForgeElements.settingsPanel?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            ForgeSettings.update();
+            ForgeElements.settingsPanel.classList.add('forge-hidden');
+        });
+        ForgeElements.settingsPanel?.addEventListener('reset', (e) => {
+            e.preventDefault();
+            ForgeSettings.reset();
+        });
+
+        // Clicking outside a menu closes it
+        document.addEventListener('click', (e) => {
+            document.querySelectorAll('.forge-menu').forEach(menu => {
+                if (!menu.contains(e.target)) {
+                    menu.querySelector('.forge-menu__items')?.classList.add('forge-hidden');
+                }
+            });
+        });
+
+        // Import a JSON transcript
+        ForgeElements.importButton?.addEventListener('click', () => {
+            ForgeElements.importFile.click();
+        });
+        ForgeElements.importFile?.addEventListener('change', async () => {
+            const file = ForgeElements.importFile.files[0];
+            ForgeElements.importFile.value = '';
+            if (file) {
+                await ForgeExport.importFile(file);
+            }
+        });
+
         // Theme toggle button
         ForgeElements.themeButton.addEventListener('click', () => {
             ForgeUI.toggleTheme();
@@ -1202,10 +5979,60 @@ const ForgeEvents = {
             ForgeUI.toggleToolsVisibility();
         });
 
+        // Auto-route toggle button
+        ForgeElements.autoRouteButton?.addEventListener('click', () => {
+            ForgeRouting.toggle();
+        });
+
         // New conversation button
         ForgeElements.newConversationButton?.addEventListener('click', () => {
             ForgeHistory.startNewConversation();
         });
+
+        // File browser: roots load when opened, refresh reloads open folders
+        ForgeElements.fileTree?.querySelectorAll('.forge-file-tree__root').forEach(details => {
+            ForgeFiles.bindDirectory(details);
+        });
+        ForgeElements.refreshFilesButton?.addEventListener('click', () => ForgeFiles.refresh());
+        ForgeElements.filePreviewClose?.addEventListener('click', () => ForgeFiles.closePreview());
+        ForgeElements.filePreviewInsert?.addEventListener('click', () => {
+            if (ForgeState.previewFile) {
+                ForgeFiles.insertPath(ForgeState.previewFile.path);
+            }
+        });
+
+        // Standards report panel
+        ForgeElements.standardsReportClose?.addEventListener('click', () => ForgeStandards.close());
+        ForgeElements.standardsReportRecheck?.addEventListener('click', () => {
+            if (ForgeState.standardsAgent) {
+                ForgeStandards.open(ForgeState.standardsAgent);
+            }
+        });
+
+        // Trace viewer
+        ForgeElements.traceViewerClose?.addEventListener('click', () => ForgeTrace.close());
+
+        // Agent builder: new agent, live validation, skills, save
+        ForgeElements.newAgentButton?.addEventListener('click', () => ForgeAgentBuilder.open());
+        ForgeElements.agentBuilderClose?.addEventListener('click', () => ForgeAgentBuilder.close());
+        ForgeElements.agentBuilderSave?.addEventListener('click', () => ForgeAgentBuilder.save());
+        ForgeElements.agentBuilderAddSkill?.addEventListener('click', () => {
+            ForgeAgentBuilder.addSkill().querySelector('input').focus();
+            ForgeAgentBuilder.scheduleValidate();
+        });
+        ForgeElements.agentBuilderForm?.addEventListener('submit', (e) => e.preventDefault());
+        ForgeElements.agentBuilderForm?.addEventListener('input', () => ForgeAgentBuilder.scheduleValidate());
+        ForgeElements.agentBuilderForm?.querySelectorAll(':scope > fieldset > .forge-chip-input').forEach(container => {
+            ForgeAgentBuilder.bindChipInput(container);
+        });
+
+        // Conversation search (query and filters)
+        ForgeElements.searchInput?.addEventListener('input', () => {
+            ForgeHistory.scheduleSearch();
+        });
+        [ForgeElements.searchAgent, ForgeElements.searchFrom, ForgeElements.searchTo].forEach(field => {
+            field?.addEventListener('change', () => ForgeHistory.search());
+        });
     },
 
     /**
@@ -1214,11 +6041,19 @@ const ForgeEvents = {
     handleSend() {
         const text = ForgeElements.userInput.value.trim();
 
-        if (!text) {
+        if (!text && ForgeState.pendingAttachments.length === 0) {
+            return;
+        }
+
+        // Slash commands run here ("//" sends a message that starts with "/")
+        if (text.startsWith('/') && !text.startsWith('//')) {
+            ForgeElements.userInput.value = '';
+            ForgeUtils.autoResizeTextarea(ForgeElements.userInput);
+            ForgeCommands.run(text);
             return;
         }
 
-        if (ForgeState.isStreaming) {
+        if (ForgeState.isStreaming || ForgePermissions.awaitingDecision()) {
             return;
         }
 
@@ -1227,7 +6062,7 @@ const ForgeEvents = {
         ForgeUtils.autoResizeTextarea(ForgeElements.userInput);
 
         // Send message
-        ForgeAPI.sendMessage(text);
+        ForgeAPI.sendMessage(text.startsWith('//') ? text.slice(1) : text, ForgeAttachments.take());
     }
 };
 
@@ -1247,6 +6082,12 @@ async function loadFrameworkInfo() {
         // Update config
         ForgeConfig.agentName = info.agentName || 'Forge';
         ForgeConfig.skills = info.skills || [];
+        ForgeConfig.modelDefaults = {
+            model: info.model || null,
+            maxTokens: info.maxTokens || null
+        };
+        ForgeSettings.renderModels();
+        ForgeSettings.render();
 
         // Update header title
         const headerTitle = document.querySelector('.forge-header__title');
@@ -1254,6 +6095,11 @@ async function loadFrameworkInfo() {
             headerTitle.textContent = ForgeConfig.agentName;
         }
 
+        ForgeConfig.rootDirectories = {
+            framework: info.frameworkDirectory || '',
+            workspace: info.workspaceDirectory || ''
+        };
+
         // Update directory displays
         const frameworkDirEl = document.getElementById('frameworkDirectory');
         if (frameworkDirEl) {
@@ -1291,6 +6137,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Load saved tool preferences
     ForgeUI.loadToolPreferences();
+    ForgeRouting.loadPreference();
 
     // Load framework info (updates agent name, skills)
     await loadFrameworkInfo();
@@ -1320,3 +6167,18 @@ document.addEventListener('DOMContentLoaded', async () => {
 window.ForgeUtils = ForgeUtils;
 window.ForgeHistory = ForgeHistory;
 window.ForgeAgents = ForgeAgents;
+window.ForgePermissions = ForgePermissions;
+window.ForgeMarkdown = ForgeMarkdown;
+window.ForgeExport = ForgeExport;
+window.ForgeSettings = ForgeSettings;
+window.ForgeUsage = ForgeUsage;
+window.ForgeBranches = ForgeBranches;
+window.ForgeAttachments = ForgeAttachments;
+window.ForgeFiles = ForgeFiles;
+window.ForgeMentions = ForgeMentions;
+window.ForgeRouting = ForgeRouting;
+window.ForgeCommands = ForgeCommands;
+window.ForgeStandards = ForgeStandards;
+window.ForgeAgentBuilder = ForgeAgentBuilder;
+window.ForgeDelegation = ForgeDelegation;
+window.ForgeTrace = ForgeTrace;
@@ -0,0 +1,146 @@
+<?php
+/**
+ * Agent Discovery
+ *
+ * Finds the agents the UI offers: the framework agent, its sub-agents in
+ * framework/agents/ and the agents in workspace/agents/, each a directory
+ * with an agent.json.
+ *
+ * Used by agents.php (the agent list), the standards linter's callers and
+ * the validate_agent tool, so they all see the same agents.
+ */
+
+/**
+ * Scan the framework and workspace for agents
+ */
+function scanAllAgents(): array
+{
+    $agents = [];
+
+    // Scan framework directory for agents
+    if (defined('FRAMEWORK_DIRECTORY') && is_dir(FRAMEWORK_DIRECTORY)) {
+        $frameworkAgent = scanAgent(FRAMEWORK_DIRECTORY, 'framework');
+        if ($frameworkAgent) {
+            $agents[] = $frameworkAgent;
+        }
+
+        // Check for sub-agents in framework
+        $frameworkAgentsDir = FRAMEWORK_DIRECTORY . '/agents';
+        if (is_dir($frameworkAgentsDir)) {
+            $subAgents = scanAgentsDirectory($frameworkAgentsDir, 'framework');
+            $agents = array_merge($agents, $subAgents);
+        }
+    }
+
+    // Scan workspace/agents directory
+    if (defined('WORKSPACE_DIRECTORY')) {
+        $workspaceAgentsDir = WORKSPACE_DIRECTORY . '/agents';
+        if (is_dir($workspaceAgentsDir)) {
+            $workspaceAgents = scanAgentsDirectory($workspaceAgentsDir, 'workspace');
+            $agents = array_merge($agents, $workspaceAgents);
+        }
+    }
+
+    return $agents;
+}
+
+/**
+ * Scan a directory for agents (each subdirectory with agent.json)
+ */
+function scanAgentsDirectory(string $directory, string $source): array
+{
+    $agents = [];
+
+    $items = scandir($directory);
+    foreach ($items as $item) {
+        if ($item === '.' || $item === '..') continue;
+
+        $agentDir = $directory . '/' . $item;
+        if (is_dir($agentDir)) {
+            $agent = scanAgent($agentDir, $source);
+            if ($agent) {
+                $agents[] = $agent;
+            }
+        }
+    }
+
+    return $agents;
+}
+
+/**
+ * Scan a single agent directory and return agent info
+ */
+function scanAgent(string $agentDir, string $source): ?array
+{
+    $agentJsonPath = $agentDir . '/agent.json';
+
+    if (!file_exists($agentJsonPath)) {
+        return null;
+    }
+
+    $content = file_get_contents($agentJsonPath);
+    $data = json_decode($content, true);
+
+    if (!$data) {
+        return null;
+    }
+
+    // Build agent info
+    $agent = [
+        'id' => $data['name'] ?? basename($agentDir),
+        'name' => $data['displayName'] ?? $data['name'] ?? basename($agentDir),
+        'description' => $data['description'] ?? '',
+        'version' => $data['version'] ?? '1.0.0',
+        'role' => $data['role'] ?? null,
+        'personality' => $data['personality'] ?? null,
+        'source' => $source,
+        'path' => $agentDir,
+        'hasClaudeMd' => file_exists($agentDir . '/CLAUDE.md'),
+        'skillCount' => count($data['skills'] ?? []),
+        // Skills without an id (the schema requires one, older agents lack it)
+        // go by their name, so their triggers still count for routing
+        'skills' => array_values(array_map(function ($skill) {
+            $id = !empty($skill['id']) ? $skill['id'] : $skill['name'];
+            return [
+                'id' => $id,
+                'name' => $skill['name'] ?? $id,
+                'description' => $skill['description'] ?? '',
+                'triggers' => array_values(array_filter((array) ($skill['triggers'] ?? []), 'is_string'))
+            ];
+        }, array_filter($data['skills'] ?? [], function ($skill) {
+            return is_array($skill) && (!empty($skill['id']) || (is_string($skill['name'] ?? null) && $skill['name'] !== ''));
+        }))),
+        'signals' => array_values(array_filter((array) ($data['signals'] ?? []), 'is_string')),
+        'modelSettings' => $data['modelSettings'] ?? null
+    ];
+
+    // Generate a short intro from description and personality
+    $agent['intro'] = generateIntro($agent);
+
+    return $agent;
+}
+
+/**
+ * Generate a short introduction for the agent
+ */
+function generateIntro(array $agent): string
+{
+    $name = $agent['name'];
+    $desc = $agent['description'];
+    $role = $agent['role'] ?? null;
+    $personality = $agent['personality'] ?? null;
+
+    $intro = "I'm {$name}";
+
+    if ($role) {
+        $intro .= ", your {$role}";
+    }
+
+    $intro .= ". " . $desc;
+
+    if ($personality) {
+        $intro .= " " . $personality;
+    }
+
+    return $intro;
+}
@@ -0,0 +1,196 @@
+<?php
+/**
+ * Files API (read-only)
+ *
+ * Browses the framework and workspace trees for the sidebar file panel.
+ * Paths are relative to the chosen root and resolved with the same rules
+ * as the file tools: the workspace the way writes are, the framework the
+ * way reads fall back to it. Nothing outside the two roots is served.
+ *
+ * Endpoints:
+ *   GET /files.php?root=workspace&path=dir     - List a directory
+ *   GET /files.php?root=framework&path=file    - Read a file (text preview)
+ *   GET /files.php?root=workspace&q=term       - Find files whose path contains term
+ */
+
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/tools.php';
+
+header('Content-Type: application/json');
+
+// Largest file sent for preview (bytes)
+const PREVIEW_MAX_BYTES = 256 * 1024;
+
+// Most matches returned by a search, and most entries it looks at
+const SEARCH_MAX_RESULTS = 50;
+const SEARCH_MAX_SCANNED = 20000;
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    http_response_code(405);
+    echo json_encode(['success' => false, 'error' => 'Method not allowed']);
+    exit;
+}
+
+$root = $_GET['root'] ?? '';
+$path = trim(str_replace('\\', '/', $_GET['path'] ?? ''), '/');
+
+$resolved = resolveBrowsePath($root, $path);
+if ($resolved === null) {
+    http_response_code(404);
+    echo json_encode(['success' => false, 'error' => 'Not found']);
+    exit;
+}
+
+if (isset($_GET['q'])) {
+    echo json_encode(searchBrowsePaths($resolved, $path, trim($_GET['q'])));
+    exit;
+}
+
+// Invalid UTF-8 (e.g. a cut-off multibyte character) must not fail the response
+echo json_encode(is_dir($resolved)
+    ? listBrowseDirectory($resolved, $path)
+    : readBrowseFile($resolved, $path), JSON_INVALID_UTF8_SUBSTITUTE);
+
+/**
+ * Resolve a root-relative path, or null if it is missing or escapes the root
+ */
+function resolveBrowsePath(string $root, string $path): ?string
+{
+    if (isAbsolutePath($path)) {
+        return null;
+    }
+
+    if ($root === 'workspace' && defined('WORKSPACE_DIRECTORY') && WORKSPACE_DIRECTORY !== '') {
+        $base = WORKSPACE_DIRECTORY;
+        $target = $path === '' ? $base : resolveWritePath($path);
+    } elseif ($root === 'framework' && defined('FRAMEWORK_DIRECTORY') && FRAMEWORK_DIRECTORY !== '') {
+        $base = FRAMEWORK_DIRECTORY;
+        $target = $path === '' ? $base : $base . DIRECTORY_SEPARATOR . $path;
+    } else {
+        return null;
+    }
+
+    $realBase = realpath($base);
+    $realTarget = realpath($target);
+    if ($realBase === false || $realTarget === false) {
+        return null;
+    }
+
+    if ($realTarget !== $realBase && strpos($realTarget, $realBase . DIRECTORY_SEPARATOR) !== 0) {
+        return null;
+    }
+
+    return $realTarget;
+}
+
+/**
+ * List a directory: folders first, then files, hidden entries skipped
+ */
+function listBrowseDirectory(string $directory, string $path): array
+{
+    $entries = [];
+
+    foreach (scandir($directory) ?: [] as $name) {
+        if ($name[0] === '.') {
+            continue;
+        }
+
+        $fullPath = $directory . DIRECTORY_SEPARATOR . $name;
+        $isDir = is_dir($fullPath);
+        $entries[] = [
+            'name' => $name,
+            'path' => ltrim($path . '/' . $name, '/'),
+            'type' => $isDir ? 'directory' : 'file',
+            'size' => $isDir ? null : filesize($fullPath),
+            'modified' => filemtime($fullPath)
+        ];
+    }
+
+    usort($entries, function ($a, $b) {
+        if ($a['type'] !== $b['type']) {
+            return $a['type'] === 'directory' ? -1 : 1;
+        }
+        return strcasecmp($a['name'], $b['name']);
+    });
+
+    return [
+        'success' => true,
+        'type' => 'directory',
+        'path' => $path,
+        'entries' => $entries
+    ];
+}
+
+/**
+ * Find files below a directory whose relative path contains the query
+ * (case-insensitive; hidden files and folders are skipped)
+ * Every match among the scanned entries is ranked, shortest path first,
+ * before the list is cut to SEARCH_MAX_RESULTS.
+ */
+function searchBrowsePaths(string $directory, string $path, string $query): array
+{
+    $iterator = new RecursiveIteratorIterator(
+        new RecursiveCallbackFilterIterator(
+            new RecursiveDirectoryIterator($directory, RecursiveDirectoryIterator::SKIP_DOTS),
+            function ($file) {
+                return $file->getFilename()[0] !== '.';
+            }
+        )
+    );
+
+    $matches = [];
+    $scanned = 0;
+    foreach ($iterator as $file) {
+        if (++$scanned > SEARCH_MAX_SCANNED) {
+            break;
+        }
+
+        $relative = ltrim($path . '/' . str_replace('\\', '/', substr($file->getPathname(), strlen($directory) + 1)), '/');
+        if ($query === '' || stripos($relative, $query) !== false) {
+            $matches[$relative] = $file;
+        }
+    }
+
+    uksort($matches, function ($a, $b) {
+        return strlen($a) - strlen($b) ?: strcmp($a, $b);
+    });
+
+    $entries = [];
+    foreach (array_slice($matches, 0, SEARCH_MAX_RESULTS, true) as $relative => $file) {
+        $entries[] = [
+            'name' => $file->getFilename(),
+            'path' => (string) $relative,
+            'type' => 'file',
+            'size' => $file->getSize()
+        ];
+    }
+
+    return [
+        'success' => true,
+        'type' => 'search',
+        'path' => $path,
+        'query' => $query,
+        'entries' => $entries
+    ];
+}
+
+/**
+ * Read a file for preview (binary files and the tail of large ones are left out)
+ */
+function readBrowseFile(string $file, string $path): array
+{
+    $size = filesize($file);
+    $content = (string) file_get_contents($file, false, null, 0, PREVIEW_MAX_BYTES);
+    $binary = strpos(substr($content, 0, 8000), "\0") !== false;
+
+    return [
+        'success' => true,
+        'type' => 'file',
+        'path' => $path,
+        'size' => $size,
+        'modified' => filemtime($file),
+        'binary' => $binary,
+        'truncated' => !$binary && $size > PREVIEW_MAX_BYTES,
+        'content' => $binary ? null : $content
+    ];
+}
@@ -7,6 +7,8 @@
  * Endpoints:
  *   GET    /history.php           - List all conversations
  *   GET    /history.php?id=xxx    - Load specific conversation
+ *   GET    /history.php?q=xxx     - Search conversations
+ *                                   (optional: &agent=id&from=YYYY-MM-DD&to=YYYY-MM-DD)
  *   POST   /history.php           - Save/update conversation
  *   DELETE /history.php?id=xxx    - Delete conversation
  */
@@ -28,6 +30,14 @@ switch ($method) {
         if (isset($_GET['id'])) {
             // Load specific conversation
             loadConversation($_GET['id'], $historyDir);
+        } elseif (isset($_GET['q']) || isset($_GET['agent']) || isset($_GET['from']) || isset($_GET['to'])) {
+            // Search conversations
+            searchConversations($historyDir, [
+                'q' => trim($_GET['q'] ?? ''),
+                'agent' => $_GET['agent'] ?? '',
+                'from' => $_GET['from'] ?? '',
+                'to' => $_GET['to'] ?? ''
+            ]);
         } else {
             // List all conversations
             listConversations($historyDir);
@@ -87,6 +97,95 @@ function listConversations(string $historyDir): void {
     ]);
 }
 
+/**
+ * Search conversations by message text, agent and date range
+ * Every search term must appear in a message for it to match.
+ */
+function searchConversations(string $historyDir, array $filters, int $maxResults = 50, int $maxMatches = 3): void {
+    $terms = array_values(array_filter(preg_split('/\s+/u', $filters['q']), 'strlen'));
+    $from = $filters['from'] !== '' ? strtotime($filters['from'] . ' 00:00:00') : false;
+    $to = $filters['to'] !== '' ? strtotime($filters['to'] . ' 23:59:59') : false;
+    $results = [];
+
+    foreach (glob($historyDir . '/*.json') as $file) {
+        $data = json_decode(file_get_contents($file), true);
+        if (!$data) {
+            continue;
+        }
+
+        $updated = $data['updated'] ?? filemtime($file);
+        if (($from !== false && $updated < $from) || ($to !== false && $updated > $to)) {
+            continue;
+        }
+        if ($filters['agent'] !== '' && ($data['agentId'] ?? '') !== $filters['agent']) {
+            continue;
+        }
+
+        $matches = [];
+        $matchCount = 0;
+        if (!empty($terms)) {
+            foreach ($data['messages'] ?? [] as $index => $msg) {
+                $text = messageText($msg['content'] ?? '');
+
+                foreach ($terms as $term) {
+                    if (!preg_match('/' . preg_quote($term, '/') . '/iu', $text)) {
+                        continue 2;
+                    }
+                }
+
+                $matchCount++;
+                if (count($matches) < $maxMatches) {
+                    $matches[] = [
+                        'index' => $index,
+                        'role' => $msg['role'] ?? 'user',
+                        'snippet' => searchSnippet($text, $terms[0])
+                    ];
+                }
+            }
+
+            if ($matchCount === 0) {
+                continue;
+            }
+        }
+
+        $results[] = [
+            'id' => $data['id'] ?? basename($file, '.json'),
+            'title' => $data['title'] ?? 'Untitled',
+            'agentId' => $data['agentId'] ?? null,
+            'updated' => $updated,
+            'matchCount' => $matchCount,
+            'matches' => $matches
+        ];
+    }
+
+    // Newest first
+    usort($results, function($a, $b) {
+        return $b['updated'] - $a['updated'];
+    });
+
+    echo json_encode([
+        'success' => true,
+        'results' => array_slice($results, 0, $maxResults)
+    ]);
+}
+
+/**
+ * Cut a snippet of text around the first occurrence of a term
+ */
+function searchSnippet(string $text, string $term, int $radius = 60): string {
+    $text = preg_replace('/\s+/u', ' ', $text);
+
+    if (!preg_match('/.{0,' . $radius . '}' . preg_quote($term, '/') . '.{0,' . $radius . '}/iu', $text, $match, PREG_OFFSET_CAPTURE)) {
+        return truncateTitle($text, $radius * 2);
+    }
+
+    [$snippet, $offset] = $match[0];
+    $prefix = $offset > 0 ? '...' : '';
+    $suffix = $offset + strlen($snippet) < strlen($text) ? '...' : '';
+
+    return $prefix . trim($snippet) . $suffix;
+}
+
 /**
  * Load a specific conversation
  */
@@ -142,8 +241,9 @@ function saveConversation(string $historyDir): void {
     // Generate title from first user message if not set
     if (empty($data['title']) && !empty($data['messages'])) {
         foreach ($data['messages'] as $msg) {
-            if (($msg['role'] ?? '') === 'user') {
-                $data['title'] = truncateTitle($msg['content'] ?? 'New conversation');
+            $text = messageText($msg['content'] ?? '');
+            if (($msg['role'] ?? '') === 'user' && trim($text) !== '') {
+                $data['title'] = truncateTitle($text);
                 break;
             }
         }
@@ -210,6 +310,25 @@ function sanitizeFilename(string $filename): string {
     return preg_replace('/[^a-zA-Z0-9_-]/', '', $filename);
 }
 
+/**
+ * Get the plain text of a message's content
+ * (a string, or an array of content blocks)
+ */
+function messageText($content): string {
+    if (is_string($content)) {
+        return $content;
+    }
+
+    $parts = [];
+    foreach ((array) $content as $block) {
+        if (($block['type'] ?? '') === 'text') {
+            $parts[] = $block['text'] ?? '';
+        }
+    }
+
+    return implode("\n", $parts);
+}
+
 /**
  * Truncate title to reasonable length
  */
@@ -17,6 +17,9 @@ $info = [
     'workspaceDirectory' => defined('WORKSPACE_DIRECTORY') ? basename(WORKSPACE_DIRECTORY) : '',
     'workingDirectory' => defined('FRAMEWORK_DIRECTORY') ? basename(FRAMEWORK_DIRECTORY) : '', // legacy
     'skills' => [],
+    // Model defaults (agents and conversations can override them)
+    'model' => defined('ANTHROPIC_MODEL') ? ANTHROPIC_MODEL : '',
+    'maxTokens' => defined('MAX_TOKENS') ? MAX_TOKENS : null,
 ];
 
 // Load skills from framework's agent.json if it exists
@@ -0,0 +1,52 @@
+<?php
+/**
+ * Save to Workspace API
+ *
+ * Writes a code block from the chat into the workspace, using the same
+ * path rules as the write_file tool (framework files are never modified,
+ * and paths that leave the workspace are rejected).
+ *
+ * Endpoints:
+ *   POST /save.php    - Save file ({path, content})
+ */
+
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/tools.php';
+
+header('Content-Type: application/json');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    http_response_code(405);
+    echo json_encode(['success' => false, 'error' => 'Method not allowed']);
+    exit;
+}
+
+// JSON only, so a cross-origin form or plain-text POST cannot write files
+if (stripos($_SERVER['CONTENT_TYPE'] ?? '', 'application/json') !== 0) {
+    http_response_code(415);
+    echo json_encode(['success' => false, 'error' => 'Content-Type must be application/json']);
+    exit;
+}
+
+$input = json_decode(file_get_contents('php://input'), true);
+$path = is_array($input) && is_string($input['path'] ?? null) ? trim($input['path']) : '';
+
+if ($path === '' || !isset($input['content']) || !is_string($input['content'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing path or content']);
+    exit;
+}
+
+if (!isWorkspacePath(resolveWritePath($path))) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Path is outside the workspace']);
+    exit;
+}
+
+$result = executeWriteFile(['path' => $path, 'content' => $input['content']]);
+
+if (!$result['success']) {
+    http_response_code(500);
+}
+
+echo json_encode($result);
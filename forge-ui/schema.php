@@ -0,0 +1,183 @@
+<?php
+/**
+ * JSON Schema Validation
+ *
+ * Checks data against the framework's bundled schemas
+ * (knowledge/schemas/*.schema.json). Supports the draft-07 keywords those
+ * schemas use: type, required, properties, additionalProperties, items,
+ * enum, const, pattern, minimum, maximum, minLength, minItems, oneOf,
+ * anyOf and local $ref. "format" is not checked.
+ *
+ * Data must be decoded with json_decode($json) (objects, not associative
+ * arrays) so that {} and [] stay distinguishable.
+ */
+
+/**
+ * Load a bundled schema by name (e.g. "agent"), or null if missing
+ */
+function loadSchema(string $name): ?array
+{
+    if (!defined('FRAMEWORK_DIRECTORY') || !preg_match('/^[a-z-]+$/', $name)) {
+        return null;
+    }
+
+    $path = FRAMEWORK_DIRECTORY . '/knowledge/schemas/' . $name . '.schema.json';
+    if (!file_exists($path)) {
+        return null;
+    }
+
+    $schema = json_decode(file_get_contents($path), true);
+    return is_array($schema) ? $schema : null;
+}
+
+/**
+ * Validate data against a schema
+ * Returns a list of errors like "skills[0].id: must match ^[a-z][a-z0-9-]*$".
+ */
+function validateSchema($data, array $schema, ?array $root = null, string $path = ''): array
+{
+    $root = $root ?? $schema;
+    $where = $path === '' ? '(root)' : $path;
+
+    if (isset($schema['$ref'])) {
+        $target = resolveSchemaRef($schema['$ref'], $root);
+        if ($target === null) {
+            return ["{$where}: unknown \$ref {$schema['$ref']}"];
+        }
+        return validateSchema($data, $target, $root, $path);
+    }
+
+    if (isset($schema['type'])) {
+        $types = (array) $schema['type'];
+        $actual = schemaType($data);
+        $matches = in_array($actual, $types, true) || ($actual === 'integer' && in_array('number', $types, true));
+        if (!$matches) {
+            return ["{$where}: must be " . implode(' or ', $types) . ", got {$actual}"];
+        }
+    }
+
+    $errors = [];
+
+    if (isset($schema['enum']) && !in_array($data, $schema['enum'], true)) {
+        $errors[] = "{$where}: must be one of " . implode(', ', array_map('json_encode', $schema['enum']));
+    }
+    if (array_key_exists('const', $schema) && $data !== $schema['const']) {
+        $errors[] = "{$where}: must be " . json_encode($schema['const']);
+    }
+
+    if (is_string($data)) {
+        if (isset($schema['pattern']) && !preg_match('/' . str_replace('/', '\/', $schema['pattern']) . '/u', $data)) {
+            $errors[] = "{$where}: must match {$schema['pattern']}";
+        }
+        if (isset($schema['minLength']) && strlen($data) < $schema['minLength']) {
+            $errors[] = "{$where}: must be at least {$schema['minLength']} characters";
+        }
+    }
+
+    if (is_int($data) || is_float($data)) {
+        if (isset($schema['minimum']) && $data < $schema['minimum']) {
+            $errors[] = "{$where}: must be at least {$schema['minimum']}";
+        }
+        if (isset($schema['maximum']) && $data > $schema['maximum']) {
+            $errors[] = "{$where}: must be at most {$schema['maximum']}";
+        }
+    }
+
+    if (is_array($data)) {
+        if (isset($schema['minItems']) && count($data) < $schema['minItems']) {
+            $errors[] = "{$where}: must have at least {$schema['minItems']} items";
+        }
+        if (isset($schema['items']) && is_array($schema['items'])) {
+            foreach ($data as $index => $item) {
+                $errors = array_merge($errors, validateSchema($item, $schema['items'], $root, "{$path}[{$index}]"));
+            }
+        }
+    }
+
+    if (is_object($data)) {
+        foreach ($schema['required'] ?? [] as $property) {
+            if (!property_exists($data, $property)) {
+                $errors[] = ($path === '' ? $property : "{$path}.{$property}") . ': is required';
+            }
+        }
+
+        $properties = $schema['properties'] ?? [];
+        foreach (get_object_vars($data) as $property => $value) {
+            $propertyPath = $path === '' ? $property : "{$path}.{$property}";
+
+            if (isset($properties[$property])) {
+                $errors = array_merge($errors, validateSchema($value, $properties[$property], $root, $propertyPath));
+            } elseif (($schema['additionalProperties'] ?? true) === false) {
+                $errors[] = "{$propertyPath}: is not allowed";
+            } elseif (is_array($schema['additionalProperties'] ?? null)) {
+                $errors = array_merge($errors, validateSchema($value, $schema['additionalProperties'], $root, $propertyPath));
+            }
+        }
+    }
+
+    foreach (['oneOf', 'anyOf'] as $keyword) {
+        if (!isset($schema[$keyword])) {
+            continue;
+        }
+
+        $passing = 0;
+        foreach ($schema[$keyword] as $option) {
+            if (empty(validateSchema($data, $option, $root, $path))) {
+                $passing++;
+            }
+        }
+
+        if ($passing === 0 || ($keyword === 'oneOf' && $passing > 1)) {
+            $errors[] = "{$where}: must match " . ($keyword === 'oneOf' ? 'exactly one' : 'at least one') . ' of the allowed shapes';
+        }
+    }
+
+    return $errors;
+}
+
+/**
+ * Resolve a local reference such as "#/definitions/location"
+ */
+function resolveSchemaRef(string $ref, array $root): ?array
+{
+    if (strpos($ref, '#') !== 0) {
+        return null;
+    }
+
+    $node = $root;
+    foreach (array_filter(explode('/', substr($ref, 1)), 'strlen') as $key) {
+        $key = str_replace(['~1', '~0'], ['/', '~'], $key);
+        if (!is_array($node) || !array_key_exists($key, $node)) {
+            return null;
+        }
+        $node = $node[$key];
+    }
+
+    return is_array($node) ? $node : null;
+}
+
+/**
+ * Get the JSON Schema type name of a decoded value
+ */
+function schemaType($value): string
+{
+    if (is_object($value)) {
+        return 'object';
+    }
+    if (is_array($value)) {
+        return 'array';
+    }
+    if (is_string($value)) {
+        return 'string';
+    }
+    if (is_int($value)) {
+        return 'integer';
+    }
+    if (is_float($value)) {
+        return floor($value) === $value ? 'integer' : 'number';
+    }
+    if (is_bool($value)) {
+        return 'boolean';
+    }
+    return 'null';
+}
@@ -0,0 +1,234 @@
+<?php
+/**
+ * Standards Linter
+ *
+ * Checks agent directories against the framework's schemas
+ * (knowledge/schemas/) and the structural rules in its standards docs:
+ * the system prompt and knowledge paths resolve, spans are named
+ * {agent}.{operation}, skills are routable, and delegation targets exist.
+ *
+ * Used by agents.php (compliance badges and reports) and by the
+ * validate_agent tool, on the agents discovery.php finds.
+ */
+
+require_once __DIR__ . '/schema.php';
+
+/**
+ * Lint agent directories, loading the agent schema once
+ * $knownAgents are the agent names delegation targets may use.
+ * Returns a report per directory, in order.
+ */
+function lintAgentDirectories(array $directories, array $knownAgents): array
+{
+    $schema = loadSchema('agent');
+
+    return array_map(function ($agentDir) use ($knownAgents, $schema) {
+        return lintAgent($agentDir, $knownAgents, $schema);
+    }, array_values($directories));
+}
+
+/**
+ * Lint one agent directory against the agent schema (null: not checked)
+ *
+ * Returns ['agent', 'path', 'status' => pass|warn|fail, 'errors', 'warnings',
+ * 'issues' => [['level' => error|warning, 'rule', 'message'], ...]].
+ */
+function lintAgent(string $agentDir, array $knownAgents, ?array $schema): array
+{
+    $issues = [];
+    $add = function (string $level, string $rule, string $message) use (&$issues) {
+        $issues[] = ['level' => $level, 'rule' => $rule, 'message' => $message];
+    };
+
+    $agentJsonPath = $agentDir . '/agent.json';
+    $agent = file_exists($agentJsonPath) ? json_decode(file_get_contents($agentJsonPath)) : null;
+
+    if (!is_object($agent)) {
+        $add('error', 'agent-json', file_exists($agentJsonPath) ? 'agent.json is not valid JSON' : 'agent.json is missing');
+        return buildLintReport(basename($agentDir), $agentDir, $issues);
+    }
+
+    $name = is_string($agent->name ?? null) ? $agent->name : basename($agentDir);
+
+    // Schema
+    if ($schema === null) {
+        $add('warning', 'schema', 'agent.schema.json not found in the framework; schema not checked');
+    } else {
+        foreach (validateSchema($agent, $schema) as $error) {
+            $add('error', 'schema', $error);
+        }
+    }
+
+    if (!preg_match('/^[a-z][a-z0-9-]*$/', $name)) {
+        $add('error', 'name', "name '{$name}' should be lowercase letters, digits and hyphens");
+    } elseif (basename(dirname($agentDir)) === 'agents' && basename($agentDir) !== $name) {
+        $add('warning', 'name', "name '{$name}' does not match its folder '" . basename($agentDir) . "'");
+    }
+
+    // Invocation paths resolve
+    $invocation = is_object($agent->invocation ?? null) ? $agent->invocation : new stdClass();
+    if (is_string($invocation->systemPrompt ?? null)) {
+        if (!is_file(resolveAgentPath($agentDir, $invocation->systemPrompt))) {
+            $add('error', 'system-prompt', "System prompt {$invocation->systemPrompt} not found");
+        }
+    } elseif (!is_file($agentDir . '/CLAUDE.md')) {
+        // api.php falls back to a prompt built from agent.json
+        $add('warning', 'system-prompt', 'No CLAUDE.md; the system prompt is built from agent.json');
+    }
+
+    if (is_string($invocation->knowledgePath ?? null) && !is_dir(resolveAgentPath($agentDir, $invocation->knowledgePath))) {
+        $add('error', 'knowledge-path', "Knowledge path {$invocation->knowledgePath} does not exist");
+    }
+
+    if (is_string($invocation->mcpConfig ?? null) && !is_file(resolveAgentPath($agentDir, $invocation->mcpConfig))) {
+        $add('error', 'mcp-config', "MCP config {$invocation->mcpConfig} not found");
+    }
+
+    $knowledgeFiles = $agent->dependencies->knowledge ?? [];
+    foreach (is_array($knowledgeFiles) ? $knowledgeFiles : [] as $file) {
+        if (is_string($file) && !file_exists(resolveAgentPath($agentDir, $file))) {
+            $add('warning', 'knowledge-path', "Required knowledge file {$file} not found");
+        }
+    }
+
+    // Observability: spans are named {agent}.{operation}
+    $observability = $agent->observability ?? null;
+    if (!is_object($observability)) {
+        $add('warning', 'observability', 'No observability block (traceEnabled, spanName)');
+    } elseif (is_string($observability->spanName ?? null)) {
+        if (!preg_match('/^' . preg_quote($name, '/') . '\.[a-z][a-z0-9_-]*$/', $observability->spanName)) {
+            $add('error', 'span-name', "spanName '{$observability->spanName}' should be {$name}.{operation}");
+        }
+    } elseif (($observability->traceEnabled ?? true) === true) {
+        $add('warning', 'span-name', "Tracing is on but there is no spanName (expected {$name}.{operation})");
+    }
+
+    // Skills are routable
+    $skills = is_array($agent->skills ?? null) ? $agent->skills : [];
+    if (empty($skills)) {
+        $add('warning', 'skills', 'No skills declared, so nothing can route to this agent by skill');
+    }
+
+    $seen = [];
+    foreach ($skills as $skill) {
+        $id = is_object($skill) && is_string($skill->id ?? null) ? $skill->id : null;
+        if ($id === null) {
+            continue;
+        }
+        if (isset($seen[$id])) {
+            $add('error', 'skills', "Skill id '{$id}' is used more than once");
+        }
+        $seen[$id] = true;
+
+        if (empty($skill->triggers)) {
+            $add('warning', 'skills', "Skill '{$id}' has no triggers");
+        }
+    }
+
+    // Coordination: delegation targets exist
+    $delegates = is_array($agent->dependencies->agents ?? null) ? $agent->dependencies->agents : [];
+    if (($agent->coordination->canDelegate ?? false) === true && empty($delegates)) {
+        $add('warning', 'coordination', 'canDelegate is true but dependencies.agents lists no agents');
+    }
+
+    foreach ($delegates as $delegate) {
+        if (is_string($delegate) && !in_array($delegate, $knownAgents, true)) {
+            $add('warning', 'coordination', "Delegates to unknown agent '{$delegate}'");
+        }
+    }
+
+    // Orchestrators: the agent registry matches its schema
+    $registryPath = $agentDir . '/reference/agent-registry.json';
+    if (file_exists($registryPath)) {
+        foreach (lintRegistry($registryPath) as $issue) {
+            $issues[] = $issue;
+        }
+    }
+
+    return buildLintReport($name, $agentDir, $issues);
+}
+
+/**
+ * Lint an agent registry (reference/agent-registry.json)
+ */
+function lintRegistry(string $registryPath): array
+{
+    $registry = json_decode(file_get_contents($registryPath));
+    if (!is_object($registry)) {
+        return [['level' => 'error', 'rule' => 'registry', 'message' => 'agent-registry.json is not valid JSON']];
+    }
+
+    $issues = [];
+    $schema = loadSchema('registry');
+    foreach ($schema !== null ? validateSchema($registry, $schema) : [] as $error) {
+        $issues[] = ['level' => 'error', 'rule' => 'registry', 'message' => "agent-registry.json {$error}"];
+    }
+
+    // skillIndex must point at registered agents
+    $agents = is_object($registry->agents ?? null) ? get_object_vars($registry->agents) : [];
+    foreach (get_object_vars(is_object($registry->skillIndex ?? null) ? $registry->skillIndex : new stdClass()) as $skill => $agent) {
+        if (is_string($agent) && !isset($agents[$agent])) {
+            $issues[] = ['level' => 'error', 'rule' => 'registry', 'message' => "skillIndex '{$skill}' points at unregistered agent '{$agent}'"];
+        }
+    }
+
+    return $issues;
+}
+
+/**
+ * Resolve a path from agent.json ("./CLAUDE.md") against the agent directory
+ */
+function resolveAgentPath(string $agentDir, string $path): string
+{
+    if (strpos($path, '/') === 0 || preg_match('/^[A-Za-z]:/', $path)) {
+        return $path;
+    }
+
+    return $agentDir . '/' . preg_replace('#^\./#', '', $path);
+}
+
+/**
+ * Get the agent name declared in a directory's agent.json (or the folder name)
+ */
+function getAgentDirectoryName(string $agentDir): string
+{
+    $agentJsonPath = $agentDir . '/agent.json';
+    $data = is_file($agentJsonPath) ? json_decode(file_get_contents($agentJsonPath), true) : null;
+    return is_string($data['name'] ?? null) ? $data['name'] : basename($agentDir);
+}
+
+/**
+ * Summarize issues into a report
+ */
+function buildLintReport(string $name, string $agentDir, array $issues): array
+{
+    $errors = count(array_filter($issues, function ($issue) {
+        return $issue['level'] === 'error';
+    }));
+    $warnings = count($issues) - $errors;
+
+    return [
+        'agent' => $name,
+        'path' => $agentDir,
+        'status' => $errors > 0 ? 'fail' : ($warnings > 0 ? 'warn' : 'pass'),
+        'errors' => $errors,
+        'warnings' => $warnings,
+        'issues' => $issues
+    ];
+}
+
+/**
+ * Format a report as text (for the validate_agent tool)
+ */
+function formatLintReport(array $report): string
+{
+    $labels = ['pass' => 'PASS', 'warn' => 'WARN', 'fail' => 'FAIL'];
+    $output = "{$labels[$report['status']]} {$report['agent']} ({$report['path']}): "
+        . "{$report['errors']} error(s), {$report['warnings']} warning(s)\n";
+
+    foreach ($report['issues'] as $issue) {
+        $output .= "  [{$issue['level']}] {$issue['rule']}: {$issue['message']}\n";
+    }
+
+    return $output;
+}
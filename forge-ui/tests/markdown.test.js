@@ -0,0 +1,32 @@
+/**
+ * ForgeMarkdown regression tests
+ *
+ * Run from forge-ui/: node --test tests/
+ * app.js is loaded into a bare context (no DOM needed to render Markdown).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = { window: {}, document: { addEventListener() {} } };
+vm.createContext(context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8'), context);
+const { ForgeMarkdown } = context.window;
+
+test('restores nested placeholders in link labels', () => {
+    assert.strictEqual(
+        ForgeMarkdown.renderInline('[`code` **bold**](http://x)'),
+        '<a href="http://x" target="_blank" rel="noopener noreferrer"><code>code</code> <strong>bold</strong></a>'
+    );
+});
+
+test('a NUL-delimited index in the text is not a placeholder', () => {
+    const html = ForgeMarkdown.renderInline('[a](http://x\u00000\u0000) and \u00007\u0000');
+
+    assert.ok(!html.includes('\u0000'));
+    assert.ok(!html.includes('undefined'));
+    assert.ok(html.includes('�7�'));
+});
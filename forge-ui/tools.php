@@ -7,6 +7,8 @@
  */
 
 require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/standards.php';
+require_once __DIR__ . '/discovery.php';
 
 /**
  * Get the tool definitions to send to Claude API
@@ -153,10 +155,80 @@ function getToolDefinitions(): array
                 ],
                 'required' => ['path']
             ]
+        ],
+        [
+            'name' => 'validate_agent',
+            'description' => 'Check agents against the framework standards: agent.schema.json, the system prompt and knowledge paths resolving, span names of the form {agent}.{operation}, skill triggers, delegation targets and the agent registry. Returns a report of errors and warnings.',
+            'input_schema' => [
+                'type' => 'object',
+                'properties' => [
+                    'agent' => [
+                        'type' => 'string',
+                        'description' => 'Agent name or path to an agent directory (omit to check every agent)'
+                    ]
+                ]
+            ]
+        ],
+        [
+            // Run by api.php (runDelegatedTask): it needs the chat's tool loop
+            'name' => 'delegate_task',
+            'description' => 'Hand a task to another agent as a taskRequest (knowledge/schemas/task.schema.json). The agent named in routing.target works on it with its own system prompt, model settings and tools, then its answer comes back as a taskResponse (status, result.summary, artifacts, error). Use it when the work matches another agent\'s skills.',
+            'input_schema' => [
+                'type' => 'object',
+                'properties' => [
+                    'id' => [
+                        'type' => 'string',
+                        'description' => 'Unique task ID (UUID recommended)'
+                    ],
+                    'type' => [
+                        'type' => 'string',
+                        'description' => 'The target agent\'s skill ID that handles this task'
+                    ],
+                    'payload' => [
+                        'type' => 'object',
+                        'description' => 'Task input: what to do and everything the agent needs to know (it does not see this conversation)'
+                    ],
+                    'context' => [
+                        'type' => 'object',
+                        'properties' => [
+                            'parentTaskId' => [
+                                'type' => 'string',
+                                'description' => 'ID of the task this one is part of, if any'
+                            ],
+                            'priority' => [
+                                'type' => 'string',
+                                'enum' => ['low', 'normal', 'high', 'urgent']
+                            ]
+                        ]
+                    ],
+                    'routing' => [
+                        'type' => 'object',
+                        'properties' => [
+                            'target' => [
+                                'type' => 'string',
+                                'description' => 'Name of the agent to hand the task to'
+                            ]
+                        ],
+                        'required' => ['target']
+                    ]
+                ],
+                'required' => ['id', 'type', 'payload', 'routing']
+            ]
         ]
     ];
 }
 
+/**
+ * Get the tool definitions an agent is offered
+ * Only agents with coordination.canDelegate get delegate_task.
+ */
+function getAgentToolDefinitions(array $agentConfig): array
+{
+    return array_values(array_filter(getToolDefinitions(), function ($tool) use ($agentConfig) {
+        return $tool['name'] !== 'delegate_task' || !empty($agentConfig['coordination']['canDelegate']);
+    }));
+}
+
 /**
  * Execute a tool and return the result
  */
@@ -180,6 +252,8 @@ function executeTool(string $toolName, array $input): array
                 return executeCommand($input);
             case 'create_directory':
                 return executeCreateDirectory($input);
+            case 'validate_agent':
+                return executeValidateAgent($input);
             default:
                 return [
                     'success' => false,
@@ -194,6 +268,82 @@ function executeTool(string $toolName, array $input): array
     }
 }
 
+/**
+ * Tools that only read and always run without asking
+ */
+function getReadOnlyTools(): array
+{
+    return ['read_file', 'list_directory', 'search_files', 'search_content', 'validate_agent'];
+}
+
+/**
+ * Decide whether a tool call may run
+ *
+ * $permissions holds the agent's "permissions" block from agent.json
+ * ('policy'), tools the user allowed for the session ('sessionAllowed')
+ * and the user's answers keyed by tool use ID ('approvals').
+ *
+ * Returns ['decision' => 'allow'|'deny'|'ask', 'reason' => ...]
+ */
+function getToolPermission(string $toolName, string $toolId, array $permissions): array
+{
+    if (in_array($toolName, getReadOnlyTools(), true)) {
+        return ['decision' => 'allow', 'reason' => 'read-only'];
+    }
+
+    $policy = $permissions['policy'] ?? [];
+
+    if (in_array($toolName, $policy['deny'] ?? [], true)) {
+        return ['decision' => 'deny', 'reason' => 'agent-policy'];
+    }
+
+    $mode = $policy['mode'] ?? (defined('PERMISSION_MODE') ? PERMISSION_MODE : 'ask');
+    if ($mode === 'auto' || in_array($toolName, $policy['allow'] ?? [], true)) {
+        return ['decision' => 'allow', 'reason' => 'agent-policy'];
+    }
+
+    if (in_array($toolName, $permissions['sessionAllowed'] ?? [], true)) {
+        return ['decision' => 'allow', 'reason' => 'session'];
+    }
+
+    $answer = $permissions['approvals'][$toolId] ?? null;
+    if ($answer === 'approve') {
+        return ['decision' => 'allow', 'reason' => 'user'];
+    }
+    if ($answer === 'deny') {
+        return ['decision' => 'deny', 'reason' => 'user'];
+    }
+
+    return ['decision' => 'ask', 'reason' => 'user'];
+}
+
+/**
+ * Append a permission decision to workspace/logs/permissions.jsonl
+ */
+function logToolPermission(string $toolName, array $input, array $permission, ?string $agentId): void
+{
+    if (!defined('WORKSPACE_DIRECTORY') || WORKSPACE_DIRECTORY === '') {
+        return;
+    }
+
+    $logDir = WORKSPACE_DIRECTORY . '/logs';
+    if (!is_dir($logDir)) {
+        mkdir($logDir, 0755, true);
+    }
+
+    $entry = [
+        'timestamp' => date('c'),
+        'agent' => $agentId,
+        'tool' => $toolName,
+        'input' => $input,
+        // A call that reaches execution unanswered was abandoned: treat as denied
+        'decision' => $permission['decision'] === 'allow' ? 'approved' : 'denied',
+        'reason' => $permission['reason']
+    ];
+
+    file_put_contents($logDir . '/permissions.jsonl', json_encode($entry) . "\n", FILE_APPEND | LOCK_EX);
+}
+
 /**
  * Check if a path is absolute
  */
@@ -271,6 +421,39 @@ function resolveWritePath(string $path): string
     return $path;
 }
 
+/**
+ * Check that a resolved write path stays inside the workspace
+ * The target may not exist yet, so its deepest existing parent is
+ * resolved instead (and nothing below that may climb back out).
+ */
+function isWorkspacePath(string $path): bool
+{
+    if (!defined('WORKSPACE_DIRECTORY') || WORKSPACE_DIRECTORY === '') {
+        return false;
+    }
+
+    $realWorkspace = realpath(WORKSPACE_DIRECTORY);
+    if ($realWorkspace === false) {
+        return false;
+    }
+
+    $existing = $path;
+    while (!file_exists($existing)) {
+        if (basename($existing) === '..') {
+            return false;
+        }
+        $parent = dirname($existing);
+        if ($parent === $existing) {
+            return false;
+        }
+        $existing = $parent;
+    }
+
+    $realPath = realpath($existing);
+    return $realPath !== false
+        && ($realPath === $realWorkspace || strpos($realPath, $realWorkspace . DIRECTORY_SEPARATOR) === 0);
+}
+
 /**
  * Legacy function for backwards compatibility
  */
@@ -332,6 +515,15 @@ function executeWriteFile(array $input): array
     $path = resolveWritePath($input['path'] ?? '');
     $content = $input['content'] ?? '';
 
+    if (!isWorkspacePath($path)) {
+        return [
+            'success' => false,
+            'error' => "Path is outside the workspace: {$path}"
+        ];
+    }
+
+    $before = is_file($path) ? file_get_contents($path) : false;
+
     // Create directory if it doesn't exist
     $dir = dirname($path);
     if (!is_dir($dir)) {
@@ -355,7 +547,8 @@ function executeWriteFile(array $input): array
         'success' => true,
         'message' => "Successfully wrote " . strlen($content) . " bytes to {$path}",
         'path' => $path,
-        'bytes' => strlen($content)
+        'bytes' => strlen($content),
+        'diff' => createUnifiedDiff($before === false ? null : $before, $content, $input['path'] ?? '')
     ];
 }
 
@@ -371,6 +564,13 @@ function executeEditFile(array $input): array
     $oldString = $input['old_string'] ?? '';
     $newString = $input['new_string'] ?? '';
 
+    if (!isWorkspacePath($writePath)) {
+        return [
+            'success' => false,
+            'error' => "Path is outside the workspace: {$writePath}"
+        ];
+    }
+
     if (!file_exists($readPath)) {
         return [
             'success' => false,
@@ -424,8 +624,172 @@ function executeEditFile(array $input): array
     return [
         'success' => true,
         'message' => "Successfully edited {$writePath}{$note}",
-        'path' => $writePath
+        'path' => $writePath,
+        'diff' => createUnifiedDiff($content, $newContent, $inputPath)
+    ];
+}
+
+/**
+ * Build a unified diff between two versions of a file
+ * Pass null as $before for a new file. Returned to the UI only;
+ * the model just sees the tool's message.
+ */
+function createUnifiedDiff(?string $before, string $after, string $label, int $context = 3, int $maxLines = 1000): string
+{
+    $ops = diffLines(splitDiffLines($before ?? ''), splitDiffLines($after));
+
+    // Line numbers (1-based) in the old and new file before each op
+    $oldLine = 1;
+    $newLine = 1;
+    $changes = [];
+    foreach ($ops as $i => $op) {
+        $ops[$i][2] = $oldLine;
+        $ops[$i][3] = $newLine;
+        if ($op[0] !== '+') $oldLine++;
+        if ($op[0] !== '-') $newLine++;
+        if ($op[0] !== ' ') $changes[] = $i;
+    }
+
+    if (empty($changes)) {
+        return '';
+    }
+
+    // Group changes whose context would overlap into hunks
+    $ranges = [];
+    foreach ($changes as $i) {
+        $start = max(0, $i - $context);
+        $end = min(count($ops) - 1, $i + $context);
+        if (!empty($ranges) && $start <= $ranges[count($ranges) - 1][1] + 1) {
+            $ranges[count($ranges) - 1][1] = $end;
+        } else {
+            $ranges[] = [$start, $end];
+        }
+    }
+
+    $lines = [
+        '--- ' . ($before === null ? '/dev/null' : $label),
+        '+++ ' . $label
     ];
+
+    foreach ($ranges as [$start, $end]) {
+        $hunk = array_slice($ops, $start, $end - $start + 1);
+        $oldCount = count(array_filter($hunk, fn($op) => $op[0] !== '+'));
+        $newCount = count(array_filter($hunk, fn($op) => $op[0] !== '-'));
+        $oldStart = $oldCount > 0 ? $ops[$start][2] : $ops[$start][2] - 1;
+        $newStart = $newCount > 0 ? $ops[$start][3] : $ops[$start][3] - 1;
+
+        $lines[] = "@@ -{$oldStart},{$oldCount} +{$newStart},{$newCount} @@";
+        foreach ($hunk as $op) {
+            $lines[] = $op[0] . $op[1];
+        }
+    }
+
+    if (count($lines) > $maxLines) {
+        $omitted = count($lines) - $maxLines;
+        $lines = array_slice($lines, 0, $maxLines);
+        $lines[] = "\\ Diff truncated ({$omitted} more lines)";
+    }
+
+    return implode("\n", $lines);
+}
+
+/**
+ * Split file content into lines for diffing
+ */
+function splitDiffLines(string $content): array
+{
+    if ($content === '') {
+        return [];
+    }
+
+    $lines = explode("\n", str_replace("\r\n", "\n", $content));
+    if (end($lines) === '') {
+        array_pop($lines);
+    }
+
+    return $lines;
+}
+
+/**
+ * Diff two arrays of lines (Myers algorithm)
+ * Returns a list of [op, line] where op is ' ', '-' or '+'.
+ * Falls back to replacing the changed region wholesale when the
+ * edit distance is too large to trace cheaply.
+ */
+function diffLines(array $a, array $b, int $maxEdits = 500): array
+{
+    // Common prefix and suffix never need tracing
+    $prefix = 0;
+    while ($prefix < count($a) && $prefix < count($b) && $a[$prefix] === $b[$prefix]) {
+        $prefix++;
+    }
+    $suffix = 0;
+    while ($suffix < count($a) - $prefix && $suffix < count($b) - $prefix
+        && $a[count($a) - 1 - $suffix] === $b[count($b) - 1 - $suffix]) {
+        $suffix++;
+    }
+
+    $head = array_map(fn($line) => [' ', $line], array_slice($a, 0, $prefix));
+    $tail = array_map(fn($line) => [' ', $line], array_slice($a, count($a) - $suffix));
+    $a = array_slice($a, $prefix, count($a) - $prefix - $suffix);
+    $b = array_slice($b, $prefix, count($b) - $prefix - $suffix);
+
+    $n = count($a);
+    $m = count($b);
+    $v = [1 => 0];
+    $trace = [];
+    $found = false;
+
+    for ($d = 0; $d <= min($n + $m, $maxEdits); $d++) {
+        $trace[] = $v;
+        for ($k = -$d; $k <= $d; $k += 2) {
+            if ($k === -$d || ($k !== $d && $v[$k - 1] < $v[$k + 1])) {
+                $x = $v[$k + 1];
+            } else {
+                $x = $v[$k - 1] + 1;
+            }
+            $y = $x - $k;
+            while ($x < $n && $y < $m && $a[$x] === $b[$y]) {
+                $x++;
+                $y++;
+            }
+            $v[$k] = $x;
+            if ($x >= $n && $y >= $m) {
+                $found = true;
+                break 2;
+            }
+        }
+    }
+
+    if (!$found) {
+        $middle = array_merge(
+            array_map(fn($line) => ['-', $line], $a),
+            array_map(fn($line) => ['+', $line], $b)
+        );
+        return array_merge($head, $middle, $tail);
+    }
+
+    // Walk the trace back from the end to recover the edit script
+    $middle = [];
+    $x = $n;
+    $y = $m;
+    for ($d = count($trace) - 1; $d >= 0; $d--) {
+        $v = $trace[$d];
+        $k = $x - $y;
+        $prevK = ($k === -$d || ($k !== $d && $v[$k - 1] < $v[$k + 1])) ? $k + 1 : $k - 1;
+        $prevX = $v[$prevK];
+        $prevY = $prevX - $prevK;
+
+        while ($x > $prevX && $y > $prevY) {
+            $middle[] = [' ', $a[--$x]];
+            $y--;
+        }
+        if ($d > 0) {
+            $middle[] = $x === $prevX ? ['+', $b[--$y]] : ['-', $a[--$x]];
+        }
+    }
+
+    return array_merge($head, array_reverse($middle), $tail);
 }
 
 /**
@@ -676,6 +1040,13 @@ function executeCreateDirectory(array $input): array
 {
     $path = resolveWritePath($input['path'] ?? '');
 
+    if (!isWorkspacePath($path)) {
+        return [
+            'success' => false,
+            'error' => "Path is outside the workspace: {$path}"
+        ];
+    }
+
     if (is_dir($path)) {
         return [
             'success' => true,
@@ -696,3 +1067,48 @@ function executeCreateDirectory(array $input): array
         'path' => $path
     ];
 }
+
+/**
+ * Lint one agent (by name or directory) or every agent against the standards
+ */
+function executeValidateAgent(array $input): array
+{
+    $target = trim($input['agent'] ?? '');
+    $agents = scanAllAgents();
+    $knownAgents = array_column($agents, 'id');
+    $directories = array_column($agents, 'path');
+
+    if ($target !== '') {
+        $matches = array_column(array_filter($agents, function ($agent) use ($target) {
+            return $agent['id'] === $target;
+        }), 'path');
+
+        if (empty($matches)) {
+            $path = rtrim(resolveReadPath($target), '/\\');
+            if (!file_exists($path . '/agent.json')) {
+                return [
+                    'success' => false,
+                    'error' => "No agent named '{$target}' and no agent.json in {$path}"
+                ];
+            }
+            $matches = [$path];
+        }
+        $directories = $matches;
+    }
+
+    $reports = lintAgentDirectories($directories, $knownAgents);
+    $failed = count(array_filter($reports, function ($report) {
+        return $report['status'] === 'fail';
+    }));
+
+    $output = count($reports) . ' agent(s) checked, ' . $failed . " failing\n\n";
+    foreach ($reports as $report) {
+        $output .= formatLintReport($report) . "\n";
+    }
+
+    return [
+        'success' => true,
+        'content' => rtrim($output),
+        'reports' => $reports
+    ];
+}
@@ -0,0 +1,41 @@
+<?php
+/**
+ * Traces API (read-only)
+ *
+ * Serves the OTLP/JSON traces api.php writes to workspace/traces/ for the
+ * UI's trace viewer.
+ *
+ * Endpoints:
+ *   GET /traces.php?id=traceId    - Get one trace
+ */
+
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/tracing.php';
+
+header('Content-Type: application/json');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    http_response_code(405);
+    echo json_encode(['success' => false, 'error' => 'Method not allowed']);
+    exit;
+}
+
+// Trace IDs are 32 hex characters (16 bytes)
+$id = $_GET['id'] ?? '';
+$directory = getTraceDirectory();
+$path = $directory !== null && preg_match('/^[0-9a-f]{32}$/', $id) ? $directory . '/' . $id . '.json' : null;
+
+if ($path === null || !is_file($path)) {
+    http_response_code(404);
+    echo json_encode(['success' => false, 'error' => 'Trace not found']);
+    exit;
+}
+
+$trace = json_decode(file_get_contents($path), true);
+if (!is_array($trace)) {
+    http_response_code(500);
+    echo json_encode(['success' => false, 'error' => 'Trace file is not valid JSON']);
+    exit;
+}
+
+echo json_encode(['success' => true, 'trace' => $trace]);
@@ -0,0 +1,315 @@
+<?php
+/**
+ * Tracing
+ *
+ * Records one trace per chat request following observability.md: a root
+ * span for the request, and child spans for each model call, tool call
+ * and delegated task. Spans are named {agent}.{operation} and carry the
+ * agent's attributes (agent.name, agent.role and observability.attributes
+ * from agent.json).
+ *
+ * Traces are written as OTLP/JSON (the ExportTraceServiceRequest shape
+ * an OTLP collector accepts) to workspace/traces/{traceId}.json. Only the
+ * newest TRACE_RETENTION traces are kept.
+ */
+
+/**
+ * Start the trace for a request, with its root span {agent}.chat
+ * Nothing is recorded when the agent sets observability.traceEnabled to
+ * false or there is no workspace to write to.
+ */
+function startTrace(array $agentConfig, array $attributes = []): void
+{
+    $GLOBALS['trace'] = null;
+
+    if (($agentConfig['observability']['traceEnabled'] ?? true) === false || getTraceDirectory() === null) {
+        return;
+    }
+
+    $GLOBALS['trace'] = [
+        'traceId' => bin2hex(random_bytes(16)),
+        'spans' => [],
+        'open' => []
+    ];
+
+    startSpan('chat', $attributes, $agentConfig);
+
+    // Ends whatever is still open, however the request finishes
+    register_shutdown_function('finishTrace');
+}
+
+/**
+ * Start a child of the innermost open span
+ * Pass an agent's config to switch agents (a delegated task); otherwise
+ * the span belongs to its parent's agent.
+ */
+function startSpan(string $operation, array $attributes = [], ?array $agentConfig = null): void
+{
+    if (empty($GLOBALS['trace'])) {
+        return;
+    }
+
+    $trace = &$GLOBALS['trace'];
+    $parentIndex = end($trace['open']);
+    $parent = $parentIndex !== false ? $trace['spans'][$parentIndex] : null;
+
+    if ($agentConfig !== null) {
+        $agent = $agentConfig['name'] ?? 'agent';
+        $agentAttributes = array_merge(
+            ['agent.name' => $agent, 'agent.role' => $agentConfig['role'] ?? ''],
+            (array) ($agentConfig['observability']['attributes'] ?? [])
+        );
+    } else {
+        $agent = $parent['agent'] ?? 'agent';
+        $agentAttributes = $parent['agentAttributes'] ?? [];
+    }
+
+    $trace['spans'][] = [
+        'spanId' => bin2hex(random_bytes(8)),
+        'parentSpanId' => $parent['spanId'] ?? null,
+        'name' => "{$agent}.{$operation}",
+        'agent' => $agent,
+        'agentAttributes' => $agentAttributes,
+        'start' => microtime(true),
+        'end' => null,
+        'attributes' => array_merge($agentAttributes, $attributes),
+        'events' => [],
+        'error' => null
+    ];
+    $trace['open'][] = count($trace['spans']) - 1;
+}
+
+/**
+ * End the innermost open span
+ * An error (['code', 'message', 'recoverable']) marks it failed and adds
+ * the error.* attributes.
+ */
+function endSpan(array $attributes = [], ?array $error = null): void
+{
+    if (empty($GLOBALS['trace']['open'])) {
+        return;
+    }
+
+    $trace = &$GLOBALS['trace'];
+    $index = array_pop($trace['open']);
+    $span = &$trace['spans'][$index];
+
+    $span['end'] = microtime(true);
+    $span['attributes'] = array_merge($span['attributes'], $attributes);
+
+    if ($error !== null) {
+        $span['error'] = $error['message'] ?? 'Error';
+        $span['attributes'] = array_merge($span['attributes'], array_filter([
+            'error' => true,
+            'error.code' => $error['code'] ?? null,
+            'error.message' => $error['message'] ?? null,
+            'error.recoverable' => $error['recoverable'] ?? null
+        ], function ($value) {
+            return $value !== null;
+        }));
+    }
+}
+
+/**
+ * Add an event (e.g. delegation_started) to the innermost open span
+ */
+function addSpanEvent(string $name, array $attributes = []): void
+{
+    if (empty($GLOBALS['trace']['open'])) {
+        return;
+    }
+
+    $trace = &$GLOBALS['trace'];
+    $trace['spans'][end($trace['open'])]['events'][] = [
+        'name' => $name,
+        'time' => microtime(true),
+        'attributes' => $attributes
+    ];
+}
+
+/**
+ * Set attributes on the root span (e.g. turn.paused)
+ */
+function setTraceAttributes(array $attributes): void
+{
+    if (!empty($GLOBALS['trace']['spans'])) {
+        $GLOBALS['trace']['spans'][0]['attributes'] = array_merge($GLOBALS['trace']['spans'][0]['attributes'], $attributes);
+    }
+}
+
+/**
+ * Mark the request failed (the root span gets the error)
+ */
+function setTraceError(string $message, string $code = 'INTERNAL_ERROR'): void
+{
+    if (!empty($GLOBALS['trace']['spans'])) {
+        $GLOBALS['trace']['failed'] = ['code' => $code, 'message' => $message];
+    }
+}
+
+/**
+ * End the open spans, write the trace and tell the UI its ID
+ * Runs at shutdown, after the request's last event.
+ */
+function finishTrace(): void
+{
+    if (empty($GLOBALS['trace'])) {
+        return;
+    }
+
+    // Spans still open were cut off (Stop, or an error mid-call)
+    while (count($GLOBALS['trace']['open']) > 1) {
+        endSpan([], ['code' => 'CANCELLED', 'message' => 'Did not finish', 'recoverable' => true]);
+    }
+
+    // The request's token totals go on the root span
+    $totals = ['gen_ai.usage.input_tokens' => 0, 'gen_ai.usage.output_tokens' => 0];
+    foreach ($GLOBALS['trace']['spans'] as $span) {
+        foreach ($totals as $key => $total) {
+            $totals[$key] = $total + ($span['attributes'][$key] ?? 0);
+        }
+    }
+    if (connection_aborted()) {
+        $totals['turn.stopped'] = true;
+    }
+    endSpan($totals, $GLOBALS['trace']['failed'] ?? null);
+
+    $trace = $GLOBALS['trace'];
+    $GLOBALS['trace'] = null;
+
+    $directory = getTraceDirectory();
+    if ($directory === null || (!is_dir($directory) && !mkdir($directory, 0755, true))) {
+        return;
+    }
+
+    $path = $directory . '/' . $trace['traceId'] . '.json';
+    $json = json_encode(buildOtlpTrace($trace), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_INVALID_UTF8_SUBSTITUTE);
+    if ($json === false || file_put_contents($path, $json, LOCK_EX) === false) {
+        return;
+    }
+
+    pruneTraces($directory);
+    sendEvent('trace', ['traceId' => $trace['traceId']]);
+}
+
+/**
+ * Get the workspace's traces directory (which may not exist yet), or null
+ * Only finishTrace creates it.
+ */
+function getTraceDirectory(): ?string
+{
+    if (!defined('WORKSPACE_DIRECTORY') || WORKSPACE_DIRECTORY === '' || !is_dir(WORKSPACE_DIRECTORY)) {
+        return null;
+    }
+
+    return WORKSPACE_DIRECTORY . '/traces';
+}
+
+/**
+ * Delete all but the newest TRACE_RETENTION traces (default 200)
+ */
+function pruneTraces(string $directory): void
+{
+    $retention = defined('TRACE_RETENTION') ? TRACE_RETENTION : 200;
+    $files = glob($directory . '/*.json') ?: [];
+    if (count($files) <= $retention) {
+        return;
+    }
+
+    $modified = array_map('filemtime', $files);
+    array_multisort($modified, SORT_DESC, $files);
+
+    foreach (array_slice($files, $retention) as $file) {
+        unlink($file);
+    }
+}
+
+/**
+ * Get the context a delegated task carries (taskRequest.observability)
+ */
+function getTraceContext(): ?array
+{
+    if (empty($GLOBALS['trace']['open'])) {
+        return null;
+    }
+
+    $span = $GLOBALS['trace']['spans'][end($GLOBALS['trace']['open'])];
+    return ['traceId' => $GLOBALS['trace']['traceId'], 'spanId' => $span['spanId']];
+}
+
+/**
+ * Convert a recorded trace to OTLP/JSON
+ */
+function buildOtlpTrace(array $trace): array
+{
+    $spans = [];
+    foreach ($trace['spans'] as $span) {
+        $otlpSpan = [
+            'traceId' => $trace['traceId'],
+            'spanId' => $span['spanId'],
+            'name' => $span['name'],
+            'kind' => 1, // SPAN_KIND_INTERNAL
+            'startTimeUnixNano' => toUnixNano($span['start']),
+            'endTimeUnixNano' => toUnixNano($span['end'] ?? $span['start']),
+            'attributes' => toOtlpAttributes($span['attributes']),
+            'events' => array_map(function ($event) {
+                return [
+                    'name' => $event['name'],
+                    'timeUnixNano' => toUnixNano($event['time']),
+                    'attributes' => toOtlpAttributes($event['attributes'])
+                ];
+            }, $span['events']),
+            // STATUS_CODE_OK / STATUS_CODE_ERROR
+            'status' => $span['error'] === null ? ['code' => 1] : ['code' => 2, 'message' => $span['error']]
+        ];
+        if ($span['parentSpanId'] !== null) {
+            $otlpSpan['parentSpanId'] = $span['parentSpanId'];
+        }
+        $spans[] = $otlpSpan;
+    }
+
+    return [
+        'resourceSpans' => [[
+            'resource' => [
+                'attributes' => toOtlpAttributes(['service.name' => 'forge-ui'])
+            ],
+            'scopeSpans' => [[
+                'scope' => ['name' => 'forge-ui'],
+                'spans' => $spans
+            ]]
+        ]]
+    ];
+}
+
+/**
+ * Convert [key => value] to OTLP key/value attributes
+ * (64-bit integers are strings in OTLP/JSON)
+ */
+function toOtlpAttributes(array $attributes): array
+{
+    $otlp = [];
+    foreach ($attributes as $key => $value) {
+        if (is_bool($value)) {
+            $typed = ['boolValue' => $value];
+        } elseif (is_int($value)) {
+            $typed = ['intValue' => (string) $value];
+        } elseif (is_float($value)) {
+            $typed = ['doubleValue' => $value];
+        } elseif (is_scalar($value)) {
+            $typed = ['stringValue' => (string) $value];
+        } else {
+            $typed = ['stringValue' => json_encode($value)];
+        }
+        $otlp[] = ['key' => (string) $key, 'value' => $typed];
+    }
+
+    return $otlp;
+}
+
+/**
+ * Convert microtime(true) seconds to a Unix nanosecond string
+ */
+function toUnixNano(float $seconds): string
+{
+    return sprintf('%.0f', $seconds * 1e9);
+}